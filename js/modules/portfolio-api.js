@@ -1,6 +1,10 @@
 // ===== API Module =====
 // Handles all API calls and data fetching
 
+// Chat conversation kept per tab and sent to /api/chat as `history`
+const CHAT_HISTORY_KEY = 'portfolio-chat-history';
+const CHAT_HISTORY_LIMIT = 12;
+
 export class PortfolioAPI {
     constructor() {
         this.baseURL = '';
@@ -51,6 +55,20 @@ export class PortfolioAPI {
         }
     }
 
+    /**
+     * Get a signed form token for the contact form's spam check
+     * (send it back as `formToken`). Resolves to '' when unavailable.
+     */
+    async getFormToken() {
+        try {
+            const response = await fetch('/api/send/token');
+            const result = await response.json();
+            return result.token || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
     /**
      * Send contact form
      */
@@ -80,10 +98,11 @@ export class PortfolioAPI {
      */
     async sendChatMessage(message, context = '') {
         try {
+            const history = this.getChatHistory();
             const response = await fetch('/api/chat', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ message, context })
+                body: JSON.stringify({ message, history, context, suggestions: true })
             });
 
             const result = await response.json();
@@ -92,10 +111,44 @@ export class PortfolioAPI {
                 throw new Error(result.message || 'Chat error');
             }
 
+            this.saveChatHistory([
+                ...history,
+                { role: 'user', content: message },
+                { role: 'bot', content: result.message, citations: result.citations || [] }
+            ]);
+
             return result;
         } catch (error) {
             console.error('Chat error:', error);
             throw error;
         }
     }
+
+    /**
+     * Starter questions for an empty chat, generated from the portfolio data
+     */
+    async getChatSuggestions() {
+        const result = await this.fetchWithRetry('/api/chat/suggestions');
+        return result.suggestions || [];
+    }
+
+    /**
+     * Conversation of this tab, oldest first (same storage as the chat widget)
+     */
+    getChatHistory() {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(CHAT_HISTORY_KEY));
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveChatHistory(history) {
+        try {
+            sessionStorage.setItem(CHAT_HISTORY_KEY, JSON.stringify(history.slice(-CHAT_HISTORY_LIMIT)));
+        } catch (error) {
+            // Storage full or disabled: history is simply not kept
+        }
+    }
 }
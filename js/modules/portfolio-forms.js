@@ -16,6 +16,7 @@ export class FormsHandler {
 
         // Store form reference
         this.forms.set('contact', form);
+        this.refreshFormToken();
 
         // Real-time validation
         const inputs = form.querySelectorAll('input, textarea');
@@ -57,6 +58,13 @@ export class FormsHandler {
         });
     }
 
+    /**
+     * Fetch a fresh spam-check token for the next submission
+     */
+    refreshFormToken() {
+        this.api.getFormToken().then(token => { this.formToken = token; });
+    }
+
     /**
      * Validate entire form
      */
@@ -150,6 +158,7 @@ export class FormsHandler {
         try {
             const formData = new FormData(form);
             const data = Object.fromEntries(formData.entries());
+            data.formToken = this.formToken || '';
 
             const result = await this.api.sendContactForm(data);
 
@@ -158,6 +167,7 @@ export class FormsHandler {
                 window.showToast(result.message || 'Message sent successfully!', 'success');
             }
             form.reset();
+            this.refreshFormToken();
 
             // Reset character counter
             const charCounter = document.getElementById('charCount');
@@ -13,31 +13,12 @@ export class PortfolioUI {
         const container = document.getElementById('hero-stats-container');
         if (!container) return;
 
-        const stats = this.data?.about?.stats || {};
-        const projectCount = stats.projectsCompleted || this.data.projects.length;
-        const yearsExp = stats.yearsExperience || (new Date().getFullYear() - 2020);
-
-        let techCount = stats.technologiesMastered;
-        if (!techCount && this.data.skills) {
-            techCount = this.data.skills.reduce((acc, cat) =>
-                acc + cat.proficient.length + cat.familiar.length, 0
-            );
-        }
-
-        const content = `
-            <div class="stat">
-                <div class="stat-number" data-count="${projectCount}" data-suffix="+">0+</div>
-                <div class="stat-label">Projects</div>
-            </div>
+        const content = this.data.stats.map(stat => `
             <div class="stat">
-                <div class="stat-number" data-count="${yearsExp}" data-suffix="+">0+</div>
-                <div class="stat-label">Years Exp</div>
+                <div class="stat-number" data-count="${stat.num}" data-suffix="${stat.sup}">0${stat.sup}</div>
+                <div class="stat-label">${stat.label}</div>
             </div>
-            <div class="stat">
-                <div class="stat-number" data-count="${techCount}" data-suffix="+">0+</div>
-                <div class="stat-label">Technologies</div>
-            </div>
-        `;
+        `).join('');
 
         container.classList.add('content-loaded');
         container.innerHTML = content;
@@ -154,18 +135,19 @@ export class PortfolioUI {
         const container = document.getElementById('projects-container');
         if (!container || !this.data) return;
 
-        const projectCards = this.data.projects.map(project => `
-            <article class="project-card tilt-card" data-category="${project.category}">
+        const liveProjects = this.data.work.projects.filter(project => project.status === 'live');
+        const projectCards = liveProjects.map(project => `
+            <article class="project-card tilt-card" data-category="${project.category}" data-project-id="${project.id}">
                 <div class="project-media">
-                    <img src="${project.image}" alt="${project.title}" loading="lazy" width="400" height="250">
+                    <img src="${project.image}" alt="${project.name}" loading="lazy" width="400" height="250">
                     <div class="project-overlay">
                         <div class="project-links">
-                            ${project.links.preview ? `
+                            ${project.links?.preview ? `
                             <a href="${project.links.preview}" class="project-link with-text" target="_blank" aria-label="Live Preview">
                                 <i class="fas fa-external-link-alt"></i>
                                 <span>Live Demo</span>
                             </a>` : ''}
-                            ${project.links.github ? `
+                            ${project.links?.github ? `
                             <a href="${project.links.github}" class="project-link with-text" target="_blank" aria-label="GitHub Repo">
                                 <i class="fab fa-github"></i>
                                 <span>Source Code</span>
@@ -174,10 +156,10 @@ export class PortfolioUI {
                     </div>
                 </div>
                 <div class="project-content">
-                    <h3 class="project-title">${project.title}</h3>
+                    <h3 class="project-title">${project.name}</h3>
                     <p class="project-description">${project.description}</p>
                     <div class="project-tech">
-                        ${project.tech.map(tag => `<span class="tech-tag">${tag}</span>`).join('')}
+                        ${project.tags.map(tag => `<span class="tech-tag">${tag}</span>`).join('')}
                     </div>
                 </div>
             </article>
@@ -1,9 +1,18 @@
 // Enhanced Portfolio Application
+
+// Chat conversation kept per tab and sent to /api/chat as `history`
+const CHAT_HISTORY_KEY = 'portfolio-chat-history';
+const CHAT_HISTORY_LIMIT = 12; // messages, i.e. the last 6 questions and answers
+// Posted by sw.js when a message it queued while offline is delivered or rejected
+const SUBMISSION_SYNCED_MESSAGE = 'form-submission-synced';
+
 class Portfolio {
     constructor() {
         this.isInitialized = false;
         this.portfolioData = null; // Store fetched data
         this.currentSection = 'home'; // Track current section for chat context
+        this.chatController = null; // AbortController of the reply currently streaming
+        this.chatHistory = this.loadChatHistory();
 
         // Initialize performance monitoring
         if (typeof PerformanceMonitor !== 'undefined') {
@@ -107,32 +116,13 @@ class Portfolio {
                 <div class="stat"><div class="stat-number">?</div><div class="stat-label">Technologies</div></div>
             `;
         } else {
-            // Use explicit stats from server if available, otherwise fallback to calculation
-            const stats = this.portfolioData.about?.stats || {};
-
-            const projectCount = stats.projectsCompleted || this.portfolioData.projects.length;
-            const yearsExp = stats.yearsExperience || (new Date().getFullYear() - 2020);
-
-            // Calculate tech count if not provided
-            let techCount = stats.technologiesMastered;
-            if (!techCount && this.portfolioData.skills) {
-                techCount = this.portfolioData.skills.reduce((acc, cat) => acc + cat.proficient.length + cat.familiar.length, 0);
-            }
-
-            content = `
-                <div class="stat">
-                    <div class="stat-number" data-count="${projectCount}" data-suffix="+">${projectCount}+</div>
-                    <div class="stat-label">Projects</div>
-                </div>
-                <div class="stat">
-                    <div class="stat-number" data-count="${yearsExp}" data-suffix="+">${yearsExp}+</div>
-                    <div class="stat-label">Years Exp</div>
-                </div>
+            // Stats come straight from the shared content schema
+            content = this.portfolioData.stats.map(stat => `
                 <div class="stat">
-                    <div class="stat-number" data-count="${techCount}" data-suffix="+">${techCount}+</div>
-                    <div class="stat-label">Technologies</div>
+                    <div class="stat-number" data-count="${stat.num}" data-suffix="${stat.sup}">${stat.num}${stat.sup}</div>
+                    <div class="stat-label">${stat.label}</div>
                 </div>
-            `;
+            `).join('');
         }
         container.classList.add('content-loaded');
         container.innerHTML = content;
@@ -266,18 +256,19 @@ class Portfolio {
         if (error || !this.portfolioData) {
             content = `<p>Error loading projects. Please try again later.</p>`;
         } else {
-            const projectCards = this.portfolioData.projects.map(project => `
-                <article class="project-card tilt-card" data-category="${project.category}">
+            const liveProjects = this.portfolioData.work.projects.filter(project => project.status === 'live');
+            const projectCards = liveProjects.map(project => `
+                <article class="project-card tilt-card" data-category="${project.category}" data-project-id="${project.id}">
                     <div class="project-media">
-                        <img src="${project.image}" alt="${project.title}" loading="lazy" width="400" height="250">
+                        <img src="${project.image}" alt="${project.name}" loading="lazy" width="400" height="250">
                         <div class="project-overlay">
                             <div class="project-links">
-                                ${project.links.preview ? `
+                                ${project.links?.preview ? `
                                 <a href="${project.links.preview}" class="project-link with-text" target="_blank" aria-label="Live Preview">
                                     <i class="fas fa-external-link-alt"></i>
                                     <span>Live Demo</span>
                                 </a>` : ''}
-                                ${project.links.github ? `
+                                ${project.links?.github ? `
                                 <a href="${project.links.github}" class="project-link with-text" target="_blank" aria-label="GitHub Repo">
                                     <i class="fab fa-github"></i>
                                     <span>Source Code</span>
@@ -286,10 +277,10 @@ class Portfolio {
                         </div>
                     </div>
                     <div class="project-content">
-                        <h3 class="project-title">${project.title}</h3>
+                        <h3 class="project-title">${project.name}</h3>
                         <p class="project-description">${project.description}</p>
                         <div class="project-tech">
-                            ${project.tech.map(tag => `<span class="tech-tag">${tag}</span>`).join('')}
+                            ${project.tags.map(tag => `<span class="tech-tag">${tag}</span>`).join('')}
                         </div>
                     </div>
                 </article>
@@ -350,6 +341,43 @@ class Portfolio {
         greetingDiv.textContent = greeting;
         chatMessages.insertBefore(greetingDiv, chatMessages.firstChild);
 
+        // Restore the conversation from earlier in this tab
+        this.chatHistory.forEach(entry => {
+            const restored = this.addMessage(entry.content, entry.role === 'bot' ? 'bot' : 'user');
+            if (entry.role === 'bot') this.addCitations(restored, entry.citations);
+        });
+
+        // Starter prompts under the greeting, generated server-side from the portfolio data
+        if (this.chatHistory.length === 0) {
+            fetch('/api/chat/suggestions')
+                .then(response => response.json())
+                .then(data => {
+                    // Too late if the visitor already asked something
+                    if (this.chatHistory.length === 0 && !this.chatController) this.addSuggestions(data.suggestions);
+                })
+                .catch(() => { /* The widget works fine without them */ });
+        }
+
+        // Stop button, shown while a reply is streaming in
+        const sendButton = chatForm.querySelector('button[type="submit"]');
+        const stopButton = document.createElement('button');
+        stopButton.type = 'button';
+        stopButton.className = 'chat-send-btn chat-stop-btn';
+        stopButton.setAttribute('aria-label', 'Stop generating');
+        stopButton.innerHTML = '<i class="fas fa-stop"></i>';
+        stopButton.hidden = true;
+        chatForm.appendChild(stopButton);
+        stopButton.addEventListener('click', () => {
+            if (this.chatController) this.chatController.abort();
+        });
+
+        const setStreaming = (isStreaming) => {
+            stopButton.hidden = !isStreaming;
+            if (sendButton) sendButton.hidden = isStreaming;
+        };
+
+        this.setupChatTranscriptActions(chatWindow, chatForm);
+
         // Toggle Chat
         chatToggle.addEventListener('click', () => {
             chatToggle.classList.toggle('active');
@@ -364,9 +392,10 @@ class Portfolio {
             e.preventDefault();
             // console.log('Chat form submitted!');
             const message = chatInput.value.trim();
-            if (!message) return;
+            if (!message || this.chatController) return;
 
             // Add User Message
+            this.removeSuggestions();
             this.addMessage(message, 'user');
             chatInput.value = '';
 
@@ -376,51 +405,146 @@ class Portfolio {
             }
             chatMessages.scrollTop = chatMessages.scrollHeight;
 
+            const hideTyping = () => {
+                if (typingIndicator) {
+                    typingIndicator.classList.remove('active');
+                }
+            };
+
+            this.chatController = new AbortController();
+            setStreaming(true);
+
+            let botMessage = null;
+            let replyText = '';
+            let citations = [];
+            // Only a reply that reached `done` goes into the history the next
+            // turn builds on; failed and stopped replies stay on screen only
+            let completed = false;
+
             try {
-                // --- UPDATED to use real /api/chat endpoint ---
+                // Ask for a streamed (SSE) reply so text renders as it is generated
                 const response = await fetch('/api/chat', {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Accept': 'text/event-stream'
+                    },
                     body: JSON.stringify({
                         message,
-                        context: this.currentSection // Pass the current section as context
-                    })
+                        history: this.chatHistory,
+                        context: this.currentSection, // Pass the current section as context
+                        stream: true,
+                        suggestions: true
+                    }),
+                    signal: this.chatController.signal
                 });
 
-                const data = await response.json();
-
-                // Hide Typing Indicator
-                if (typingIndicator) {
-                    typingIndicator.classList.remove('active');
+                // Validation and rate-limit errors still come back as plain JSON
+                if (!(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+                    const data = await response.json();
+                    hideTyping();
+                    const reply = this.addMessage(data.message || 'Sorry, I encountered an error.', 'bot');
+                    this.addCitations(reply, data.citations);
+                    this.addSuggestions(data.suggestions);
+                    if (data.success) this.rememberChatTurn(message, data.message, data.citations);
+                    return;
                 }
 
-                if (data.success) {
-                    this.addMessage(data.message, 'bot');
-                } else {
-                    this.addMessage(data.message || 'Sorry, I encountered an error.', 'bot');
-                }
+                await this.readChatStream(response, (event, data) => {
+                    hideTyping();
+                    if (event === 'token') {
+                        replyText += data.text;
+                        if (botMessage) {
+                            this.updateMessage(botMessage, replyText);
+                        } else {
+                            botMessage = this.addMessage(replyText, 'bot');
+                        }
+                    } else if (event === 'done') {
+                        completed = true;
+                        citations = data.citations || [];
+                        this.addCitations(botMessage, citations);
+                        this.addSuggestions(data.suggestions);
+                    } else if (event === 'error') {
+                        if (data.retract && botMessage) {
+                            // The answer failed a server-side check: replace what was shown
+                            this.updateMessage(botMessage, data.message);
+                            replyText = '';
+                        } else {
+                            this.addMessage(data.message || 'Sorry, I encountered an error.', 'bot');
+                        }
+                    }
+                });
+                if (completed && replyText) this.rememberChatTurn(message, replyText, citations);
             } catch (error) {
-                console.error('Chat Error:', error);
-                if (typingIndicator) {
-                    typingIndicator.classList.remove('active');
+                hideTyping();
+                if (error.name === 'AbortError') {
+                    // Cancelled by the visitor: show whatever already arrived
+                    if (botMessage) {
+                        this.updateMessage(botMessage, `${replyText}\n\n*Reply stopped.*`);
+                    } else {
+                        this.addMessage('*Reply stopped.*', 'bot');
+                    }
+                } else {
+                    console.error('Chat Error:', error);
+                    this.addMessage('Network error. Please check your connection.', 'bot');
                 }
-                this.addMessage('Network error. Please check your connection.', 'bot');
+            } finally {
+                hideTyping();
+                this.chatController = null;
+                setStreaming(false);
             }
         });
     }
 
+    /**
+     * Reads a Server-Sent Events response from /api/chat and calls
+     * onEvent(eventName, data) for every event until the stream ends.
+     */
+    async readChatStream(response, onEvent) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        const dispatch = (rawEvent) => {
+            let event = 'message';
+            const dataLines = [];
+            rawEvent.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+            });
+            if (dataLines.length > 0) {
+                onEvent(event, JSON.parse(dataLines.join('\n')));
+            }
+        };
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer = (buffer + decoder.decode(value, { stream: true })).replace(/\r\n/g, '\n');
+            const events = buffer.split('\n\n');
+            buffer = events.pop();
+            events.forEach(dispatch);
+        }
+
+        if (buffer.trim()) dispatch(buffer);
+    }
+
+    // Render a chat message without ever parsing it as HTML: bot replies go
+    // through the sanitizing markdown renderer, visitor messages stay plain text
+    renderMessage(messageDiv, text, sender) {
+        if (sender === 'bot' && typeof ChatMarkdown !== 'undefined') {
+            messageDiv.replaceChildren(ChatMarkdown.render(text));
+        } else {
+            messageDiv.textContent = text;
+        }
+    }
+
     addMessage(text, sender) {
         const chatMessages = document.getElementById('chatMessages');
         const messageDiv = document.createElement('div');
         messageDiv.className = `message ${sender}`;
-
-        // Convert simple markdown to HTML (bold, italic, links)
-        let formattedText = text
-            .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-            .replace(/\*(.*?)\*/g, '<em>$1</em>')
-            .replace(/\[(.*?)\]\((.*?)\)/g, '<a href="$2" target="_blank">$1</a>');
-
-        messageDiv.innerHTML = formattedText;
+        this.renderMessage(messageDiv, text, sender);
 
         // Insert before typing indicator
         const typingIndicator = document.getElementById('typingIndicator');
@@ -428,6 +552,312 @@ class Portfolio {
 
         // Scroll to bottom
         chatMessages.scrollTop = chatMessages.scrollHeight;
+        return messageDiv;
+    }
+
+    // Re-render a message in place while a streamed reply grows
+    updateMessage(messageDiv, text) {
+        this.renderMessage(messageDiv, text, 'bot');
+        const chatMessages = document.getElementById('chatMessages');
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
+
+    // --- Chat transcript: download (Markdown / PDF) and email handoff ---
+    setupChatTranscriptActions(chatWindow, chatForm) {
+        const header = chatWindow.querySelector('.chat-header');
+        if (!header) return;
+
+        const actions = document.createElement('div');
+        actions.className = 'chat-actions';
+        actions.innerHTML = `
+            <button type="button" class="chat-action-btn" data-action="markdown" aria-label="Download conversation as Markdown" title="Download as Markdown"><i class="fab fa-markdown"></i></button>
+            <button type="button" class="chat-action-btn" data-action="pdf" aria-label="Download conversation as PDF" title="Download as PDF"><i class="fas fa-file-pdf"></i></button>
+            <button type="button" class="chat-action-btn" data-action="handoff" aria-label="Email this conversation to Sugam" title="Email this conversation to Sugam"><i class="fas fa-envelope"></i></button>
+        `;
+        header.appendChild(actions);
+
+        // Inline form asking who Sugam should reply to
+        const handoffForm = document.createElement('form');
+        handoffForm.className = 'chat-handoff';
+        handoffForm.hidden = true;
+        handoffForm.noValidate = true;
+        handoffForm.innerHTML = `
+            <p class="chat-handoff-title">Email this conversation to Sugam</p>
+            <input type="text" name="name" placeholder="Your name" autocomplete="name" required minlength="2" maxlength="100">
+            <input type="email" name="email" placeholder="Your email" autocomplete="email" required>
+            <textarea name="message" rows="2" maxlength="3000" placeholder="Anything to add? (optional)"></textarea>
+            <input type="text" name="website" class="form-honeypot" tabindex="-1" autocomplete="off" aria-hidden="true">
+            <div class="chat-handoff-buttons">
+                <button type="button" class="chat-handoff-cancel">Cancel</button>
+                <button type="submit" class="chat-handoff-send">Send</button>
+            </div>
+        `;
+        chatWindow.insertBefore(handoffForm, chatForm);
+
+        // Proves to the spam filter that the form was open for a while
+        let handoffToken = '';
+        // Kept until the server or the offline queue accepts the message, so
+        // a retry or a replay from the queue can't create a second inquiry
+        let handoffKey = null;
+        const queuedHandoffs = new Map(); // idempotency key -> email
+
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                const { type, idempotencyKey, status, message } = event.data || {};
+                if (type !== SUBMISSION_SYNCED_MESSAGE || !queuedHandoffs.has(idempotencyKey)) return;
+                const queuedEmail = queuedHandoffs.get(idempotencyKey);
+                queuedHandoffs.delete(idempotencyKey);
+                if (status === 'sent') {
+                    this.addMessage(`Sent! You're back online, so Sugam now has your conversation and will reply to **${queuedEmail}**.`, 'bot');
+                } else {
+                    this.addMessage(`Your queued message could not be sent: ${message || 'please try again.'}`, 'bot');
+                }
+            });
+        }
+
+        const ensureConversation = () => {
+            if (this.chatHistory.length > 0) return true;
+            this.showToast('Ask the assistant something first.', 'info');
+            return false;
+        };
+
+        actions.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button || !ensureConversation()) return;
+
+            if (button.dataset.action === 'markdown') {
+                this.downloadChatTranscript();
+            } else if (button.dataset.action === 'pdf') {
+                this.downloadChatTranscriptPdf(button);
+            } else {
+                handoffForm.hidden = !handoffForm.hidden;
+                if (!handoffForm.hidden) {
+                    handoffForm.querySelector('input[name="name"]').focus();
+                    this.fetchFormToken().then(token => { handoffToken = token; });
+                }
+            }
+        });
+
+        handoffForm.querySelector('.chat-handoff-cancel').addEventListener('click', () => {
+            handoffForm.hidden = true;
+        });
+
+        handoffForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!ensureConversation()) return;
+
+            const name = handoffForm.elements.name.value.trim();
+            const email = handoffForm.elements.email.value.trim();
+            if (name.length < 2 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+                this.showToast('Please enter your name and a valid email address.', 'error');
+                return;
+            }
+
+            const sendButton = handoffForm.querySelector('.chat-handoff-send');
+            sendButton.disabled = true;
+            handoffKey = handoffKey || (window.crypto?.randomUUID
+                ? window.crypto.randomUUID()
+                : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`);
+            try {
+                const response = await fetch('/api/send', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        name,
+                        email,
+                        message: handoffForm.elements.message.value.trim(),
+                        transcript: this.chatHistory,
+                        website: handoffForm.elements.website.value,
+                        formToken: handoffToken,
+                        idempotencyKey: handoffKey
+                    })
+                });
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.message || 'Failed to send message.');
+
+                handoffForm.reset();
+                handoffForm.hidden = true;
+                if (result.queued) {
+                    // 202 from the service worker: stored offline, not delivered yet
+                    queuedHandoffs.set(handoffKey, email);
+                    this.addMessage(`Queued: you're offline, so your conversation will be sent as soon as you're back online. Sugam will then reply to **${email}**.`, 'bot');
+                } else {
+                    this.addMessage(`Sent! Sugam has your conversation and will reply to **${email}**.`, 'bot');
+                }
+                handoffKey = null;
+            } catch (error) {
+                console.error('Chat handoff error:', error);
+                this.showToast(error.message || 'Failed to send message. Please try again.', 'error');
+            } finally {
+                sendButton.disabled = false;
+            }
+        });
+    }
+
+    // Signed "form opened at" token for /api/send's spam check; without one
+    // the submission still goes through, just with a higher spam score
+    async fetchFormToken() {
+        try {
+            const response = await fetch('/api/send/token');
+            const result = await response.json();
+            return result.token || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    chatTranscriptMarkdown() {
+        const name = this.portfolioData?.profile?.name || 'Sugam Pokharel';
+        const lines = [
+            `# Chat about ${name}'s portfolio`,
+            '',
+            `_Exported ${new Date().toLocaleString()} from ${window.location.origin}_`,
+            ''
+        ];
+        this.chatHistory.forEach(entry => {
+            lines.push(`**${entry.role === 'bot' ? 'Assistant' : 'You'}:**`, '', entry.content, '');
+        });
+        return lines.join('\n');
+    }
+
+    downloadChatTranscript() {
+        const blob = new Blob([this.chatTranscriptMarkdown()], { type: 'text/markdown' });
+        this.downloadBlob(blob, 'Chat-with-Sugam-Pokharel.md');
+    }
+
+    async downloadChatTranscriptPdf(button) {
+        button.disabled = true;
+        try {
+            const response = await fetch('/api/chat/transcript', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ transcript: this.chatHistory })
+            });
+            if (!response.ok) {
+                const result = await response.json().catch(() => ({}));
+                throw new Error(result.message || 'Could not create the PDF.');
+            }
+            this.downloadBlob(await response.blob(), 'Chat-with-Sugam-Pokharel.pdf');
+        } catch (error) {
+            console.error('Transcript export error:', error);
+            this.showToast(error.message || 'Could not create the PDF.', 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    loadChatHistory() {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(CHAT_HISTORY_KEY));
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Record a question and its answer, keeping only the most recent messages
+    rememberChatTurn(question, answer, citations = []) {
+        this.chatHistory = [
+            ...this.chatHistory,
+            { role: 'user', content: question },
+            { role: 'bot', content: answer, citations }
+        ].slice(-CHAT_HISTORY_LIMIT);
+
+        try {
+            sessionStorage.setItem(CHAT_HISTORY_KEY, JSON.stringify(this.chatHistory));
+        } catch (error) {
+            // Storage full or disabled: the conversation still works for this page view
+        }
+    }
+
+    /**
+     * Appends "Sources" links under a bot reply. Each citation is
+     * { section, id, title } and jumps to that part of the page.
+     */
+    addCitations(messageDiv, citations) {
+        if (!messageDiv || !Array.isArray(citations) || citations.length === 0) return;
+
+        const sources = document.createElement('div');
+        sources.className = 'chat-citations';
+        sources.appendChild(document.createTextNode('Sources: '));
+
+        citations.forEach(citation => {
+            const link = document.createElement('a');
+            link.className = 'chat-citation';
+            link.href = `#${this.getCitationSection(citation.section)}`;
+            link.textContent = citation.title || citation.id;
+            link.addEventListener('click', (e) => {
+                const target = this.findCitationTarget(citation);
+                if (!target) return;
+                e.preventDefault();
+                target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            });
+            sources.appendChild(link);
+        });
+
+        messageDiv.appendChild(sources);
+        const chatMessages = document.getElementById('chatMessages');
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
+
+    /**
+     * Shows clickable question chips at the end of the conversation; picking
+     * one asks it right away.
+     */
+    addSuggestions(suggestions) {
+        if (!Array.isArray(suggestions) || suggestions.length === 0) return;
+
+        const chatMessages = document.getElementById('chatMessages');
+        const chatForm = document.getElementById('chatForm');
+        const chatInput = document.getElementById('chatInput');
+        this.removeSuggestions();
+
+        const chips = document.createElement('div');
+        chips.className = 'chat-suggestions';
+        suggestions.forEach(question => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'chat-suggestion';
+            chip.textContent = question;
+            chip.addEventListener('click', () => {
+                if (this.chatController) return;
+                chatInput.value = question;
+                chatForm.requestSubmit();
+            });
+            chips.appendChild(chip);
+        });
+
+        chatMessages.insertBefore(chips, document.getElementById('typingIndicator'));
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
+
+    removeSuggestions() {
+        document.querySelectorAll('#chatMessages .chat-suggestions').forEach(chips => chips.remove());
+    }
+
+    // Page section each citation type lives in (experience is shown in About)
+    getCitationSection(section) {
+        const sections = { projects: 'projects', skills: 'skills', experience: 'about', about: 'about' };
+        return sections[section] || 'home';
+    }
+
+    findCitationTarget({ section, id }) {
+        if (section === 'projects') {
+            const card = document.querySelector(`[data-project-id="${CSS.escape(id)}"]`);
+            if (card) return card;
+        }
+        return document.getElementById(this.getCitationSection(section));
     }
 
     // Enhanced Theme System (Unchanged)
@@ -644,6 +1074,8 @@ class Portfolio {
         const form = document.getElementById('contactForm');
         if (!form) return;
 
+        this.fetchFormToken().then(token => { this.contactFormToken = token; });
+
         // Real-time validation
         const inputs = form.querySelectorAll('input, textarea');
         inputs.forEach(input => {
@@ -764,6 +1196,7 @@ class Portfolio {
         try {
             const formData = new FormData(form);
             const data = Object.fromEntries(formData.entries());
+            data.formToken = this.contactFormToken || '';
 
             // --- UPDATED to use real /api/send endpoint ---
             const response = await fetch('/api/send', {
@@ -778,6 +1211,7 @@ class Portfolio {
                 // Success case
                 this.showToast(result.message, 'success');
                 form.reset();
+                this.fetchFormToken().then(token => { this.contactFormToken = token; });
 
                 // Reset character counter
                 const charCounter = document.getElementById('charCount');
@@ -0,0 +1,41 @@
+// Writes static HTML for every route of the React app into dist/, after
+// `vite build` (the client) and `vite build --ssr` (dist-ssr/entry-server.mjs).
+// Crawlers and link previews then get real content and per-page meta tags,
+// and main.jsx hydrates the markup instead of rendering it again.
+//
+// Absolute URLs in the meta tags use BASE_URL, or profile.website from
+// portfolio.json when it isn't set.
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath, pathToFileURL } from 'url'
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..')
+const DIST_DIR = path.join(ROOT_DIR, 'dist')
+const SSR_ENTRY = path.join(ROOT_DIR, 'dist-ssr', 'entry-server.mjs')
+
+// Both are in index.html; the meta block holds the dev defaults
+const META_BLOCK = /<!-- page-meta:[\s\S]*?<!-- \/page-meta -->/
+const ROOT_ELEMENT = '<div id="root"></div>'
+
+const { routes, render, defaultSiteUrl } = await import(pathToFileURL(SSR_ENTRY).href)
+const siteUrl = (process.env.BASE_URL || defaultSiteUrl).replace(/\/+$/, '')
+
+const template = fs.readFileSync(path.join(DIST_DIR, 'index.html'), 'utf8')
+if (!META_BLOCK.test(template) || !template.includes(ROOT_ELEMENT)) {
+  console.error('❌ dist/index.html has no page-meta block or empty #root to fill in')
+  process.exit(1)
+}
+
+for (const url of routes) {
+  const { html, head } = render(url, { siteUrl })
+  // Replacer functions, so "$" in the content is not a replacement pattern
+  const page = template
+    .replace(META_BLOCK, () => head)
+    .replace(ROOT_ELEMENT, () => `<div id="root">${html}</div>`)
+
+  // "/" -> dist/index.html, "/projects/x" -> dist/projects/x/index.html
+  const file = path.join(DIST_DIR, url, 'index.html')
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(file, page)
+  console.log(`✅ Prerendered ${url} -> ${path.relative(ROOT_DIR, file)}`)
+}
@@ -1,129 +1,67 @@
 const express = require('express');
-const nodemailer = require('nodemailer');
 const dotenv = require('dotenv');
 const cors = require('cors');
 const path = require('path');
-const fetch = require('node-fetch');
 const PDFDocument = require('pdfkit'); // For PDF generation
 const rateLimit = require('express-rate-limit'); // Import rate limiter
 
 const compression = require('compression'); // Import compression
+const { openEventStream } = require('./server/sse'); // Streaming chat replies
+const { createChatProvider } = require('./server/chat/providers');
+const { ChatBlockedError, ChatGuardError } = require('./server/chat/errors');
+const { createRetrievalIndex, toCitations } = require('./server/chat/retrieval');
+const { buildSystemPrompt, PROMPT_FINGERPRINTS } = require('./server/chat/prompt');
+const { detectInjection, createOutputGuard, createStreamGuard, createAbuseLog } = require('./server/chat/guard');
+const { buildStarterPrompts, buildFollowUps } = require('./server/chat/suggestions');
+const { normalizeHistory, normalizePageSection, followUpQuery } = require('./server/chat/conversation');
+const { normalizeTranscript, stripMarkdown, writeTranscriptPdf, TRANSCRIPT_SPEAKERS } = require('./server/chat/transcript');
+const { createInquiryStore, InquiryNotFoundError, INQUIRY_STATUSES } = require('./server/inquiries/store');
+const { createSpamFilter } = require('./server/inquiries/spam');
+const { InquiryValidationError } = require('./server/inquiries/errors');
+const { parseProjectDetails, describeProjectDetails } = require('./server/inquiries/project');
+const { parseAttachments, saveAttachments, formatSize } = require('./server/inquiries/attachments');
+const { createInquirySubmitter } = require('./server/inquiries/submit');
+const {
+  renderResumePdf,
+  createResumeCache,
+  sendCachedResume,
+  createResumeExport,
+  resumeFileName,
+  listResumeThemes,
+  listResumeFormats,
+  listResumeFocuses,
+  DEFAULT_RESUME_THEME,
+  ResumeOptionError
+} = require('./server/resume');
+const {
+  STATIC_PAGES,
+  getListedProjects,
+  listPages,
+  clearCommitDates,
+  describeFeed,
+  buildSitemap,
+  buildRobots,
+  buildAtomFeed,
+  buildRssFeed,
+  latest
+} = require('./server/seo');
+const { createOgImages, OgRendererUnavailableError } = require('./server/og');
+const { hasBuild, resolvePage, projectIdFromPath } = require('./server/frontend');
+const { requireAdmin } = require('./server/admin-auth');
+const { createEmailTransport } = require('./server/email/transports');
+const { createEmailQueue, EmailJobNotFoundError } = require('./server/email/queue');
+const { createEmailTemplates, EmailTemplateNotFoundError } = require('./server/email/templates');
 
 dotenv.config();
 
 const app = express();
 const DEFAULT_PORT = parseInt(process.env.PORT) || 4000;
 
-// --- NEW: Single Source of Truth for Portfolio Data ---
-const portfolioData = {
-  name: 'Sugam Pokharel',
-  title: 'Fullstack Developer',
-  email: 'sugampokharel28@gmail.com',
-  portfolio: 'sugampokharel.dev',
-  linkedin: 'in/sugam-pokharel-0504b438b',
-  github: 'github.com/sugampokhareldev',
-  twitter: 'PokharelSu65518',
-  ui: {
-    typewriterText: 'Digital Experiences,Innovative Solutions,Modern Products,Better Futures',
-    chatGreeting: "Hi! I'm Sugam's AI assistant. Ask me anything about his skills, projects, or experience!"
-  },
-  about: {
-    summary: [
-      "I'm a self-taught Fullstack Developer with a passion for creating innovative web applications. My journey began in 2020, and since then I've been constantly learning and evolving with the latest technologies.",
-      "I believe in writing clean, efficient code and creating user experiences that are both beautiful and functional. My approach combines modern design principles with robust backend architecture to deliver solutions that truly make a difference.",
-      "When I'm not coding, you can find me exploring new technologies, contributing to open source, or sharing knowledge with the developer community. I'm particularly interested in AI integration, progressive web apps, and creating accessible experiences for all users."
-    ],
-    stats: {
-      projectsCompleted: 10,
-      yearsExperience: 4,
-      technologiesMastered: 12,
-      availableForWork: true
-    },
-    availability: {
-      status: "Available for Freelance",
-      message: "Open to exciting projects and collaborations"
-    },
-    features: [
-      { icon: 'fa-bolt', title: 'Fast & Efficient', text: 'Optimized solutions for better performance' },
-      { icon: 'fa-mobile-alt', title: 'Responsive Design', text: 'Perfect experience on all devices' },
-      { icon: 'fa-code', title: 'Clean Code', text: 'Maintainable and scalable solutions' }
-    ]
-  },
-  skills: [
-    {
-      category: 'Frontend',
-      icon: 'fa-code',
-      proficient: ['React', 'JavaScript (ES6+)', 'CSS3', 'Tailwind CSS', 'HTML5'],
-      familiar: ['TypeScript', 'Vue.js']
-    },
-    {
-      category: 'Backend',
-      icon: 'fa-server',
-      proficient: ['Node.js', 'Express.js'],
-      familiar: ['MongoDB', 'REST APIs', 'GraphQL', 'Rust (Learning)']
-    },
-    {
-      category: 'Tools & Others',
-      icon: 'fa-tools',
-      proficient: ['Git', 'VS Code', 'Responsive Design'],
-      familiar: ['Docker', 'AWS', 'CI/CD', 'AI/ML Integration']
-    }
-  ],
-  experience: [
-    {
-      title: 'Freelance Web Developer',
-      period: '2023 - Present',
-      points: [
-        'Designed and developed responsive, modern websites for 5+ clients from concept to deployment.',
-        'Specialized in creating fullstack MERN applications, including e-commerce platforms with payment and AI integration.',
-        'Managed all aspects of the project lifecycle, including client communication, requirements gathering, development, and deployment.'
-      ]
-    }
-  ],
-  projects: [
-    {
-      title: 'E-Commerce Website',
-      description: 'Full-featured online store with payment processing, inventory management, and customer dashboard.',
-      image: 'images/project1.png',
-      tech: ['Node.js', 'MongoDB', 'HTML', 'CSS', 'JS'],
-      links: { preview: 'https://ajkcleaners.de/', github: 'https://github.com/sugampokhareldev' },
-      category: 'fullstack'
-    },
-    {
-      title: 'Customer Management App',
-      description: 'Comprehensive customer relationship management system with data visualization and reporting tools.',
-      image: 'images/project2.png',
-      tech: ['Node.js', 'MongoDB', 'Tailwind CSS', 'JS'],
-      links: { github: 'https://github.com/sugampokhareldev/customer-management-' },
-      category: 'fullstack'
-    },
-    {
-      title: 'School Website Redesign',
-      description: 'Modern, responsive redesign of a school website focusing on accessibility and user experience.',
-      image: 'images/project-3.png',
-      tech: ['HTML', 'CSS'],
-      links: { preview: 'https://sugampokhareldev.github.io/SugamDev.SchoolProject/', github: 'https://github.com/sugampokhareldev/SugamDev.SchoolProject' },
-      category: 'frontend'
-    },
-    {
-      title: 'Unit Converter',
-      description: 'A handy utility tool for converting between Metric and Imperial units. Built with pure HTML, CSS, and JavaScript.',
-      image: 'images/project-4.png',
-      tech: ['HTML', 'CSS', 'JavaScript'],
-      links: { preview: 'https://sugampokhareldev.github.io/Unti-Converter/', github: 'https://github.com/sugampokhareldev/Unti-Converter' },
-      category: 'frontend'
-    },
-    {
-      title: 'Solar System 3D',
-      description: 'An interactive 3D visualization of the Solar System using CSS animations. Educational and visually engaging.',
-      image: 'images/project-5.png',
-      tech: ['HTML', 'CSS', 'JavaScript'],
-      links: { preview: 'https://sugampokhareldev.github.io/SugamDev.SolarSystem/', github: 'https://github.com/sugampokhareldev/SugamDev.SolarSystem' },
-      category: 'frontend'
-    }
-  ]
-};
-// --- End of Portfolio Data ---
+// --- Single Source of Truth for Portfolio Data ---
+// Shared with the React app; validated on startup so a bad edit fails fast.
+// Later edits are picked up while running, see "Content Reloading" below.
+const { loadContent, watchContent } = require('./server/content');
+let portfolioData = loadContent();
 
 
 // --- Trust Proxy (Required for Render/Heroku/Railway etc.) ---
@@ -153,7 +91,16 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Serve static files from the root directory
+// Serve the React build (dist/, see server/frontend.js) first, then static
+// files from the root directory. Vite puts a content hash in every file
+// name under dist/assets, so those can be cached for good.
+const DIST_DIR = path.join(__dirname, 'dist');
+if (!hasBuild(DIST_DIR)) {
+  console.warn('⚠️  No build in dist/, serving the unbuilt index.html. Run "npm run build" first.');
+}
+app.use('/assets', express.static(path.join(DIST_DIR, 'assets'), { immutable: true, maxAge: '1y' }));
+// No redirect from /projects/x to /projects/x/: the catch-all serves routes
+app.use(express.static(DIST_DIR, { redirect: false }));
 app.use(express.static(path.join(__dirname)));
 
 // --- Rate Limiting ---
@@ -170,12 +117,14 @@ const apiLimiter = rateLimit({
 const contactLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 5, // Limit each IP to 5 submissions per hour
+  skip: (req) => req.method === 'GET', // Form tokens are not submissions
   message: { success: false, message: "Too many messages sent. Please try again in an hour." }
 });
 
 const chatLimiter = rateLimit({
   windowMs: 10 * 60 * 1000, // 10 minutes
   max: 20, // Limit each IP to 20 chat messages per 10 minutes
+  skip: (req) => req.method === 'GET', // Starter prompts don't reach the model
   message: { success: false, message: "Chat limit reached. Please wait a moment." }
 });
 
@@ -195,6 +144,12 @@ function sanitizeInput(input) {
     .trim();
 }
 
+// Emails escape through their templates, so contact form fields are stored
+// as typed (trimmed) rather than HTML-encoded
+function trimInput(input) {
+  return typeof input === 'string' ? input.trim() : '';
+}
+
 function isValidEmail(email) {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
   return emailRegex.test(email);
@@ -206,234 +161,346 @@ function validateMessage(message, maxLength = 3000) {
   return trimmed.length > 0 && trimmed.length <= maxLength;
 }
 
-// --- Exponential Backoff Fetch Helper ---
 /**
- * Fetches a resource with exponential backoff for retries.
+ * Rejects a contact form submission with errors the form can show next to
+ * its fields: { success, message, errors: [{ field, message }] }.
  */
-async function fetchWithBackoff(url, options, retries = 3, delay = 1000) {
-  for (let i = 0; i < retries; i++) {
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 30000); // 30s timeout per attempt
-
-      const apiResponse = await fetch(url, {
-        ...options,
-        signal: controller.signal
-      });
-
-      clearTimeout(timeoutId);
-
-      if (apiResponse.ok) {
-        return apiResponse; // Success!
-      }
-
-      // Retry only on 503 (Unavailable) or 429 (Too Many Requests)
-      if (apiResponse.status === 503 || apiResponse.status === 429) {
-        console.log(`Gemini API returned ${apiResponse.status}. Retrying in ${delay / 1000}s... (Attempt ${i + 1}/${retries})`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-        delay *= 2; // Double the delay for next time
-      } else {
-        return apiResponse;
-      }
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        console.log(`Fetch attempt timed out. Retrying in ${delay / 1000}s... (Attempt ${i + 1}/${retries})`);
-      } else {
-        console.error(`Fetch attempt ${i + 1} failed:`, error.message);
-      }
-
-      if (i < retries - 1) {
-        await new Promise(resolve => setTimeout(resolve, delay));
-        delay *= 2;
-      } else {
-        throw error;
-      }
-    }
-  }
-  throw new Error('API call failed after all retries.');
+function rejectFields(res, errors, message = errors[0].message) {
+  return res.status(400).json({ success: false, message, errors });
 }
 
 
-// --- SendGrid Email Transport (Web API - works on Render) ---
-const sgMail = require('@sendgrid/mail');
 
-// Initialize SendGrid with API key
-if (process.env.SENDGRID_API_KEY) {
-  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-  console.log('SendGrid is ready to send emails');
+// --- Email Transport ---
+// SendGrid, SMTP (nodemailer) or a local .eml outbox, chosen from the
+// environment; see server/email/transports/index.js. Throws in production
+// when none is configured.
+const emailTransport = createEmailTransport(process.env, __dirname);
+if (emailTransport.name === 'outbox' && process.env.NODE_ENV === 'production') {
+  console.warn(`⚠️  Email transport: outbox (EMAIL_TRANSPORT=outbox), writing .eml files to ${emailTransport.dir}; no email will leave this server`);
+} else if (emailTransport.name === 'outbox') {
+  console.log(`Email transport: outbox, writing .eml files to ${emailTransport.dir} (nothing is sent)`);
 } else {
-  console.warn('⚠️  SENDGRID_API_KEY not set. Email functionality will be disabled.');
+  console.log(`Email transport: ${emailTransport.name}`);
 }
 
-// Helper function to send email via SendGrid
-async function sendEmail(mailOptions) {
-  if (!process.env.SENDGRID_API_KEY) {
-    throw new Error('SendGrid API key not configured');
+// --- Outbound Email Queue ---
+// /api/send only queues its emails; delivery, retries and dead letters are
+// handled in the background (see server/email/queue.js). The inquiry records
+// whether its admin notification went out.
+const emailQueue = createEmailQueue({
+  filePath: process.env.EMAIL_QUEUE_FILE || path.join(__dirname, '.data', 'email-queue.jsonl'),
+  transport: emailTransport,
+  onSettled: async (job) => {
+    if (job.meta.kind !== 'admin' || !inquiryStore.get(job.meta.inquiryId)) return;
+    await inquiryStore.update(job.meta.inquiryId, job.status === 'sent'
+      ? { emailDelivery: 'sent', emailError: null }
+      : { emailDelivery: 'failed', emailError: job.lastError });
   }
+});
 
-  const msg = {
-    to: mailOptions.to,
-    from: mailOptions.from,
-    replyTo: mailOptions.replyTo || mailOptions.from,
-    subject: mailOptions.subject,
-    text: mailOptions.text,
-    html: mailOptions.html
+// --- Email Templates ---
+// Subjects and bodies live in server/email/templates (HTML + plain text,
+// shared layout and partials, per-locale auto-replies); see server/email/templates.js.
+const emailTemplates = createEmailTemplates();
+const AUTO_REPLY_LOCALES = emailTemplates.locales('auto-reply');
+
+function adminNotificationData(inquiry) {
+  return {
+    name: inquiry.name,
+    email: inquiry.email,
+    message: inquiry.message,
+    visitorLocale: inquiry.locale,
+    project: describeProjectDetails(inquiry.project, portfolioData.contact.inquiry),
+    attachments: (inquiry.attachments || []).map(file => ({ filename: file.filename, size: formatSize(file.size) })),
+    transcript: (inquiry.transcript || []).map(msg => ({
+      speaker: TRANSCRIPT_SPEAKERS[msg.role],
+      fromVisitor: msg.role === 'user',
+      content: stripMarkdown(msg.content)
+    })),
+    footer: 'Sent from your portfolio website'
   };
-
-  return await sgMail.send(msg);
 }
 
+// Names go into a quoted From display name: no quotes or line breaks
+const displayName = (name) => name.replace(/["\r\n]/g, '').trim();
+
 // --- API Test Route ---
 app.get('/api', (req, res) => {
   res.json({ message: 'Hello from the server!' });
 });
 
-// --- NEW: API Route for Portfolio Data ---
+// --- API Route for Portfolio Data (versioned schema, see server/content.js) ---
 app.get('/api/portfolio-data', (req, res) => {
   res.json(portfolioData);
 });
 
 
-// --- SEO: Sitemap Route ---
-app.get('/sitemap.xml', (req, res) => {
-  const baseUrl = process.env.BASE_URL || `http://localhost:${DEFAULT_PORT}`;
-  const currentDate = new Date().toISOString();
+// --- SEO: Sitemap, robots.txt and Feeds ---
+// Generated from portfolioData (server/seo), with absolute URLs under BASE_URL.
+const SITE_URL = (process.env.BASE_URL || `http://localhost:${DEFAULT_PORT}`).replace(/\/+$/, '');
+
+// Crawlers and feed readers poll these; let them revalidate cheaply
+function sendSeoFile(req, res, { type, body, lastModified }) {
+  res.type(type);
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  if (lastModified) res.setHeader('Last-Modified', lastModified.toUTCString());
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.send(body);
+}
+
+app.get('/sitemap.xml', async (req, res) => {
+  const pages = await listPages(portfolioData, { rootDir: __dirname });
+  sendSeoFile(req, res, {
+    type: 'application/xml',
+    body: buildSitemap(SITE_URL, pages),
+    lastModified: latest(...pages.map(page => page.lastmod))
+  });
+});
+
+app.get('/robots.txt', (req, res) => {
+  sendSeoFile(req, res, { type: 'text/plain', body: buildRobots(SITE_URL) });
+});
+
+app.get('/feed.xml', async (req, res) => {
+  const feed = await describeFeed(portfolioData, { siteUrl: SITE_URL, feedUrl: `${SITE_URL}/feed.xml` });
+  sendSeoFile(req, res, { type: 'application/atom+xml', body: buildAtomFeed(feed), lastModified: feed.updated });
+});
+
+app.get('/rss.xml', async (req, res) => {
+  const feed = await describeFeed(portfolioData, { siteUrl: SITE_URL, feedUrl: `${SITE_URL}/rss.xml` });
+  sendSeoFile(req, res, { type: 'application/rss+xml', body: buildRssFeed(feed), lastModified: feed.updated });
+});
 
-  const sitemap = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-  <url>
-    <loc>${baseUrl}/</loc>
-    <lastmod>${currentDate}</lastmod>
-    <changefreq>monthly</changefreq>
-    <priority>1.0</priority>
-  </url>
-  <url>
-    <loc>${baseUrl}/index.html</loc>
-    <lastmod>${currentDate}</lastmod>
-    <changefreq>monthly</changefreq>
-    <priority>0.8</priority>
-  </url>
-</urlset>`;
+// --- Open Graph Images ---
+// Social cards for link previews (server/og): /og/home.png for the site and
+// /og/<project id>.png per project, referenced by the prerendered pages.
+const ogImages = createOgImages();
 
-  res.header('Content-Type', 'application/xml');
-  res.send(sitemap);
+app.get('/og/:slug.png', (req, res) => {
+  let image;
+  try {
+    image = ogImages.get(portfolioData, req.params.slug);
+  } catch (error) {
+    if (!(error instanceof OgRendererUnavailableError)) throw error;
+    console.error(`❌ ${error.message}`);
+    return res.status(503).json({
+      success: false,
+      message: 'Social card images are not available right now.'
+    });
+  }
+  if (!image) {
+    return res.status(404).json({
+      success: false,
+      message: `No social card for "${req.params.slug}".`
+    });
+  }
+
+  res.type('png');
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  res.setHeader('ETag', image.etag);
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  try {
+    res.send(image.render());
+  } catch (error) {
+    console.error('Error rendering social card:', error);
+    res.removeHeader('ETag');
+    res.status(500).json({
+      success: false,
+      message: 'Could not generate image.'
+    });
+  }
 });
 
 // --- Contact Form Email Route ---
+// --- Contact Inquiry Store ---
+// JSON Lines file under .data/ (dot directory: not reachable through express.static)
+const inquiryStore = createInquiryStore({
+  filePath: process.env.INQUIRIES_FILE || path.join(__dirname, '.data', 'inquiries.jsonl')
+});
+const ATTACHMENTS_DIR = process.env.ATTACHMENTS_DIR || path.join(__dirname, '.data', 'attachments');
+
+// Used when a visitor hands off their chat without writing a note
+const CHAT_HANDOFF_MESSAGE = 'I would like a follow-up on my conversation with your portfolio assistant (see below).';
+
+// --- Spam Protection ---
+// Suspected spam is saved with status "spam" and not emailed; see
+// server/inquiries/spam.js. Without FORM_TOKEN_SECRET tokens are signed with a
+// per-process key, so forms opened before a restart score as invalid (which
+// alone stays under the default threshold).
+const spamFilter = createSpamFilter({
+  secret: process.env.FORM_TOKEN_SECRET || undefined,
+  threshold: parseFloat(process.env.SPAM_SCORE_THRESHOLD) || undefined,
+  minFillMs: process.env.SPAM_MIN_FILL_SECONDS ? parseFloat(process.env.SPAM_MIN_FILL_SECONDS) * 1000 : undefined,
+  blockedDomains: (process.env.SPAM_BLOCKED_DOMAINS || '').split(',').map(domain => domain.trim()).filter(Boolean)
+});
+
+/**
+ * Queues the admin notification and the visitor's auto-reply for an inquiry.
+ * Safe to call again for the same inquiry: the queue deduplicates by key.
+ */
+async function queueInquiryEmails(inquiry) {
+  if (!process.env.VERIFIED_SENDER_EMAIL || !process.env.ADMIN_RECIPIENT_EMAILS) {
+    console.error('Missing required email configuration in .env file');
+    await inquiryStore.update(inquiry.id, { emailDelivery: 'failed', emailError: 'Email is not configured' });
+    return;
+  }
+  if (inquiry.emailDelivery !== 'queued') {
+    await inquiryStore.update(inquiry.id, { emailDelivery: 'queued', emailError: null });
+  }
+
+  // 1. Notification to Admin
+  const adminEmail = emailTemplates.render('admin-notification', adminNotificationData(inquiry));
+  const adminMailOptions = {
+    from: `"${displayName(inquiry.name)}" <${process.env.VERIFIED_SENDER_EMAIL}>`,
+    to: process.env.ADMIN_RECIPIENT_EMAILS,
+    replyTo: inquiry.email,
+    subject: adminEmail.subject,
+    html: adminEmail.html,
+    text: adminEmail.text,
+    // Referenced by path, so the queue file doesn't carry the file contents
+    attachments: (inquiry.attachments || []).map(file => ({
+      filename: file.filename,
+      contentType: file.contentType,
+      path: file.path
+    }))
+  };
+
+  // 2. Auto-Reply to User, in their language
+  const autoReply = emailTemplates.render('auto-reply', {
+    name: inquiry.name,
+    siteUrl: process.env.BASE_URL
+  }, { locale: inquiry.locale });
+  const userAutoReplyOptions = {
+    from: `"Sugam Pokharel" <${process.env.VERIFIED_SENDER_EMAIL}>`,
+    to: inquiry.email,
+    subject: autoReply.subject,
+    html: autoReply.html,
+    text: autoReply.text
+  };
+
+  // Queue both emails; each one is retried on its own, so a failing
+  // auto-reply never holds back the admin notification (or vice versa)
+  await emailQueue.enqueue(adminMailOptions, {
+    idempotencyKey: `${inquiry.id}:admin`,
+    meta: { inquiryId: inquiry.id, kind: 'admin' }
+  });
+  await emailQueue.enqueue(userAutoReplyOptions, {
+    idempotencyKey: `${inquiry.id}:auto-reply`,
+    meta: { inquiryId: inquiry.id, kind: 'auto-reply' }
+  });
+}
+
+// A retried submission (same idempotency key) whose emails failed to queue
+// the first time queues them now, see server/inquiries/submit.js
+const submitInquiry = createInquirySubmitter({
+  store: inquiryStore,
+  saveAttachments: (inquiryId, files) => saveAttachments(ATTACHMENTS_DIR, inquiryId, files),
+  queueEmails: queueInquiryEmails
+});
+
+// Forms fetch a token when they are shown and send it back as `formToken`
+app.get('/api/send/token', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({ success: true, token: spamFilter.issueToken() });
+});
+
 app.post('/api/send', async (req, res) => {
   try {
-    const { name, email, message } = req.body;
-
-    if (!name || !email || !message) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please fill out all fields.'
-      });
+    const { name, email, transcript } = req.body;
+    // Optional client-generated key: a retried submission is not saved or emailed twice
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
+    // Chat handoffs send the conversation; a note of their own is optional then
+    const chatTranscript = normalizeTranscript(transcript);
+    const message = req.body.message || (chatTranscript.length > 0 ? CHAT_HANDOFF_MESSAGE : '');
+
+    const missing = [['name', name], ['email', email], ['message', message]]
+      .filter(([, value]) => !value)
+      .map(([field]) => ({ field, message: 'This field is required.' }));
+    if (missing.length > 0) {
+      return rejectFields(res, missing, 'Please fill out all fields.');
     }
 
-    const sanitizedName = sanitizeInput(name);
-    const sanitizedEmail = email.trim().toLowerCase();
-    const sanitizedMessage = sanitizeInput(message);
+    const sanitizedName = trimInput(name);
+    const sanitizedEmail = trimInput(email).toLowerCase();
+    const sanitizedMessage = trimInput(message);
 
     if (sanitizedName.length < 2 || sanitizedName.length > 100) {
-      return res.status(400).json({
-        success: false,
-        message: 'Name must be between 2 and 100 characters.'
-      });
+      return rejectFields(res, [{ field: 'name', message: 'Name must be between 2 and 100 characters.' }]);
     }
 
     if (!isValidEmail(sanitizedEmail)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide a valid email address.'
-      });
+      return rejectFields(res, [{ field: 'email', message: 'Please provide a valid email address.' }]);
     }
 
     if (!validateMessage(sanitizedMessage, 3000)) {
+      return rejectFields(res, [{ field: 'message', message: 'Message must be between 1 and 3000 characters.' }]);
+    }
+
+    if (req.body.locale !== undefined && typeof req.body.locale !== 'string') {
       return res.status(400).json({
         success: false,
-        message: 'Message must be between 1 and 3000 characters.'
+        message: 'Invalid locale.'
       });
     }
 
-    if (!process.env.VERIFIED_SENDER_EMAIL || !process.env.ADMIN_RECIPIENT_EMAILS) {
-      console.error('Missing required email configuration in .env file');
-      return res.status(500).json({
+    if (idempotencyKey !== undefined && (typeof idempotencyKey !== 'string' || idempotencyKey.length > 100)) {
+      return res.status(400).json({
         success: false,
-        message: 'Server configuration error. Please contact the administrator.'
+        message: 'Invalid idempotency key.'
       });
     }
 
-    // Email to Admin
-    // --- Email Templates ---
-    const getAdminEmailTemplate = (name, email, message) => `
-      <div style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; max-width: 600px; margin: 0 auto; background-color: #f9fafb; padding: 20px; border-radius: 10px;">
-        <div style="background: linear-gradient(135deg, #6366f1, #a855f7); padding: 20px; border-radius: 10px 10px 0 0; text-align: center;">
-          <h2 style="color: white; margin: 0;">New Portfolio Inquiry</h2>
-        </div>
-        <div style="background-color: white; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 4px 6px rgba(0,0,0,0.05);">
-          <p style="color: #4b5563; font-size: 16px;"><strong>Name:</strong> ${name}</p>
-          <p style="color: #4b5563; font-size: 16px;"><strong>Email:</strong> <a href="mailto:${email}" style="color: #6366f1;">${email}</a></p>
-          <hr style="border: 0; border-top: 1px solid #e5e7eb; margin: 20px 0;">
-          <p style="color: #374151; font-size: 16px; line-height: 1.6;"><strong>Message:</strong><br>${message.replace(/\n/g, '<br>')}</p>
-          <div style="margin-top: 30px; text-align: center;">
-            <a href="mailto:${email}" style="background-color: #6366f1; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold;">Reply Now</a>
-          </div>
-        </div>
-        <p style="text-align: center; color: #9ca3af; font-size: 12px; margin-top: 20px;">Sent from your portfolio website</p>
-      </div>
-    `;
-
-    const getUserAutoReplyTemplate = (name) => `
-      <div style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; max-width: 600px; margin: 0 auto; background-color: #f9fafb; padding: 20px; border-radius: 10px;">
-        <div style="background: linear-gradient(135deg, #6366f1, #a855f7); padding: 20px; border-radius: 10px 10px 0 0; text-align: center;">
-          <h2 style="color: white; margin: 0;">Message Received! 🚀</h2>
-        </div>
-        <div style="background-color: white; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 4px 6px rgba(0,0,0,0.05);">
-          <p style="color: #374151; font-size: 18px;">Hi <strong>${name}</strong>,</p>
-          <p style="color: #4b5563; font-size: 16px; line-height: 1.6;">
-            Thanks for reaching out! I've received your message and will get back to you as soon as possible (usually within 24 hours).
-          </p>
-          <p style="color: #4b5563; font-size: 16px; line-height: 1.6;">
-            In the meantime, feel free to check out my latest projects on my portfolio.
-          </p>
-          <div style="margin-top: 30px; padding: 15px; background-color: #f3f4f6; border-radius: 6px; border-left: 4px solid #6366f1;">
-            <p style="margin: 0; color: #4b5563; font-style: italic;">"Building innovative solutions at the intersection of design and technology."</p>
-          </div>
-          <p style="color: #374151; font-size: 16px; margin-top: 30px;">Best regards,<br><strong>Sugam Pokharel</strong></p>
-        </div>
-      </div>
-    `;
-
-    // 1. Send Notification to Admin
-    const adminMailOptions = {
-      from: `"${sanitizedName}" <${process.env.VERIFIED_SENDER_EMAIL}>`,
-      to: process.env.ADMIN_RECIPIENT_EMAILS,
-      replyTo: sanitizedEmail,
-      subject: `New Portfolio Message from ${sanitizedName}`,
-      html: getAdminEmailTemplate(sanitizedName, sanitizedEmail, sanitizedMessage),
-      text: `Name: ${sanitizedName}\nEmail: ${sanitizedEmail}\nMessage: ${sanitizedMessage}` // Fallback
-    };
-
-    // 2. Send Auto-Reply to User
-    const userAutoReplyOptions = {
-      from: `"Sugam Pokharel" <${process.env.VERIFIED_SENDER_EMAIL}>`,
-      to: sanitizedEmail,
-      subject: `Thanks for contacting me! 🚀`,
-      html: getUserAutoReplyTemplate(sanitizedName),
-      text: `Hi ${sanitizedName},\n\nThanks for reaching out! I've received your message and will get back to you shortly.\n\nBest regards,\nSugam Pokharel`
-    };
-
-    // Send both emails using SendGrid
-    await Promise.all([
-      sendEmail(adminMailOptions),
-      sendEmail(userAutoReplyOptions)
-    ]);
+    // Structured inquiry form: project type, budget, timeline and files
+    let project;
+    let files;
+    try {
+      project = parseProjectDetails(req.body, portfolioData.contact.inquiry);
+      files = parseAttachments(req.body.attachments);
+    } catch (error) {
+      if (!(error instanceof InquiryValidationError)) throw error;
+      return rejectFields(res, [{ field: error.field, message: error.message }]);
+    }
 
-    res.status(200).json({
+    const inquirySaved = () => res.status(200).json({
       success: true,
       message: 'Message sent successfully! I\'ll get back to you soon.'
     });
+
+    const spamCheck = spamFilter.score({
+      fields: req.body,
+      name: sanitizedName,
+      email: sanitizedEmail,
+      message: sanitizedMessage
+    });
+
+    // --- Persist first: the inquiry survives even if email delivery fails ---
+    const inquiry = await submitInquiry({
+      ...(idempotencyKey && { idempotencyKey }),
+      source: chatTranscript.length > 0 ? 'chat-handoff' : (project ? 'project-inquiry' : 'contact-form'),
+      name: sanitizedName,
+      email: sanitizedEmail,
+      message: sanitizedMessage,
+      // The auto-reply's language: an explicit `locale`, else the browser's Accept-Language
+      locale: emailTemplates.resolveLocale('auto-reply', req.body.locale || req.acceptsLanguages(AUTO_REPLY_LOCALES)),
+      ...(chatTranscript.length > 0 && { transcript: chatTranscript }),
+      ...(project && { project }),
+      ...(spamCheck.spam && { status: 'spam' }),
+      spamScore: spamCheck.score,
+      ...(spamCheck.reasons.length > 0 && { spamReasons: spamCheck.reasons }),
+      emailDelivery: spamCheck.spam ? 'held' : 'queued'
+    }, { files });
+
+    if (inquiry.emailDelivery === 'held') {
+      const reasons = spamCheck.reasons.map(reason => reason.rule).join(', ');
+      console.warn(`⚠️  Quarantined inquiry ${inquiry.id} as spam (score ${spamCheck.score}: ${reasons})`);
+    }
+    // Same answer for quarantined spam: nothing tells a bot it was caught
+    inquirySaved();
   } catch (error) {
     console.error('Error sending email:', error);
     const errorMessage = 'An error occurred. Please try again or contact me directly at sugampokharel28@gmail.com.';
@@ -444,11 +511,88 @@ app.post('/api/send', async (req, res) => {
   }
 });
 
-// --- AI Chatbot Route (Gemini) ---
-// --- UPDATED to use portfolioData ---
+// --- AI Chatbot Route ---
+// The model behind it is pluggable (Gemini, OpenAI-compatible or a local
+// mock), see server/chat/providers/index.js for the configuration.
+const chatProvider = createChatProvider(process.env, () => portfolioData);
+console.log(`Chat provider: ${chatProvider.name} (${chatProvider.model})`);
+
+// Answers are grounded in the best-matching portfolio chunks and cite them
+// as { section, id, title } so the widget can link to that part of the page.
+let chatIndex = createRetrievalIndex(portfolioData);
+
+const CHAT_FALLBACK_MESSAGE = "I apologize, but I'm currently unable to process your request. Please email Sugam directly at sugampokharel28@gmail.com.";
+const CHAT_BLOCKED_MESSAGE = 'I cannot respond to that. Please ask about Sugam\'s portfolio.';
+
+// --- Chat Guardrails ---
+// Injection attempts are refused before reaching the model; answers that leak
+// secrets or the instructions, or drift off-topic, are replaced. Both end up in
+// CHAT_ABUSE_LOG (JSON Lines, default .data/chat-abuse.jsonl; the dot keeps it
+// out of express.static, which serves the project root).
+const checkChatOutput = createOutputGuard({ env: process.env, instructionFingerprints: PROMPT_FINGERPRINTS });
+const chatAbuseLog = createAbuseLog({
+  filePath: process.env.CHAT_ABUSE_LOG || path.join(__dirname, '.data', 'chat-abuse.jsonl')
+});
+
+// Answer text held back while streaming, so a secret is caught before any of it is sent
+const CHAT_OUTPUT_HOLDBACK = 80;
+
+// --- Streaming Chat (Server-Sent Events) ---
+// Sends the provider's output as `token` events followed by a single `done`
+// (carrying citations and suggestions) or `error` event. Closing the
+// connection cancels the upstream request. An `error` with `retract: true`
+// replaces the partial answer the client already shows.
+async function streamChatReply(res, chatRequest, donePayload, onRejected) {
+  const stream = openEventStream(res);
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  const guard = createStreamGuard(checkChatOutput, { holdback: CHAT_OUTPUT_HOLDBACK });
+  const send = (text) => {
+    if (text) stream.send('token', { text });
+  };
+
+  try {
+    await chatProvider.stream({ ...chatRequest, signal: controller.signal }, (text) => send(guard.push(text)));
+    send(guard.end());
+    stream.send('done', donePayload);
+  } catch (error) {
+    if (error instanceof ChatGuardError) {
+      controller.abort();
+      onRejected(error);
+      stream.send('error', { message: CHAT_BLOCKED_MESSAGE, retract: true });
+      return;
+    }
+    if (controller.signal.aborted) {
+      console.log('Chat stream cancelled by the client.');
+      return;
+    }
+    if (error instanceof ChatBlockedError) {
+      stream.send('error', { message: CHAT_BLOCKED_MESSAGE });
+      return;
+    }
+    console.error(`Error streaming from ${chatProvider.name}:`, error, error.details || '');
+    stream.send('error', { message: CHAT_FALLBACK_MESSAGE });
+  } finally {
+    stream.close();
+  }
+}
+
+// --- Chat Starter Prompts ---
+// Shown under the widget greeting; generated from the content.
+let chatStarters = buildStarterPrompts(portfolioData);
+
+app.get('/api/chat/suggestions', (req, res) => {
+  res.json({ success: true, suggestions: chatStarters });
+});
+
+// Send `stream: true` (or `Accept: text/event-stream`) to receive the reply as
+// Server-Sent Events instead of a single JSON response. With
+// `suggestions: true` the reply also carries 2-3 follow-up questions.
 app.post('/api/chat', async (req, res) => {
   try {
-    const { message, history = [] } = req.body;
+    const { message, history = [], context: pageContext, stream = false, suggestions = false } = req.body;
+    const wantsStream = stream === true || req.get('Accept') === 'text/event-stream';
 
     if (!message || typeof message !== 'string' || message.trim().length === 0) {
       return res.status(400).json({
@@ -459,247 +603,369 @@ app.post('/api/chat', async (req, res) => {
 
     const trimmedMessage = sanitizeInput(message.trim());
 
-    // --- Dynamically build info strings ---
-    const skillsInfo = portfolioData.skills.map(cat =>
-      `* ${cat.category}:\n  * Proficient: ${cat.proficient.join(', ')}\n  * Familiar: ${cat.familiar.join(', ')}`
-    ).join('\n');
-
-    const projectsInfo = portfolioData.projects.map(p =>
-      `* ${p.title}: ${p.description} (Tech: ${p.tech.join(', ')})${p.links.preview ? ` [Live at ${p.links.preview}]` : ''}`
-    ).join('\n');
-
-    const experienceInfo = portfolioData.experience.map(e =>
-      `* ${e.title} (${e.period}): ${e.points.join(' ')}`
-    ).join('\n');
-
-    const systemPrompt = `You are a helpful AI assistant on Sugam Pokharel's portfolio website.
-Your name is 'AI Assistant'. You are friendly, polite, and professional.
-Your purpose is to answer questions about Sugam's skills, projects, and experience.
-Do not answer off-topic questions (like math, general knowledge unrelated to tech, or politics). Politely decline and steer the conversation back to Sugam's portfolio.
-
-Here is Sugam's info:
-- Role: ${portfolioData.title}
-- Contact: ${portfolioData.email}
-- Summary: ${portfolioData.about.summary.join(' ')}
+    const messages = normalizeHistory(history);
+    const pageSection = normalizePageSection(pageContext);
 
-- Skills:
-${skillsInfo}
-
-- Experience:
-${experienceInfo}
-
-- Projects:
-${projectsInfo}
-
-Keep responses concise and helpful. Use simple markdown for lists if needed.`;
+    // Logged with the question only, never with a rejected answer (it may hold a secret)
+    const logRejection = ({ stage, rule }, text = message) => chatAbuseLog.record({
+      stage, rule, ip: req.ip, text, section: pageSection
+    });
 
-    const apiKey = process.env.GEMINI_API_KEY;
-    if (!apiKey) {
-      throw new Error('Server configuration error: API key missing');
+    // --- Guardrails: history comes from the client too, so it is checked as well ---
+    const injectedText = [message, ...messages.map(msg => msg.content)].find(detectInjection);
+    if (injectedText) {
+      logRejection({ stage: 'input', rule: detectInjection(injectedText) }, injectedText);
+      return res.status(400).json({
+        success: false,
+        message: CHAT_BLOCKED_MESSAGE
+      });
     }
 
-    const model = 'gemini-2.5-flash';
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
-
-    const contents = history.map(msg => ({
-      role: msg.role === 'bot' ? 'model' : 'user',
-      parts: [{ text: msg.content }]
-    }));
-    contents.push({
-      role: 'user',
-      parts: [{ text: trimmedMessage }]
-    });
-
-    const payload = {
-      contents: contents,
-      systemInstruction: {
-        parts: [{ text: systemPrompt }]
-      },
-      generationConfig: {
-        temperature: 0.7,
-        maxOutputTokens: 512, // Reduced for faster responses
-      },
+    // --- Retrieval: only the chunks relevant to this question go to the model ---
+    let context = chatIndex.search(trimmedMessage);
+    if (context.length === 0 && (messages.length > 0 || pageSection)) {
+      context = chatIndex.search(followUpQuery(messages, pageSection));
+    }
+    const citations = toCitations(context);
+    const followUps = suggestions === true ? { suggestions: buildFollowUps(portfolioData, citations, message) } : {};
+    const systemPrompt = buildSystemPrompt(portfolioData, context, { pageSection });
+
+    messages.push({ role: 'user', content: trimmedMessage });
+
+    const chatRequest = {
+      systemPrompt,
+      messages,
+      context,
+      // Streamed replies show up word by word, so they can afford to be longer
+      maxOutputTokens: wantsStream ? 2048 : 512
     };
 
+    if (wantsStream) {
+      return await streamChatReply(res, chatRequest, { citations, ...followUps }, logRejection);
+    }
+
     try {
-      const apiResponse = await fetchWithBackoff(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload),
-      }, 3, 1000);
-
-      if (!apiResponse.ok) {
-        const errorData = await apiResponse.json();
-        console.error('Gemini API Error (after retries):', JSON.stringify(errorData, null, 2));
-        throw new Error(`API call failed with status: ${apiResponse.status}`);
+      const { text } = await chatProvider.generate(chatRequest);
+      const outputRule = checkChatOutput(text);
+      if (outputRule) {
+        throw new ChatGuardError('output', outputRule);
       }
-
-      const result = await apiResponse.json();
-
-      if (result.promptFeedback?.blockReason) {
+      res.json({ success: true, message: text, citations, ...followUps });
+    } catch (providerError) {
+      if (providerError instanceof ChatGuardError) {
+        logRejection(providerError);
+      }
+      if (providerError instanceof ChatBlockedError || providerError instanceof ChatGuardError) {
         return res.status(400).json({
           success: false,
-          message: 'I cannot respond to that. Please ask about Sugam\'s portfolio.'
+          message: CHAT_BLOCKED_MESSAGE
         });
       }
-
-      const candidate = result.candidates?.[0];
-      if (candidate && candidate.content?.parts?.[0]?.text) {
-        res.json({ success: true, message: candidate.content.parts[0].text });
-      } else {
-        throw new Error('Invalid response structure from AI API');
-      }
-    } catch (fetchError) {
-      if (fetchError.name === 'AbortError') {
+      if (providerError.name === 'AbortError') {
         throw new Error('Request timeout: The AI service took too long.');
       }
-      throw fetchError;
+      throw providerError;
     }
 
   } catch (error) {
-    console.error('Error with Gemini AI:', error);
-    const fallbackResponse = "I apologize, but I'm currently unable to process your request. Please email Sugam directly at sugampokharel28@gmail.com.";
+    console.error(`Error with ${chatProvider.name} AI:`, error, error.details || '');
     res.status(500).json({
       success: false,
-      message: fallbackResponse
+      message: CHAT_FALLBACK_MESSAGE
     });
   }
 });
 
-// --- Dynamic PDF Resume Generation Route (PDFKit) ---
-// --- UPDATED to use portfolioData ---
-app.get('/api/resume', async (req, res, next) => {
-  try {
-    console.log('Generating PDF resume with PDFKit...');
-
-    const doc = new PDFDocument({
-      size: 'A4',
-      margins: { top: 50, bottom: 50, left: 50, right: 50 }
+// --- Chat Transcript PDF ---
+// The widget builds Markdown exports itself; PDFs are rendered here with the
+// same PDFKit setup as the resume. Body: { transcript: [{ role, content }] }.
+app.post('/api/chat/transcript', (req, res) => {
+  const transcript = normalizeTranscript(req.body.transcript);
+  if (transcript.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'There is no conversation to export yet.'
     });
+  }
 
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', 'attachment; filename="Sugam-Pokharel-Resume.pdf"');
+  const doc = new PDFDocument({
+    size: 'A4',
+    margins: { top: 50, bottom: 50, left: 50, right: 50 }
+  });
 
-    doc.pipe(res);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', 'attachment; filename="Chat-with-Sugam-Pokharel.pdf"');
+  doc.pipe(res);
 
-    // Use portfolioData as the resume data
-    const resumeData = portfolioData;
+  writeTranscriptPdf(doc, transcript, {
+    title: `Chat about ${portfolioData.profile.name}'s portfolio`,
+    subtitle: `Exported ${new Date().toUTCString()} from ${portfolioData.profile.website}`
+  });
+  doc.end();
+});
 
-    let yPos = 50;
-    const checkPageBreak = (requiredSpace) => {
-      if (yPos + requiredSpace > 750) {
-        doc.addPage();
-        yPos = 50;
-        return true;
-      }
-      return false;
-    };
+// --- Dynamic PDF Resume Generation Route (PDFKit) ---
+// Rendered from portfolioData; `?theme=` picks a layout from server/resume/themes.js,
+// `?focus=frontend` and/or `?skills=React,Three.js` tailor the content and
+// `?inline=1` shows it in the browser instead of downloading it. Each
+// combination is rendered once (server/resume/cache.js) and revalidated by ETag.
+const resumeCache = createResumeCache({ render: renderResumePdf });
+
+app.get('/api/resume/themes', (req, res) => {
+  res.json({ success: true, default: DEFAULT_RESUME_THEME, themes: listResumeThemes() });
+});
 
-    const addSectionHeader = (text, yPos) => {
-      checkPageBreak(30);
-      doc.fontSize(16)
-        .fillColor('#3b82f6')
-        .font('Helvetica-Bold')
-        .text(text, 50, yPos, { underline: true });
-      return yPos + 30;
-    };
+app.get('/api/resume/focuses', (req, res) => {
+  res.json({ success: true, focuses: listResumeFocuses(portfolioData) });
+});
+
+app.get('/api/resume/formats', (req, res) => {
+  res.json({ success: true, formats: listResumeFormats() });
+});
 
-    // Header
-    doc.fontSize(28).fillColor('#1f2937').font('Helvetica-Bold').text(resumeData.name, 50, yPos);
-    yPos += 35; // Increased spacing
-    doc.fontSize(14).fillColor('#6b7280').font('Helvetica').text(resumeData.title, 50, yPos);
-    yPos += 30; // Increased spacing
-
-    // Contact Information
-    doc.fontSize(10).fillColor('#6b7280').font('Helvetica');
-    doc.text(`Email: ${resumeData.email}`, 50, yPos);
-    doc.text(`Portfolio: ${resumeData.portfolio}`, 280, yPos);
-    yPos += 15;
-    doc.text(`LinkedIn: ${resumeData.linkedin}`, 50, yPos);
-    doc.text(`GitHub: ${resumeData.github}`, 280, yPos);
-    yPos += 35;
-
-    // Sections
-    yPos = addSectionHeader('Professional Summary', yPos);
-    checkPageBreak(40);
-    doc.fontSize(11).fillColor('#6b7280').font('Helvetica-Oblique');
-    const summaryText = resumeData.about.summary.join(' '); // Join summary paragraphs
-    const summaryHeight = doc.heightOfString(summaryText, { width: 495 });
-    doc.text(summaryText, 50, yPos, { width: 495, align: 'left' });
-    yPos += summaryHeight + 25;
-
-    yPos = addSectionHeader('Technical Skills', yPos);
-    checkPageBreak(60);
-    resumeData.skills.forEach(skillCat => {
-      // Category name
-      doc.fontSize(11).fillColor('#1f2937').font('Helvetica-Bold').text(`${skillCat.category}:`, 50, yPos);
-
-      // Skills text - ensure it starts on a new line to avoid overlap
-      const allSkills = `Proficient: ${skillCat.proficient.join(', ')}. Familiar: ${skillCat.familiar.join(', ')}`;
-      const skillsHeight = doc.heightOfString(allSkills, { width: 495 });
-      yPos += 15; // Move down before adding skills text
-      doc.font('Helvetica').fillColor('#6b7280').text(allSkills, 70, yPos, { width: 475 });
-      yPos += skillsHeight + 10;
+// The same resume as JSON Resume, Markdown, DOCX or plain text (ATS);
+// `?focus=` and `?skills=` work as for the PDF
+app.get('/api/resume/export/:format', (req, res) => {
+  const { format } = req.params;
+  const { focus, skills } = req.query;
+  let file;
+  try {
+    file = createResumeExport(portfolioData, format, { focus, skills });
+  } catch (error) {
+    if (error instanceof ResumeOptionError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error(`Error exporting resume as ${format}:`, error);
+    return res.status(500).json({
+      success: false,
+      message: 'Could not generate resume.'
     });
-    yPos += 15;
-
-
-    yPos = addSectionHeader('Professional Experience', yPos);
-    resumeData.experience.forEach((job) => {
-      checkPageBreak(100);
-      doc.fontSize(12).fillColor('#1f2937').font('Helvetica-Bold').text(job.title, 50, yPos, { width: 350 });
-      doc.fontSize(10).fillColor('#6b7280').font('Helvetica-Oblique').text(job.period, 400, yPos, { align: 'right', width: 145 });
-      yPos += 25;
-      job.points.forEach(point => {
-        checkPageBreak(20);
-        doc.fontSize(10).fillColor('#1f2937').font('Helvetica').text(`• ${point}`, 60, yPos, { width: 435, align: 'left' });
-        yPos += doc.heightOfString(`• ${point}`, { width: 435 }) + 5;
+  }
+
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${resumeFileName(portfolioData, file.extension, { focus, skills })}"`);
+  res.send(file.body);
+});
+
+app.get('/api/resume', async (req, res) => {
+  const theme = req.query.theme || DEFAULT_RESUME_THEME;
+  const { focus, skills, inline } = req.query;
+  let resume;
+  try {
+    resume = await resumeCache.get(portfolioData, { theme, focus, skills });
+  } catch (error) {
+    if (error instanceof ResumeOptionError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
       });
-      yPos += 15;
+    }
+    console.error('Error generating PDF:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Could not generate resume.'
     });
+  }
 
-    yPos = addSectionHeader('Selected Projects', yPos);
-    resumeData.projects.forEach((project) => {
-      checkPageBreak(100);
-      doc.fontSize(12).fillColor('#1f2937').font('Helvetica-Bold').text(project.title, 50, yPos, { width: 350 });
-      doc.fontSize(10).fillColor('#6b7280').font('Helvetica-Oblique').text(project.tech.join(', '), 400, yPos, { align: 'right', width: 145 });
-      yPos += 25;
+  sendCachedResume(req, res, resume, {
+    disposition: inline === '1' || inline === 'true' ? 'inline' : 'attachment',
+    filename: resumeFileName(portfolioData, 'pdf', { theme, focus, skills })
+  });
+});
 
-      const point = `${project.description}${project.links.preview ? ` Live at ${project.links.preview}.` : ''}`;
-      checkPageBreak(20);
-      doc.fontSize(10).fillColor('#1f2937').font('Helvetica').text(`• ${point}`, 60, yPos, { width: 435, align: 'left' });
-      yPos += doc.heightOfString(`• ${point}`, { width: 435 }) + 5;
+// --- Content Reloading ---
+// Edits to portfolio.json apply without a restart. Whatever was built from
+// the old content is rebuilt, and cached resumes are dropped (their keys
+// would not match anymore anyway). An invalid edit is logged and skipped.
+watchContent((content) => {
+  portfolioData = content;
+  chatIndex = createRetrievalIndex(content);
+  chatStarters = buildStarterPrompts(content);
+  resumeCache.clear();
+  clearCommitDates();
+  console.log('✅ Reloaded portfolio.json');
+});
 
-      yPos += 15;
-    });
+// --- Admin Inbox API ---
+// Triage saved contact inquiries. All routes need `Authorization: Bearer <ADMIN_TOKEN>`.
+// Nothing here may be kept by the browser or the service worker.
+app.use('/api/admin', (req, res, next) => {
+  res.setHeader('Cache-Control', 'private, no-store');
+  next();
+}, requireAdmin(process.env.ADMIN_TOKEN));
+
+// Attachments are listed by index; GET .../attachments/:index downloads one
+const presentInquiry = ({ attachments, ...inquiry }) => ({
+  ...inquiry,
+  ...(attachments && {
+    attachments: attachments.map(({ path: filePath, ...file }, i) => ({
+      ...file,
+      url: `/api/admin/inquiries/${inquiry.id}/attachments/${i}`
+    }))
+  })
+});
 
-    doc.end();
-    console.log('PDF generated successfully.');
+// Full transcripts are only included in the detail view
+const summarizeInquiry = ({ transcript, ...inquiry }) => ({
+  ...presentInquiry(inquiry),
+  transcriptLength: transcript ? transcript.length : 0
+});
 
-  } catch (error) {
-    console.error('Error generating PDF:', error);
-    res.status(500).json({
+// GET /api/admin/inquiries?status=new&q=react&limit=50&offset=0
+app.get('/api/admin/inquiries', (req, res) => {
+  const { status, q } = req.query;
+  if (status && !INQUIRY_STATUSES.includes(status)) {
+    return res.status(400).json({
       success: false,
-      message: 'Could not generate resume.'
+      message: `Status must be one of: ${INQUIRY_STATUSES.join(', ')}.`
     });
   }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+  const { total, inquiries } = inquiryStore.list({ status, q: typeof q === 'string' ? q : undefined, limit, offset });
+
+  res.json({ success: true, total, limit, offset, inquiries: inquiries.map(summarizeInquiry) });
 });
 
-// --- Serve Frontend ---
-app.get('/privacy', (req, res) => {
-  res.sendFile(path.join(__dirname, 'privacy.html'));
+app.get('/api/admin/inquiries/:id', (req, res) => {
+  const inquiry = inquiryStore.get(req.params.id);
+  if (!inquiry) {
+    return res.status(404).json({ success: false, message: 'Inquiry not found.' });
+  }
+  res.json({ success: true, inquiry: presentInquiry(inquiry) });
 });
 
-app.get('/terms', (req, res) => {
-  res.sendFile(path.join(__dirname, 'terms.html'));
+app.get('/api/admin/inquiries/:id/attachments/:index', (req, res) => {
+  const inquiry = inquiryStore.get(req.params.id);
+  const file = inquiry && inquiry.attachments && inquiry.attachments[parseInt(req.params.index)];
+  if (!file) {
+    return res.status(404).json({ success: false, message: 'Attachment not found.' });
+  }
+  // Always a download: visitor-supplied files never render on our origin
+  res.download(file.path, file.filename, {
+    cacheControl: false,
+    headers: { 'Content-Type': file.contentType, 'Cache-Control': 'private, no-store' }
+  });
 });
 
+// Body: { status?: 'new' | 'replied' | 'archived' | 'spam', note?: string }
+app.patch('/api/admin/inquiries/:id', async (req, res, next) => {
+  try {
+    const { status, note } = req.body;
+    const changes = {};
+
+    if (status !== undefined) {
+      if (!INQUIRY_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${INQUIRY_STATUSES.join(', ')}.`
+        });
+      }
+      changes.status = status;
+    }
+    if (note !== undefined) {
+      if (typeof note !== 'string' || note.length > 2000) {
+        return res.status(400).json({ success: false, message: 'Note must be text of at most 2000 characters.' });
+      }
+      changes.note = note.trim();
+    }
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ success: false, message: 'Nothing to update: send a status and/or a note.' });
+    }
+
+    const inquiry = await inquiryStore.update(req.params.id, changes);
+    // Releasing a quarantined inquiry sends the emails it was held back from
+    if (inquiry.emailDelivery === 'held' && inquiry.status !== 'spam') {
+      await queueInquiryEmails(inquiry);
+    }
+    res.json({ success: true, inquiry: presentInquiry(inquiryStore.get(inquiry.id)) });
+  } catch (error) {
+    if (error instanceof InquiryNotFoundError) {
+      return res.status(404).json({ success: false, message: 'Inquiry not found.' });
+    }
+    next(error);
+  }
+});
+
+// --- Email Dead Letters ---
+// Emails that failed every attempt. Re-queue one once the cause is fixed.
+app.get('/api/admin/email/dead-letters', (req, res) => {
+  res.json({ success: true, stats: emailQueue.stats(), deadLetters: emailQueue.deadLetters() });
+});
+
+app.get('/api/admin/email/dead-letters/:id', (req, res) => {
+  const job = emailQueue.get(req.params.id);
+  if (!job || job.status !== 'dead') {
+    return res.status(404).json({ success: false, message: 'Dead letter not found.' });
+  }
+  res.json({ success: true, job });
+});
+
+app.post('/api/admin/email/dead-letters/:id/retry', async (req, res, next) => {
+  try {
+    const job = await emailQueue.retry(req.params.id);
+    res.json({ success: true, job });
+  } catch (error) {
+    if (error instanceof EmailJobNotFoundError) {
+      return res.status(404).json({ success: false, message: 'Dead letter not found.' });
+    }
+    next(error);
+  }
+});
+
+// --- Email Template Previews ---
+// Every template rendered with its sample.json, e.g. to check a layout change
+// in a browser: GET /api/admin/email/templates/auto-reply/preview?locale=de
+app.get('/api/admin/email/templates', (req, res) => {
+  const templates = emailTemplates.names().map(name => ({ name, locales: emailTemplates.locales(name) }));
+  res.json({ success: true, templates });
+});
+
+// ?locale=de&format=html (default) | text | json
+app.get('/api/admin/email/templates/:name/preview', (req, res, next) => {
+  const { locale, format = 'html' } = req.query;
+  if (!['html', 'text', 'json'].includes(format)) {
+    return res.status(400).json({ success: false, message: 'Format must be one of: html, text, json.' });
+  }
+
+  try {
+    const { name } = req.params;
+    const email = emailTemplates.render(name, emailTemplates.sample(name), { locale });
+    if (format === 'json') return res.json({ success: true, email });
+    res.type(format === 'html' ? 'html' : 'text').send(email[format]);
+  } catch (error) {
+    if (error instanceof EmailTemplateNotFoundError) {
+      return res.status(404).json({ success: false, message: 'Email template not found.' });
+    }
+    next(error);
+  }
+});
+
+// --- Serve Frontend ---
+// The legal pages; listed in the sitemap from the same STATIC_PAGES
+STATIC_PAGES.forEach(page => {
+  app.get(page.path, (req, res) => {
+    res.sendFile(path.join(__dirname, page.file));
+  });
+});
+
+// Everything else is the React app: the route's prerendered page
+// (/projects/:id has one), the built home page, or without a build the
+// root index.html. A project route is only there for a shipped showcase
+// project (see the sitemap); any other gets the home page as a 404.
 app.get('*', (req, res, next) => {
-  if (!req.path.startsWith('/api')) {
-    res.sendFile(path.join(__dirname, 'index.html'));
-  } else {
-    next();
+  if (req.path.startsWith('/api')) return next();
+
+  const fallback = path.join(__dirname, 'index.html');
+  const projectId = projectIdFromPath(req.path);
+  if (projectId && !getListedProjects(portfolioData).some(project => project.id === projectId)) {
+    return res.status(404).sendFile(resolvePage(DIST_DIR, '/', fallback));
   }
+  res.sendFile(resolvePage(DIST_DIR, req.path, fallback));
 });
 
 app.use((err, req, res, next) => {
@@ -728,4 +994,16 @@ const startServer = (port) => {
   });
 };
 
-startServer(DEFAULT_PORT);
\ No newline at end of file
+// The inbox and the email queue are loaded (and compacted) before the first
+// request is accepted
+inquiryStore.load()
+  .then(async (count) => {
+    console.log(`Inquiry store: ${count} inquiries in ${inquiryStore.filePath}`);
+    const pending = await emailQueue.start();
+    console.log(`Email queue: ${pending} pending in ${emailQueue.filePath}`);
+    startServer(DEFAULT_PORT);
+  })
+  .catch((error) => {
+    console.error('Could not load the inquiry store or email queue:', error);
+    process.exit(1);
+  });
\ No newline at end of file
@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+
+// --- Admin API Authentication ---
+// Every /api/admin route needs `Authorization: Bearer <ADMIN_TOKEN>`. Without
+// ADMIN_TOKEN configured the admin API stays switched off.
+
+function tokensMatch(given, expected) {
+  // Hash first so timingSafeEqual always compares equal-length buffers
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+function requireAdmin(adminToken) {
+  return (req, res, next) => {
+    if (!adminToken) {
+      return res.status(503).json({
+        success: false,
+        message: 'The admin API is disabled. Set ADMIN_TOKEN to enable it.'
+      });
+    }
+
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token || !tokensMatch(token, adminToken)) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized.'
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = { requireAdmin };
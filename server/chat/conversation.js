@@ -0,0 +1,65 @@
+// --- Conversation State From the Client ---
+// The widget keeps the conversation in sessionStorage and sends it with every
+// turn as `history`, plus the page section in view as `context`. Both come
+// straight from the browser, so they are bounded and cleaned up here.
+
+const MAX_HISTORY_MESSAGES = 12;
+const MAX_HISTORY_MESSAGE_LENGTH = 1500;
+
+/**
+ * Normalizes client history ([{ role: 'user' | 'bot' | 'assistant', content }],
+ * oldest first) into provider messages. Keeps the most recent turns, merges
+ * consecutive messages from the same side and makes sure turns alternate
+ * starting with the visitor, as Gemini requires. A trailing unanswered
+ * question (failed or stopped reply) is dropped.
+ */
+function normalizeHistory(history) {
+  if (!Array.isArray(history)) return [];
+
+  const messages = history
+    .filter(msg => msg && typeof msg.content === 'string' && msg.content.trim())
+    .slice(-MAX_HISTORY_MESSAGES)
+    .map(msg => ({
+      role: msg.role === 'bot' || msg.role === 'assistant' ? 'assistant' : 'user',
+      content: msg.content.trim().slice(0, MAX_HISTORY_MESSAGE_LENGTH)
+    }))
+    .reduce((merged, msg) => {
+      const previous = merged[merged.length - 1];
+      if (previous && previous.role === msg.role) {
+        previous.content += `\n\n${msg.content}`;
+      } else {
+        merged.push(msg);
+      }
+      return merged;
+    }, []);
+
+  while (messages.length > 0 && messages[0].role !== 'user') {
+    messages.shift();
+  }
+  if (messages.length > 0 && messages[messages.length - 1].role === 'user') {
+    messages.pop();
+  }
+  return messages;
+}
+
+/**
+ * Returns the page section id sent as `context` (e.g. "projects"), or null
+ * when it is missing or not a plain section id.
+ */
+function normalizePageSection(context) {
+  if (typeof context !== 'string') return null;
+  const section = context.trim().toLowerCase();
+  return /^[a-z0-9-]{1,40}$/.test(section) ? section : null;
+}
+
+/**
+ * Text to retrieve with when the question alone matches nothing, which is
+ * typical for follow-ups like "tell me more about this one": the previous
+ * question plus the section the visitor is looking at.
+ */
+function followUpQuery(messages, pageSection) {
+  const lastQuestion = [...messages].reverse().find(msg => msg.role === 'user');
+  return [lastQuestion?.content, pageSection].filter(Boolean).join(' ');
+}
+
+module.exports = { normalizeHistory, normalizePageSection, followUpQuery, MAX_HISTORY_MESSAGES };
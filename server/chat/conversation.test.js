@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeHistory, normalizePageSection, followUpQuery, MAX_HISTORY_MESSAGES } = require('./conversation');
+
+test('maps widget roles to provider roles', () => {
+  assert.deepEqual(normalizeHistory([
+    { role: 'user', content: ' Hi ' },
+    { role: 'bot', content: 'Hello!' }
+  ]), [
+    { role: 'user', content: 'Hi' },
+    { role: 'assistant', content: 'Hello!' }
+  ]);
+});
+
+test('starts with the visitor and drops a trailing unanswered question', () => {
+  assert.deepEqual(normalizeHistory([
+    { role: 'bot', content: 'Welcome' },
+    { role: 'user', content: 'What stack?' },
+    { role: 'assistant', content: 'MERN.' },
+    { role: 'user', content: 'And then?' }
+  ]), [
+    { role: 'user', content: 'What stack?' },
+    { role: 'assistant', content: 'MERN.' }
+  ]);
+});
+
+test('merges consecutive messages from the same side and skips empty ones', () => {
+  assert.deepEqual(normalizeHistory([
+    { role: 'user', content: 'One' },
+    { role: 'user', content: '   ' },
+    { role: 'user', content: 'Two' },
+    { role: 'bot', content: 'Answer' }
+  ]), [
+    { role: 'user', content: 'One\n\nTwo' },
+    { role: 'assistant', content: 'Answer' }
+  ]);
+});
+
+test('keeps only the most recent messages', () => {
+  const history = Array.from({ length: 30 }, (_, i) => ({ role: i % 2 ? 'bot' : 'user', content: `m${i}` }));
+  const messages = normalizeHistory(history);
+  assert.equal(messages.length, MAX_HISTORY_MESSAGES);
+  assert.equal(messages[messages.length - 1].content, 'm29');
+});
+
+test('ignores history that is not an array of messages', () => {
+  assert.deepEqual(normalizeHistory('nope'), []);
+  assert.deepEqual(normalizeHistory([null, { role: 'user' }, { content: 42 }]), []);
+});
+
+test('accepts plain section ids only', () => {
+  assert.equal(normalizePageSection(' Projects '), 'projects');
+  assert.equal(normalizePageSection('<script>'), null);
+  assert.equal(normalizePageSection(undefined), null);
+});
+
+test('builds a follow-up query from the last question and the section', () => {
+  const messages = [
+    { role: 'user', content: 'Tell me about AJK' },
+    { role: 'assistant', content: 'A cleaning site.' }
+  ];
+  assert.equal(followUpQuery(messages, 'projects'), 'Tell me about AJK projects');
+  assert.equal(followUpQuery([], null), '');
+});
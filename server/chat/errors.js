@@ -0,0 +1,32 @@
+// --- Chat Errors ---
+
+// The model (or its safety filter) refused to answer the prompt
+class ChatBlockedError extends Error {
+  constructor(reason = 'blocked') {
+    super(`Chat reply blocked: ${reason}`);
+    this.name = 'ChatBlockedError';
+    this.reason = reason;
+  }
+}
+
+// The provider answered with a non-2xx status or an unexpected payload
+class ChatProviderError extends Error {
+  constructor(provider, message, details) {
+    super(`${provider}: ${message}`);
+    this.name = 'ChatProviderError';
+    this.provider = provider;
+    this.details = details;
+  }
+}
+
+// Our own guardrails rejected the question ('input') or the answer ('output')
+class ChatGuardError extends Error {
+  constructor(stage, rule) {
+    super(`Chat ${stage} rejected by rule "${rule}"`);
+    this.name = 'ChatGuardError';
+    this.stage = stage;
+    this.rule = rule;
+  }
+}
+
+module.exports = { ChatBlockedError, ChatProviderError, ChatGuardError };
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ChatGuardError } = require('./errors');
+
+// --- Chat Guardrails ---
+// Checks each question for prompt-injection attempts before it reaches the
+// model, and each answer for leaked secrets, leaked instructions or off-topic
+// content before it reaches the visitor. Rejections are appended to a JSON
+// Lines log for review.
+
+const INJECTION_PATTERNS = [
+  { id: 'ignore-instructions', pattern: /\b(ignore|disregard|forget|override)\b.{0,40}\b(previous|prior|above|earlier|all|your|the|system)\b.{0,20}\b(instructions?|prompts?|rules|directions|guidelines)\b/i },
+  { id: 'reveal-prompt', pattern: /\b(reveal|show|print|repeat|output|display|leak|tell me|what (is|are|were))\b.{0,30}\b(system|initial|original|hidden|secret)\s+(prompt|instructions?|message|rules)\b/i },
+  { id: 'reveal-prompt', pattern: /\b(repeat|print|output)\b.{0,20}\b(everything|all|the text|words)\b.{0,20}\b(above|before|so far)\b/i },
+  { id: 'role-override', pattern: /\b(you are now|from now on,? you|act as|pretend (to be|you are)|roleplay as)\b.{0,60}\b(unrestricted|unfiltered|jailbroken|without (any )?(rules|restrictions|limits)|dan|developer mode|evil)\b/i },
+  { id: 'jailbreak', pattern: /\b(jailbreak|developer mode|do anything now|dan mode)\b/i },
+  { id: 'fake-delimiter', pattern: /(<\|im_(start|end)\|>|<\/?system>|\[\/?(system|inst)\]|^\s*#{2,}\s*system\b|^\s*system\s*:)/im }
+];
+
+const SECRET_PATTERNS = [
+  { id: 'google-api-key', pattern: /AIza[0-9A-Za-z_-]{35}/ },
+  { id: 'openai-api-key', pattern: /\bsk-(proj-)?[A-Za-z0-9_-]{20,}/ },
+  { id: 'sendgrid-api-key', pattern: /\bSG\.[A-Za-z0-9_-]{16,}\.[A-Za-z0-9_-]{16,}/ },
+  { id: 'private-key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----/ },
+  { id: 'bearer-token', pattern: /\bBearer\s+[A-Za-z0-9._-]{20,}/ }
+];
+
+// Topics the assistant must never drift into, whatever the question was
+const OFF_TOPIC_PATTERNS = [
+  { id: 'politics', pattern: /\b(election|democrat|republican|political party|vote for|president (biden|trump))\b/i },
+  { id: 'violence', pattern: /\b(how to (make|build) (a )?(bomb|weapon|explosive)|kill (yourself|someone))\b/i },
+  { id: 'explicit', pattern: /\b(porn|sexual|nsfw)\b/i },
+  { id: 'advice', pattern: /\b(medical|legal|financial|investment) advice\b/i }
+];
+
+// Environment variables whose values must never appear in an answer
+const SECRET_ENV_NAME = /(KEY|TOKEN|SECRET|PASSWORD|PASS)$/i;
+
+/**
+ * Returns the first injection rule the text trips, or null.
+ */
+function detectInjection(text) {
+  if (typeof text !== 'string') return null;
+  const match = INJECTION_PATTERNS.find(({ pattern }) => pattern.test(text));
+  return match ? match.id : null;
+}
+
+/**
+ * Builds the output check for one server: it knows the configured secret
+ * values and a fingerprint of the instructions that must not be echoed back.
+ */
+function createOutputGuard({ env = process.env, instructionFingerprints = [] } = {}) {
+  const secretValues = Object.entries(env)
+    .filter(([name, value]) => SECRET_ENV_NAME.test(name) && typeof value === 'string' && value.length >= 8)
+    .map(([, value]) => value);
+
+  /**
+   * Returns the first rule the answer breaks, or null when it is safe to show.
+   */
+  return function checkOutput(text) {
+    if (secretValues.some(value => text.includes(value))) return 'env-secret';
+
+    const secret = SECRET_PATTERNS.find(({ pattern }) => pattern.test(text));
+    if (secret) return secret.id;
+
+    if (instructionFingerprints.some(fingerprint => text.includes(fingerprint))) return 'prompt-leak';
+
+    const offTopic = OFF_TOPIC_PATTERNS.find(({ pattern }) => pattern.test(text));
+    return offTopic ? `off-topic:${offTopic.id}` : null;
+  };
+}
+
+/**
+ * Checks a streamed answer as it grows. `push` takes the next chunk and
+ * returns the text that is safe to send; the last `holdback` characters are
+ * kept back, so a secret split across chunks is caught before any of it goes
+ * out. `end` returns the rest. Both throw ChatGuardError when a rule trips.
+ */
+function createStreamGuard(checkOutput, { holdback = 80 } = {}) {
+  let reply = '';
+  let sentLength = 0;
+
+  const release = (upTo) => {
+    const rule = checkOutput(reply);
+    if (rule) throw new ChatGuardError('output', rule);
+    if (upTo <= sentLength) return '';
+    const text = reply.slice(sentLength, upTo);
+    sentLength = upTo;
+    return text;
+  };
+
+  return {
+    push(text) {
+      reply += text;
+      return release(reply.length - holdback);
+    },
+
+    end() {
+      return release(reply.length);
+    }
+  };
+}
+
+/**
+ * Append-only JSON Lines log of rejected questions and answers. IP addresses
+ * are stored hashed: enough to spot repeat offenders without keeping them.
+ * One address gets at most `maxPerWindow` entries per `windowMs`, so a flood
+ * of rejected requests can't fill the disk; the first entry after that notes
+ * how many were skipped.
+ */
+function createAbuseLog({ filePath, maxPerWindow = 20, windowMs = 60 * 60 * 1000, now = Date.now }) {
+  let ready = null;
+  const windows = new Map(); // ipHash -> { start, count, skipped }
+
+  // Counts an entry against its address; false once the window is full
+  const admit = (ipHash) => {
+    const time = now();
+    for (const [key, window] of windows) {
+      if (time - window.start >= windowMs) windows.delete(key);
+    }
+    const window = windows.get(ipHash) || { start: time, count: 0, skipped: 0 };
+    windows.set(ipHash, window);
+    if (window.count >= maxPerWindow) {
+      window.skipped++;
+      return false;
+    }
+    window.count++;
+    return true;
+  };
+
+  return {
+    filePath,
+
+    /**
+     * Resolves to true when the entry was written, false when it was skipped.
+     */
+    async record({ stage, rule, ip, text, section = null }) {
+      const ipHash = ip ? crypto.createHash('sha256').update(ip).digest('hex').slice(0, 16) : null;
+      const skipped = windows.get(ipHash)?.skipped || 0;
+      if (!admit(ipHash)) return false;
+
+      const entry = {
+        time: new Date(now()).toISOString(),
+        stage,
+        rule,
+        ipHash,
+        section,
+        excerpt: typeof text === 'string' ? text.slice(0, 500) : null,
+        ...(skipped > 0 && { skipped })
+      };
+      console.warn(`⚠️  Chat ${stage} rejected (${rule})`);
+
+      try {
+        ready = ready || fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await ready;
+        await fs.promises.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+      } catch (error) {
+        console.error('Could not write the chat abuse log:', error.message);
+      }
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  detectInjection,
+  createOutputGuard,
+  createStreamGuard,
+  createAbuseLog,
+  INJECTION_PATTERNS,
+  SECRET_PATTERNS,
+  OFF_TOPIC_PATTERNS
+};
@@ -0,0 +1,47 @@
+// --- Chat System Prompt ---
+// The model only sees the retrieved portfolio chunks for the current question,
+// numbered so the answer stays grounded in what the site actually says.
+
+function formatContext(chunks) {
+  if (chunks.length === 0) {
+    return '(No portfolio content matched this question.)';
+  }
+  return chunks.map((chunk, i) => `[${i + 1}] (${chunk.section}: ${chunk.id}) ${chunk.text}`).join('\n');
+}
+
+// Tells the model where the visitor is, so "this one" can be resolved
+function formatPageContext(pageSection) {
+  if (!pageSection) return '';
+  return `\nThe visitor is currently viewing the "${pageSection}" section of the page. Questions like "tell me more about this one" most likely refer to something in that section or to the previous answer.\n`;
+}
+
+// Sentences from the instructions that should never show up in an answer;
+// the output guard treats them as a leaked system prompt.
+const PROMPT_FINGERPRINTS = [
+  "Your name is 'AI Assistant'",
+  'Answer only from the portfolio context below',
+  'Portfolio context:'
+];
+
+function buildSystemPrompt(content, chunks, { pageSection = null } = {}) {
+  const { profile } = content;
+  const firstName = profile.name.split(' ')[0];
+
+  return `You are a helpful AI assistant on ${profile.name}'s portfolio website.
+Your name is 'AI Assistant'. You are friendly, polite, and professional.
+Your purpose is to answer questions about ${firstName}'s skills, projects, and experience.
+Do not answer off-topic questions (like math, general knowledge unrelated to tech, or politics). Politely decline and steer the conversation back to ${firstName}'s portfolio.
+
+About ${firstName}:
+- Role: ${profile.title}
+- Contact: ${profile.email}
+${formatPageContext(pageSection)}
+Answer only from the portfolio context below. If it does not cover the question, say so and suggest emailing ${firstName} at ${profile.email}. Never invent projects, employers or skills.
+
+Portfolio context:
+${formatContext(chunks)}
+
+Keep responses concise and helpful. Use simple markdown for lists if needed.`;
+}
+
+module.exports = { buildSystemPrompt, PROMPT_FINGERPRINTS };
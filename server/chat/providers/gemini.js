@@ -0,0 +1,84 @@
+const { fetchWithBackoff } = require('../../fetch-with-backoff');
+const { readEventStream } = require('../../sse');
+const { ChatBlockedError, ChatProviderError } = require('../errors');
+
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+const API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// --- Google Gemini Provider ---
+function createGeminiProvider({ apiKey, model = DEFAULT_MODEL, temperature = 0.7 }) {
+  const buildPayload = ({ systemPrompt, messages, maxOutputTokens }) => ({
+    contents: messages.map(msg => ({
+      role: msg.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: msg.content }]
+    })),
+    systemInstruction: {
+      parts: [{ text: systemPrompt }]
+    },
+    generationConfig: {
+      temperature,
+      maxOutputTokens
+    }
+  });
+
+  const post = async (method, request) => {
+    if (!apiKey) {
+      throw new ChatProviderError('gemini', 'GEMINI_API_KEY is not configured');
+    }
+
+    const query = method === 'streamGenerateContent' ? `alt=sse&key=${apiKey}` : `key=${apiKey}`;
+    const apiResponse = await fetchWithBackoff(`${API_BASE}/${model}:${method}?${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(buildPayload(request)),
+      signal: request.signal
+    }, 3, 1000);
+
+    if (!apiResponse.ok) {
+      const errorData = await apiResponse.json().catch(() => null);
+      throw new ChatProviderError('gemini', `API call failed with status: ${apiResponse.status}`, errorData);
+    }
+    return apiResponse;
+  };
+
+  const textOf = (result) => (result.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+
+  return {
+    name: 'gemini',
+    model,
+
+    async generate(request) {
+      const result = await (await post('generateContent', request)).json();
+
+      if (result.promptFeedback?.blockReason) {
+        throw new ChatBlockedError(result.promptFeedback.blockReason);
+      }
+
+      const text = textOf(result);
+      if (!text) {
+        throw new ChatProviderError('gemini', 'Invalid response structure from AI API', result);
+      }
+      return { text };
+    },
+
+    async stream(request, onToken) {
+      const apiResponse = await post('streamGenerateContent', request);
+
+      let blockReason = null;
+      await readEventStream(apiResponse.body, (data) => {
+        const chunk = JSON.parse(data);
+        if (chunk.promptFeedback?.blockReason) {
+          blockReason = chunk.promptFeedback.blockReason;
+        }
+        const text = textOf(chunk);
+        if (text && !blockReason) onToken(text);
+      });
+
+      if (blockReason) {
+        throw new ChatBlockedError(blockReason);
+      }
+    }
+  };
+}
+
+module.exports = { createGeminiProvider, DEFAULT_MODEL };
@@ -0,0 +1,39 @@
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+
+// --- Chat Provider Selection ---
+// Every provider exposes the same interface:
+//   name, model
+//   generate({ systemPrompt, messages, context, maxOutputTokens, signal }) -> { text }
+//   stream({ systemPrompt, messages, context, maxOutputTokens, signal }, onToken) -> resolves when done
+// `messages` is [{ role: 'user' | 'assistant', content }], oldest first.
+// `context` holds the retrieved portfolio chunks; remote models get them via
+// the system prompt, the mock answers from them directly.
+// Both methods throw ChatBlockedError when the model refuses to answer.
+//
+// Configuration (environment):
+//   CHAT_PROVIDER   gemini | openai | mock (default: gemini if GEMINI_API_KEY is set, else mock)
+//   CHAT_MODEL      overrides the provider's default model
+//   GEMINI_API_KEY  for gemini
+//   OPENAI_API_KEY, OPENAI_BASE_URL  for openai and compatible servers
+//   CHAT_MOCK_DELAY_MS  per-word delay of the mock stream (default 0)
+const PROVIDERS = ['gemini', 'openai', 'mock'];
+
+function createChatProvider(env, getContent) {
+  const providerName = (env.CHAT_PROVIDER || (env.GEMINI_API_KEY ? 'gemini' : 'mock')).toLowerCase();
+  const model = env.CHAT_MODEL || undefined;
+
+  switch (providerName) {
+    case 'gemini':
+      return createGeminiProvider({ apiKey: env.GEMINI_API_KEY, model });
+    case 'openai':
+      return createOpenAIProvider({ apiKey: env.OPENAI_API_KEY, baseUrl: env.OPENAI_BASE_URL || undefined, model });
+    case 'mock':
+      return createMockProvider({ getContent, delayMs: parseInt(env.CHAT_MOCK_DELAY_MS) || 0 });
+    default:
+      throw new Error(`Unknown CHAT_PROVIDER "${providerName}". Use one of: ${PROVIDERS.join(', ')}.`);
+  }
+}
+
+module.exports = { createChatProvider, PROVIDERS };
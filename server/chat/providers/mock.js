@@ -0,0 +1,43 @@
+// --- Local Mock Provider ---
+// Deterministic answers built from the retrieved portfolio chunks. No network,
+// no API key: meant for developing the chat UI offline and for CI.
+// `getContent` returns the current portfolio content, so answers follow a
+// reloaded portfolio.json.
+function createMockProvider({ getContent, delayMs = 0 }) {
+  const answer = ({ context = [] }) => {
+    const { profile } = getContent();
+
+    if (context.length === 0) {
+      return `I'm a local mock assistant for ${profile.name}'s portfolio. Ask me about projects, skills, experience, or how to get in touch at ${profile.email}.`;
+    }
+
+    return `Here's what I found in ${profile.name.split(' ')[0]}'s portfolio:\n${context.map(chunk => `* ${chunk.text}`).join('\n')}`;
+  };
+
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  return {
+    name: 'mock',
+    model: 'portfolio-mock',
+
+    async generate(request) {
+      return { text: answer(request) };
+    },
+
+    async stream(request, onToken) {
+      // Emit word by word so the widget's incremental rendering gets exercised
+      const chunks = answer(request).match(/\S+\s*/g) || [];
+      for (const chunk of chunks) {
+        if (request.signal?.aborted) {
+          const error = new Error('The user aborted a request.');
+          error.name = 'AbortError';
+          throw error;
+        }
+        if (delayMs > 0) await sleep(delayMs);
+        onToken(chunk);
+      }
+    }
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockProvider } = require('./mock');
+const { createChatProvider } = require('./index');
+
+const content = { profile: { name: 'Ada Lovelace', email: 'ada@example.com' } };
+const context = [
+  { text: 'Corner Shop: an online shop built with React.' },
+  { text: 'Planets: an animated solar system.' }
+];
+
+test('answers from the retrieved chunks, the same way every time', async () => {
+  const provider = createMockProvider({ getContent: () => content });
+  const { text } = await provider.generate({ messages: [], context });
+
+  assert.equal(text, "Here's what I found in Ada's portfolio:\n* Corner Shop: an online shop built with React.\n* Planets: an animated solar system.");
+  assert.deepEqual(await provider.generate({ messages: [], context }), { text });
+});
+
+test('points to the topics it knows when nothing was retrieved', async () => {
+  const { text } = await createMockProvider({ getContent: () => content }).generate({ messages: [] });
+  assert.match(text, /Ada Lovelace's portfolio/);
+  assert.match(text, /ada@example\.com/);
+});
+
+test('streams the same answer word by word', async () => {
+  const provider = createMockProvider({ getContent: () => content });
+  const tokens = [];
+  await provider.stream({ messages: [], context }, token => tokens.push(token));
+
+  assert.ok(tokens.length > 10);
+  assert.equal(tokens.join(''), (await provider.generate({ messages: [], context })).text);
+});
+
+test('answers from reloaded content', async () => {
+  let current = content;
+  const provider = createMockProvider({ getContent: () => current });
+  current = { profile: { name: 'Grace Hopper', email: 'grace@example.com' } };
+
+  assert.match((await provider.generate({ messages: [], context })).text, /Grace's portfolio/);
+});
+
+test('stops streaming once the request is aborted', async () => {
+  const provider = createMockProvider({ getContent: () => content });
+  const controller = new AbortController();
+  const tokens = [];
+
+  await assert.rejects(
+    provider.stream({ messages: [], context, signal: controller.signal }, (token) => {
+      tokens.push(token);
+      if (tokens.length === 3) controller.abort();
+    }),
+    { name: 'AbortError' }
+  );
+  assert.equal(tokens.length, 3);
+});
+
+test('is the default provider without an API key', () => {
+  assert.equal(createChatProvider({}, () => content).name, 'mock');
+  assert.equal(createChatProvider({ GEMINI_API_KEY: 'key' }, () => content).name, 'gemini');
+  assert.throws(() => createChatProvider({ CHAT_PROVIDER: 'nope' }, () => content), /Unknown CHAT_PROVIDER "nope"/);
+});
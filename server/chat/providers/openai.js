@@ -0,0 +1,77 @@
+const { fetchWithBackoff } = require('../../fetch-with-backoff');
+const { readEventStream } = require('../../sse');
+const { ChatBlockedError, ChatProviderError } = require('../errors');
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+// --- OpenAI-Compatible Provider ---
+// Works with any /chat/completions endpoint (OpenAI, Azure proxies, OpenRouter,
+// Ollama, LM Studio...). The API key is optional for local servers.
+function createOpenAIProvider({ apiKey, baseUrl = DEFAULT_BASE_URL, model = DEFAULT_MODEL, temperature = 0.7 }) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  const post = async ({ systemPrompt, messages, maxOutputTokens, signal }, stream) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const apiResponse = await fetchWithBackoff(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        temperature,
+        max_tokens: maxOutputTokens,
+        stream,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          ...messages.map(msg => ({ role: msg.role, content: msg.content }))
+        ]
+      }),
+      signal
+    }, 3, 1000);
+
+    if (!apiResponse.ok) {
+      const errorData = await apiResponse.json().catch(() => null);
+      throw new ChatProviderError('openai', `API call failed with status: ${apiResponse.status}`, errorData);
+    }
+    return apiResponse;
+  };
+
+  return {
+    name: 'openai',
+    model,
+
+    async generate(request) {
+      const result = await (await post(request, false)).json();
+      const choice = result.choices?.[0];
+
+      if (choice?.finish_reason === 'content_filter') {
+        throw new ChatBlockedError('content_filter');
+      }
+      if (!choice?.message?.content) {
+        throw new ChatProviderError('openai', 'Invalid response structure from AI API', result);
+      }
+      return { text: choice.message.content };
+    },
+
+    async stream(request, onToken) {
+      const apiResponse = await post(request, true);
+
+      let blocked = false;
+      await readEventStream(apiResponse.body, (data) => {
+        if (data === '[DONE]') return;
+        const choice = JSON.parse(data).choices?.[0];
+        if (choice?.finish_reason === 'content_filter') blocked = true;
+        const text = choice?.delta?.content;
+        if (text && !blocked) onToken(text);
+      });
+
+      if (blocked) {
+        throw new ChatBlockedError('content_filter');
+      }
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider, DEFAULT_MODEL };
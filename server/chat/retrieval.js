@@ -0,0 +1,181 @@
+const { getLiveProjects } = require('../content');
+
+// --- Portfolio Retrieval Index ---
+// Splits portfolio.json into small chunks (one per project, experience point,
+// summary paragraph, availability note and skill category) and ranks them with
+// BM25, so each chat turn only sends the model the content relevant to the
+// question.
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'has', 'have',
+  'he', 'his', 'how', 'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'so', 'tell', 'that', 'the',
+  'this', 'to', 'was', 'what', 'which', 'who', 'with', 'you', 'your', 'about', 'any', 'did', 'show'
+]);
+
+// Words visitors use for a section even when the content itself never says them
+const SECTION_KEYWORDS = {
+  projects: 'project projects work built portfolio case study app',
+  experience: 'experience job career work history freelance client clients role',
+  about: 'about background bio who person story available availability hire hired hiring open',
+  skills: 'skills skill stack tech technologies tools languages frameworks strongest'
+};
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Tags (a project's stack) count this many times over the description, so
+// "React projects" ranks the project tagged React above one that mentions it
+const TAG_WEIGHT = 2;
+// Drop matches scoring under this share of the best one (e.g. "work" alone)
+const MIN_RELATIVE_SCORE = 0.3;
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9+#.]+/g) || [])
+    .map(token => token.replace(/^\.+|\.+$/g, ''))
+    .filter(token => token && !STOPWORDS.has(token))
+    .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Builds the list of retrievable chunks. Each chunk carries the citation the
+ * client gets back: { section, id, title }.
+ */
+function buildChunks(content) {
+  const chunks = [];
+
+  getLiveProjects(content).forEach(project => {
+    const links = project.links?.preview ? ` Live at ${project.links.preview}.` : '';
+    chunks.push({
+      section: 'projects',
+      id: project.id,
+      title: project.name,
+      text: `${project.name} (${project.cat}, ${project.year}): ${project.description} Tech: ${project.tags.join(', ')}.${links}`,
+      tags: project.tags
+    });
+  });
+
+  content.experience.forEach(job => {
+    job.points.forEach(point => {
+      chunks.push({
+        section: 'experience',
+        id: job.id,
+        title: job.title,
+        text: `${job.title} (${job.period}): ${point}`
+      });
+    });
+  });
+
+  content.about.summary.forEach((paragraph, i) => {
+    chunks.push({ section: 'about', id: `summary-${i + 1}`, title: 'About', text: paragraph });
+  });
+
+  if (content.about.availability) {
+    const { status, message } = content.about.availability;
+    chunks.push({ section: 'about', id: 'availability', title: 'Availability', text: `${status}: ${message}.` });
+  }
+
+  content.skills.forEach(cat => {
+    chunks.push({
+      section: 'skills',
+      id: slugify(cat.category),
+      title: `${cat.category} skills`,
+      text: `${cat.category} skills. Proficient: ${cat.proficient.join(', ')}. Familiar: ${cat.familiar.join(', ')}.`
+    });
+  });
+
+  return chunks;
+}
+
+const SECTION_TERMS = new Set(tokenize(Object.values(SECTION_KEYWORDS).join(' ')));
+
+/**
+ * Creates a searchable index over the portfolio content.
+ */
+function createRetrievalIndex(content) {
+  const chunks = buildChunks(content).map(chunk => {
+    const tokens = tokenize(`${chunk.title} ${chunk.text} ${SECTION_KEYWORDS[chunk.section] || ''}`);
+    const tagTokens = tokenize((chunk.tags || []).join(' '));
+    const termFrequencies = new Map();
+    tokens.forEach(token => termFrequencies.set(token, (termFrequencies.get(token) || 0) + 1));
+    // The tags are already in the text once
+    tagTokens.forEach(token => termFrequencies.set(token, termFrequencies.get(token) + TAG_WEIGHT - 1));
+    return { ...chunk, length: tokens.length + tagTokens.length * (TAG_WEIGHT - 1), termFrequencies };
+  });
+
+  const averageLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0) / (chunks.length || 1);
+  const documentFrequencies = new Map();
+  chunks.forEach(chunk => {
+    chunk.termFrequencies.forEach((_, term) => documentFrequencies.set(term, (documentFrequencies.get(term) || 0) + 1));
+  });
+
+  const idf = (term) => {
+    const df = documentFrequencies.get(term) || 0;
+    return Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5));
+  };
+
+  const score = (chunk, queryTerms) => queryTerms.reduce((sum, term) => {
+    const tf = chunk.termFrequencies.get(term) || 0;
+    if (tf === 0) return sum;
+    const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * (chunk.length / averageLength));
+    return sum + idf(term) * ((tf * (BM25_K1 + 1)) / norm);
+  }, 0);
+
+  return {
+    size: chunks.length,
+
+    /**
+     * Returns up to `limit` chunks ranked by relevance, best first.
+     * Chunks that share no term with the query are never returned. Section
+     * words ("project", "skills") match every chunk of their section, so
+     * when other query terms match anything, a chunk must match one of those
+     * too: "React projects" finds the React project, not every project.
+     */
+    search(query, limit = 4) {
+      const queryTerms = [...new Set(tokenize(query))];
+      if (queryTerms.length === 0) return [];
+      const contentTerms = queryTerms.filter(term => !SECTION_TERMS.has(term));
+
+      const matches = chunks
+        .map((chunk, order) => ({ chunk, order, score: score(chunk, queryTerms) }))
+        .filter(result => result.score > 0);
+      const contentMatches = matches.filter(result => score(result.chunk, contentTerms) > 0);
+
+      const ranked = (contentMatches.length > 0 ? contentMatches : matches)
+        .sort((a, b) => b.score - a.score || a.order - b.order);
+      if (ranked.length === 0) return [];
+
+      const cutoff = ranked[0].score * MIN_RELATIVE_SCORE;
+      return ranked
+        .filter(result => result.score >= cutoff)
+        .slice(0, limit)
+        .map(({ chunk, score: chunkScore }) => ({
+          section: chunk.section,
+          id: chunk.id,
+          title: chunk.title,
+          text: chunk.text,
+          score: Number(chunkScore.toFixed(3))
+        }));
+    }
+  };
+}
+
+/**
+ * Collapses retrieved chunks into unique citations, e.g. several bullet points
+ * of the same job become one { section: 'experience', id: 'freelance' }.
+ */
+function toCitations(chunks) {
+  const seen = new Set();
+  return chunks.reduce((citations, { section, id, title }) => {
+    const key = `${section}:${id}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      citations.push({ section, id, title });
+    }
+    return citations;
+  }, []);
+}
+
+module.exports = { createRetrievalIndex, toCitations, tokenize, slugify };
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRetrievalIndex, toCitations, tokenize } = require('./retrieval');
+
+const project = (id, name, description, tags, status = 'live') => ({
+  id, name, description, tags, status, cat: 'Web App', year: '2024', links: {}
+});
+
+const content = {
+  work: {
+    projects: [
+      project('shop', 'Corner Shop', 'An online shop with a cart and payments.', ['React', 'Express']),
+      project('planets', 'Planets', 'An animated solar system with orbit controls.', ['Three.js', 'GSAP']),
+      project('school', 'School Website', 'A school website built with a React-free stack.', ['HTML', 'CSS']),
+      project('secret', 'Secret', 'Not shipped yet, built with React.', ['React'], 'in-production')
+    ]
+  },
+  experience: [
+    { id: 'freelance', title: 'Freelance Developer', period: '2023 - now', points: ['Built APIs with Node.js for small clients.'] }
+  ],
+  about: {
+    summary: ['I build web apps end to end.'],
+    availability: { status: 'Available', message: 'Open to freelance work' }
+  },
+  skills: [
+    { category: 'Frontend', proficient: ['React', 'CSS'], familiar: ['Three.js'] }
+  ]
+};
+
+const index = createRetrievalIndex(content);
+const ids = (results) => results.map(result => result.id);
+
+test('tokenizes without stopwords and folds plurals', () => {
+  assert.deepEqual(tokenize('What are the Projects built with Express?'), ['project', 'built', 'express']);
+});
+
+test('indexes live projects only', () => {
+  assert.ok(!ids(index.search('secret shipped')).includes('secret'));
+});
+
+test('section words do not pull in unrelated chunks when a stack term matches', () => {
+  const results = index.search('What React projects?');
+  assert.equal(results[0].id, 'shop');
+  assert.ok(!ids(results).includes('planets'));
+});
+
+test('ranks a project tagged with the term above one that only mentions it', () => {
+  const results = index.search('React');
+  assert.ok(ids(results).indexOf('shop') < ids(results).indexOf('school'));
+});
+
+test('a question of section words alone still finds that section', () => {
+  const results = index.search('show me your projects');
+  assert.ok(results.length > 0);
+  assert.ok(results.every(result => result.section === 'projects'));
+});
+
+test('falls back to section words when no other term matches', () => {
+  assert.deepEqual(ids(index.search('experience with Kubernetes')), ['freelance']);
+});
+
+test('returns nothing for unrelated or empty questions', () => {
+  assert.deepEqual(index.search('quantum chromodynamics'), []);
+  assert.deepEqual(index.search('what is the'), []);
+});
+
+test('collapses chunks into unique citations', () => {
+  assert.deepEqual(toCitations([
+    { section: 'experience', id: 'freelance', title: 'Freelance Developer', text: 'a' },
+    { section: 'experience', id: 'freelance', title: 'Freelance Developer', text: 'b' },
+    { section: 'projects', id: 'shop', title: 'Corner Shop', text: 'c' }
+  ]), [
+    { section: 'experience', id: 'freelance', title: 'Freelance Developer' },
+    { section: 'projects', id: 'shop', title: 'Corner Shop' }
+  ]);
+});
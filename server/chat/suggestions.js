@@ -0,0 +1,81 @@
+const { getLiveProjects } = require('../content');
+const { slugify } = require('./retrieval');
+
+// --- Chat Suggestions ---
+// Starter prompts for the widget greeting and follow-ups after each answer,
+// both generated from portfolio.json so they never mention a project or skill
+// the site doesn't have.
+
+const MAX_STARTERS = 4;
+const MAX_FOLLOW_UPS = 3;
+const CONTACT_QUESTION = 'How can I get in touch with him?';
+
+function unique(questions, exclude = []) {
+  const seen = new Set(exclude.map(question => question.toLowerCase()));
+  return questions.filter(question => {
+    if (!question) return false;
+    const key = question.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Questions shown under the greeting, e.g. "What's his strongest stack?" or
+ * "Show me 3D Design work".
+ */
+function buildStarterPrompts(content) {
+  const showcased = getLiveProjects(content).filter(project => project.showcase);
+  const topSkill = content.skills[0]?.proficient[0];
+
+  return unique([
+    content.skills.length > 0 ? "What's his strongest stack?" : null,
+    ...showcased.map(project => `Show me ${project.cat} work`),
+    topSkill ? `Which projects use ${topSkill}?` : null,
+    content.about.availability ? 'Is he available for new projects?' : null
+  ]).slice(0, MAX_STARTERS);
+}
+
+function followUpsFor(content, { section, id }) {
+  if (section === 'projects') {
+    const project = content.work.projects.find(candidate => candidate.id === id);
+    if (!project) return [];
+    return [
+      `What tech is ${project.name} built with?`,
+      project.links?.preview ? `Can I see ${project.name} live?` : null,
+      'What other projects has he built?'
+    ];
+  }
+  if (section === 'skills') {
+    const category = content.skills.find(cat => slugify(cat.category) === id);
+    if (!category) return [];
+    return [
+      category.proficient[0] ? `Which projects use ${category.proficient[0]}?` : null,
+      category.familiar.length > 0 ? `What ${category.category} tools is he still learning?` : null
+    ];
+  }
+  if (section === 'experience') {
+    const job = content.experience.find(candidate => candidate.id === id);
+    return job ? [`What did he do as a ${job.title}?`, 'What projects came out of that work?'] : [];
+  }
+  if (section === 'about') {
+    return ["What's his strongest stack?", 'Is he available for new projects?'];
+  }
+  return [];
+}
+
+/**
+ * Two or three follow-up questions for an answer, based on what it cited.
+ * The question just asked is never suggested again.
+ */
+function buildFollowUps(content, citations, question = '') {
+  const candidates = [
+    ...citations.flatMap(citation => followUpsFor(content, citation)),
+    ...buildStarterPrompts(content),
+    CONTACT_QUESTION
+  ];
+  return unique(candidates, [question.trim()]).slice(0, MAX_FOLLOW_UPS);
+}
+
+module.exports = { buildStarterPrompts, buildFollowUps };
@@ -0,0 +1,57 @@
+// --- Chat Transcripts ---
+// Visitors can download their conversation as a PDF or hand it off to Sugam
+// through /api/send. The transcript is the widget's sessionStorage history:
+// [{ role: 'user' | 'bot', content }], oldest first.
+
+const MAX_TRANSCRIPT_MESSAGES = 50;
+const MAX_TRANSCRIPT_MESSAGE_LENGTH = 3000;
+
+const SPEAKERS = { user: 'Visitor', bot: 'Assistant' };
+
+/**
+ * Returns a bounded copy of a client-sent transcript, or [] when it is
+ * missing or malformed. Keeps the most recent messages.
+ */
+function normalizeTranscript(transcript) {
+  if (!Array.isArray(transcript)) return [];
+
+  return transcript
+    .filter(msg => msg && typeof msg.content === 'string' && msg.content.trim())
+    .slice(-MAX_TRANSCRIPT_MESSAGES)
+    .map(msg => ({
+      role: msg.role === 'bot' || msg.role === 'assistant' ? 'bot' : 'user',
+      content: msg.content.trim().slice(0, MAX_TRANSCRIPT_MESSAGE_LENGTH)
+    }));
+}
+
+// Drop the chat's markdown emphasis for PDFs and emails, which don't render it
+function stripMarkdown(text) {
+  return text
+    .replace(/\*\*(.*?)\*\*/g, '$1')
+    .replace(/\*(.*?)\*/g, '$1')
+    .replace(/\[(.*?)\]\((.*?)\)/g, '$1 ($2)');
+}
+
+/**
+ * Writes the transcript into a PDFKit document (the caller pipes and ends it).
+ */
+function writeTranscriptPdf(doc, transcript, { title, subtitle }) {
+  doc.fontSize(20).fillColor('#1f2937').font('Helvetica-Bold').text(title);
+  doc.moveDown(0.25);
+  doc.fontSize(10).fillColor('#6b7280').font('Helvetica').text(subtitle);
+  doc.moveDown(1.5);
+
+  transcript.forEach(msg => {
+    const color = msg.role === 'user' ? '#3b82f6' : '#1f2937';
+    doc.fontSize(10).fillColor(color).font('Helvetica-Bold').text(SPEAKERS[msg.role]);
+    doc.fontSize(11).fillColor('#374151').font('Helvetica').text(stripMarkdown(msg.content), { lineGap: 2 });
+    doc.moveDown(0.75);
+  });
+}
+
+module.exports = {
+  normalizeTranscript,
+  stripMarkdown,
+  writeTranscriptPdf,
+  TRANSCRIPT_SPEAKERS: SPEAKERS
+};
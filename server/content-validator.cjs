@@ -0,0 +1,222 @@
+// --- Portfolio Content Validator ---
+// Checks src/data/portfolio.json against src/data/portfolio.schema.json plus a
+// few content rules JSON Schema cannot express (missing media files, duplicate
+// ids, placeholder values). Used by server startup, the Vite build and
+// `npm run lint:content`.
+//
+// This file is .cjs so it stays CommonJS whatever the package type;
+// vite.config.mjs loads it through createRequire.
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const CONTENT_PATH = path.join(ROOT_DIR, 'src', 'data', 'portfolio.json');
+const SCHEMA_PATH = path.join(ROOT_DIR, 'src', 'data', 'portfolio.schema.json');
+
+// Media paths starting with "/" are served from public/ by Vite and from the
+// project root by Express, so a file in either place is good enough.
+const ASSET_DIRS = [path.join(ROOT_DIR, 'public'), ROOT_DIR];
+
+const PLACEHOLDER_VALUES = ['N/A', 'TBD', 'TODO', 'Lorem ipsum'];
+
+// --- JSON Schema ---
+// Ajv in strict mode: a keyword it doesn't know, or a $ref it can't resolve,
+// fails compilation instead of being skipped.
+
+function formatPath(segments) {
+  return segments.reduce((acc, segment) => (
+    typeof segment === 'number' ? `${acc}[${segment}]` : (acc ? `${acc}.${segment}` : segment)
+  ), '') || '(root)';
+}
+
+// "/work/projects/2/media" -> ['work', 'projects', 2, 'media']
+function pointerSegments(pointer) {
+  return pointer.split('/').slice(1).map(part => {
+    const key = part.replace(/~1/g, '/').replace(/~0/g, '~');
+    return /^\d+$/.test(key) ? Number(key) : key;
+  });
+}
+
+function toIssue(error) {
+  const segments = pointerSegments(error.instancePath);
+  let message = error.message;
+  if (error.keyword === 'required') {
+    segments.push(error.params.missingProperty);
+    message = 'is required';
+  } else if (error.keyword === 'additionalProperties') {
+    segments.push(error.params.additionalProperty);
+    message = 'is not a known property (typo?)';
+  } else if (error.keyword === 'const') {
+    message = `must be ${JSON.stringify(error.params.allowedValue)}`;
+  } else if (error.keyword === 'enum') {
+    message = `must be one of ${error.params.allowedValues.map(v => JSON.stringify(v)).join(', ')}`;
+  }
+  return { path: formatPath(segments), message, severity: 'error' };
+}
+
+const validators = new Map(); // schema JSON -> compiled validate function
+
+function compileSchema(schema) {
+  const key = JSON.stringify(schema);
+  if (!validators.has(key)) {
+    validators.set(key, new Ajv({ allErrors: true }).compile(schema));
+  }
+  return validators.get(key);
+}
+
+/**
+ * Checks `value` against `schema` and returns a list of
+ * { path, message, severity: 'error' }. An "if" keyword only reports that its
+ * "then" failed, so those are dropped in favour of the errors inside "then".
+ */
+function validateSchema(value, schema) {
+  const validate = compileSchema(schema);
+  if (validate(value)) return [];
+  return validate.errors.filter(error => error.keyword !== 'if').map(toIssue);
+}
+
+// --- Content Rules ---
+
+function findAsset(src) {
+  const relative = src.replace(/^\/+/, '');
+  return ASSET_DIRS.some(dir => fs.existsSync(path.join(dir, relative)));
+}
+
+function checkDuplicateIds(items, basePath, issues) {
+  if (!Array.isArray(items)) return;
+  const seen = new Map();
+  items.forEach((item, i) => {
+    if (!item || typeof item.id !== 'string') return;
+    if (seen.has(item.id)) {
+      issues.push({
+        path: formatPath([...basePath, i, 'id']),
+        message: `duplicate id "${item.id}" (first used at ${formatPath([...basePath, seen.get(item.id), 'id'])})`,
+        severity: 'error'
+      });
+    } else {
+      seen.set(item.id, i);
+    }
+  });
+}
+
+function checkPlaceholders(value, segments, issues) {
+  if (typeof value === 'string') {
+    if (PLACEHOLDER_VALUES.includes(value.trim())) {
+      issues.push({ path: formatPath(segments), message: `placeholder value ${JSON.stringify(value)}`, severity: 'warning' });
+    }
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, child]) => {
+      checkPlaceholders(child, [...segments, Array.isArray(value) ? Number(key) : key], issues);
+    });
+  }
+}
+
+function checkContentRules(content) {
+  const issues = [];
+
+  checkDuplicateIds(content.nav?.links, ['nav', 'links'], issues);
+  checkDuplicateIds(content.work?.projects, ['work', 'projects'], issues);
+  checkDuplicateIds(content.experience, ['experience'], issues);
+  checkDuplicateIds(content.resume?.focuses, ['resume', 'focuses'], issues);
+  checkDuplicateIds(content.posts, ['posts'], issues);
+  ['projectTypes', 'budgets', 'timelines'].forEach(key => {
+    checkDuplicateIds(content.contact?.inquiry?.[key], ['contact', 'inquiry', key], issues);
+  });
+
+  // A missing file leaves an empty preview on the page rather than breaking
+  // it, so these are warnings for whoever edits the content to follow up on
+  (content.work?.projects || []).forEach((project, i) => {
+    if (typeof project.media?.src === 'string' && !findAsset(project.media.src)) {
+      issues.push({
+        path: formatPath(['work', 'projects', i, 'media', 'src']),
+        message: `file not found: ${project.media.src} (looked in public/ and the project root)`,
+        severity: 'warning'
+      });
+    }
+    if (typeof project.image === 'string' && !findAsset(project.image)) {
+      issues.push({
+        path: formatPath(['work', 'projects', i, 'image']),
+        message: `file not found: ${project.image}`,
+        severity: 'warning'
+      });
+    }
+  });
+
+  (content.footer?.socials || []).forEach((social, i) => {
+    if (typeof social.url === 'string' && !/^(https?:|mailto:)/.test(social.url)) {
+      issues.push({
+        path: formatPath(['footer', 'socials', i, 'url']),
+        message: `${JSON.stringify(social.url)} is not a real link for ${social.name || 'this social'}`,
+        severity: 'warning'
+      });
+    }
+  });
+
+  checkPlaceholders(content, [], issues);
+
+  return issues;
+}
+
+/**
+ * Validates parsed content and returns { errors, warnings }, each a list of
+ * { path, message, severity } with dotted paths such as "work.projects[2].media.src".
+ */
+function lintContent(content, schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'))) {
+  const issues = [...validateSchema(content, schema)];
+  if (content && typeof content === 'object') {
+    issues.push(...checkContentRules(content));
+  }
+  return {
+    errors: issues.filter(issue => issue.severity === 'error'),
+    warnings: issues.filter(issue => issue.severity === 'warning')
+  };
+}
+
+/**
+ * Reads and lints a content file. JSON syntax errors are reported as a
+ * single error instead of being thrown.
+ */
+function lintContentFile(filePath = CONTENT_PATH) {
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return {
+      content: null,
+      errors: [{ path: path.relative(ROOT_DIR, filePath), message: error.message, severity: 'error' }],
+      warnings: []
+    };
+  }
+  return { content, ...lintContent(content) };
+}
+
+function formatIssue(issue) {
+  return `${issue.path}: ${issue.message}`;
+}
+
+module.exports = {
+  CONTENT_PATH,
+  SCHEMA_PATH,
+  validateSchema,
+  lintContent,
+  lintContentFile,
+  formatIssue
+};
+
+// --- CLI: npm run lint:content [-- --strict] ---
+if (require.main === module) {
+  const strict = process.argv.includes('--strict');
+  const { errors, warnings } = lintContentFile();
+
+  warnings.forEach(issue => console.warn(`⚠️  ${formatIssue(issue)}`));
+  errors.forEach(issue => console.error(`❌ ${formatIssue(issue)}`));
+
+  if (errors.length === 0 && warnings.length === 0) {
+    console.log('✅ portfolio.json is valid');
+  } else {
+    console.log(`\n${errors.length} error(s), ${warnings.length} warning(s)`);
+  }
+
+  process.exit(errors.length > 0 || (strict && warnings.length > 0) ? 1 : 0);
+}
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CONTENT_PATH, lintContent, lintContentFile, validateSchema, formatIssue } = require('./content-validator.cjs');
+
+const readContent = () => JSON.parse(fs.readFileSync(CONTENT_PATH, 'utf8'));
+const errorsOf = (content) => lintContent(content).errors.map(formatIssue);
+
+test('portfolio.json has no errors', () => {
+  assert.deepEqual(lintContentFile().errors, []);
+});
+
+test('reports schema errors with dotted paths', () => {
+  const content = readContent();
+  content.schemaVersion = 1;
+  delete content.profile.name;
+  content.profile.nmae = 'typo';
+  content.work.projects[1].tags = 'React';
+
+  assert.deepEqual(errorsOf(content), [
+    'schemaVersion: must be 4',
+    'profile.name: is required',
+    'profile.nmae: is not a known property (typo?)',
+    'work.projects[1].tags: must be array'
+  ]);
+});
+
+test('reports the errors inside a failed if/then, not the if itself', () => {
+  const schema = {
+    type: 'object',
+    if: { properties: { status: { const: 'live' } } },
+    then: { required: ['description'] }
+  };
+  assert.deepEqual(validateSchema({ status: 'live' }, schema), [
+    { path: 'description', message: 'is required', severity: 'error' }
+  ]);
+  assert.deepEqual(validateSchema({ status: 'draft' }, schema), []);
+});
+
+test('reports duplicate ids as errors and missing media files as warnings', () => {
+  const content = readContent();
+  content.work.projects[1].id = content.work.projects[0].id;
+  content.work.projects[0].media = { type: 'image', src: '/images/missing.png' };
+
+  const { errors, warnings } = lintContent(content);
+  assert.deepEqual(errors.map(formatIssue), [
+    `work.projects[1].id: duplicate id "${content.work.projects[0].id}" (first used at work.projects[0].id)`
+  ]);
+  assert.ok(warnings.map(formatIssue).some(warning => warning.startsWith('work.projects[0].media.src: file not found')));
+});
+
+test('warns about placeholder values without failing', () => {
+  const content = readContent();
+  content.hero.tag = 'TODO';
+  const { errors, warnings } = lintContent(content);
+  assert.deepEqual(errors, []);
+  assert.ok(warnings.map(formatIssue).includes('hero.tag: placeholder value "TODO"'));
+});
+
+test('refuses schemas with unknown keywords or unresolvable refs', () => {
+  assert.throws(() => validateSchema({}, { type: 'object', minimumLength: 1 }), /unknown keyword/);
+  assert.throws(() => validateSchema({}, { $ref: '#/definitions/missing' }), /can't resolve reference/);
+});
+
+test('reports invalid JSON as a single error', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-')), 'portfolio.json');
+  fs.writeFileSync(file, '{ "schemaVersion": 4,');
+  const { content, errors } = lintContentFile(file);
+  assert.equal(content, null);
+  assert.equal(errors.length, 1);
+});
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const { CONTENT_PATH, lintContent, formatIssue } = require('./content-validator.cjs');
+
+// --- Portfolio Content (Single Source of Truth) ---
+// Both the Express API and the React app read src/data/portfolio.json.
+// Its shape is described by src/data/portfolio.schema.json; bump its
+// schemaVersion const whenever that shape changes.
+
+class ContentValidationError extends Error {
+  constructor(problems) {
+    super(`Invalid portfolio content:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ContentValidationError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Reads and validates the portfolio content file. Throws on invalid content
+ * so the server fails fast instead of serving a broken site; warnings such as
+ * placeholder values are only logged.
+ */
+function loadContent(filePath = CONTENT_PATH) {
+  const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const { errors, warnings } = lintContent(content);
+  warnings.forEach(issue => console.warn(`⚠️  portfolio.json ${formatIssue(issue)}`));
+  if (errors.length > 0) {
+    throw new ContentValidationError(errors.map(formatIssue));
+  }
+  return content;
+}
+
+// Projects that are shipped, i.e. safe to describe in the chatbot and resume
+function getLiveProjects(content) {
+  return content.work.projects.filter(project => project.status === 'live');
+}
+
+// "https://www.linkedin.com/in/foo" -> "linkedin.com/in/foo" for compact display
+function displayUrl(url) {
+  return (url || '').replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, '');
+}
+
+/**
+ * Calls `onChange` with the freshly loaded content whenever the file changes.
+ * Content that fails validation is logged and skipped, so callers keep the
+ * last good version. Polls (fs.watchFile), which also sees editors that save
+ * by replacing the file. Returns a function that stops watching.
+ */
+function watchContent(onChange, { filePath = CONTENT_PATH, interval = 2000 } = {}) {
+  const listener = (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) return;
+    let content;
+    try {
+      content = loadContent(filePath);
+    } catch (error) {
+      console.error(`❌ Ignoring the change to ${filePath}: ${error.message}`);
+      return;
+    }
+    onChange(content);
+  };
+  fs.watchFile(filePath, { interval, persistent: false }, listener);
+  return () => fs.unwatchFile(filePath, listener);
+}
+
+module.exports = {
+  CONTENT_PATH,
+  ContentValidationError,
+  loadContent,
+  watchContent,
+  getLiveProjects,
+  displayUrl
+};
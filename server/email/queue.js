@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const { createJsonLinesFile } = require('../jsonl-file');
+
+// --- Outbound Email Queue ---
+// Messages are persisted before the HTTP response goes out and delivered in
+// the background, one at a time. Each job retries on its own with exponential
+// backoff; after the last attempt it moves to the dead-letter list, where an
+// admin can inspect and re-queue it. Jobs carry an idempotency key, so
+// enqueueing the same email twice (e.g. a retried form submission) sends it once.
+//
+// Job: { id, idempotencyKey, status: 'pending' | 'sent' | 'dead', message,
+//        meta, attempts, nextAttemptAt, lastError, createdAt, updatedAt, sentAt }
+
+const DEFAULT_MAX_ATTEMPTS = 6;
+const DEFAULT_BASE_DELAY_MS = 30 * 1000; // 30s, 1m, 2m, 4m, 8m between attempts
+const MAX_DELAY_MS = 60 * 60 * 1000;
+// Sent jobs are kept this long so their idempotency keys keep deduplicating
+const SENT_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+class EmailJobNotFoundError extends Error {
+  constructor(id) {
+    super(`Email job ${id} not found`);
+    this.name = 'EmailJobNotFoundError';
+    this.id = id;
+  }
+}
+
+function retryDelay(attempts, baseDelayMs) {
+  const delay = Math.min(baseDelayMs * 2 ** (attempts - 1), MAX_DELAY_MS);
+  // Up to 10% jitter so jobs that failed together don't retry together
+  return Math.round(delay * (1 + Math.random() * 0.1));
+}
+
+function createEmailQueue({
+  filePath,
+  transport,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  onSettled = () => {}
+}) {
+  const file = createJsonLinesFile(filePath);
+  const jobs = new Map();
+  let timer = null;
+  let running = false;
+  let started = false;
+
+  const save = async (job, changes) => {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    await file.append(job);
+  };
+
+  const schedule = () => {
+    if (!started || running) return;
+    clearTimeout(timer);
+
+    const pending = [...jobs.values()].filter(job => job.status === 'pending');
+    if (pending.length === 0) return;
+
+    const next = Math.min(...pending.map(job => Date.parse(job.nextAttemptAt)));
+    timer = setTimeout(processDue, Math.max(next - Date.now(), 0));
+    timer.unref(); // Never keeps the process alive on its own
+  };
+
+  const deliver = async (job) => {
+    const attempts = job.attempts + 1;
+    try {
+      const result = await transport.send(job.message);
+      await save(job, { status: 'sent', attempts, sentAt: new Date().toISOString(), providerId: result?.id || null, lastError: null });
+    } catch (error) {
+      if (attempts >= maxAttempts) {
+        console.error(`❌ Email "${job.message.subject}" moved to dead letters after ${attempts} attempts: ${error.message}`);
+        await save(job, { status: 'dead', attempts, lastError: error.message });
+      } else {
+        const delay = retryDelay(attempts, baseDelayMs);
+        console.warn(`⚠️  Email "${job.message.subject}" failed (attempt ${attempts}/${maxAttempts}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+        await save(job, { attempts, lastError: error.message, nextAttemptAt: new Date(Date.now() + delay).toISOString() });
+        return;
+      }
+    }
+
+    try {
+      await onSettled(job);
+    } catch (error) {
+      console.error('Email queue onSettled hook failed:', error);
+    }
+  };
+
+  async function processDue() {
+    if (running) return;
+    running = true;
+    try {
+      const now = Date.now();
+      const due = [...jobs.values()]
+        .filter(job => job.status === 'pending' && Date.parse(job.nextAttemptAt) <= now)
+        .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+
+      for (const job of due) {
+        await deliver(job);
+      }
+    } catch (error) {
+      console.error('Email queue error:', error);
+    } finally {
+      running = false;
+      schedule();
+    }
+  }
+
+  const summarize = ({ message, ...job }) => ({
+    ...job,
+    message: { from: message.from, to: message.to, replyTo: message.replyTo, subject: message.subject }
+  });
+
+  return {
+    filePath,
+
+    /**
+     * Loads persisted jobs and starts delivering pending ones.
+     */
+    async start() {
+      const cutoff = Date.now() - SENT_RETENTION_MS;
+      const kept = await file.load(job => job.status !== 'sent' || Date.parse(job.sentAt) > cutoff);
+      kept.forEach(job => jobs.set(job.id, job));
+      started = true;
+      schedule();
+      return kept.filter(job => job.status === 'pending').length;
+    },
+
+    /**
+     * Persists a message for delivery and returns its job. With a key that
+     * was seen before, the existing job is returned and nothing is queued.
+     */
+    async enqueue(message, { idempotencyKey = crypto.randomUUID(), meta = {} } = {}) {
+      const existing = [...jobs.values()].find(job => job.idempotencyKey === idempotencyKey);
+      if (existing) return existing;
+
+      const now = new Date().toISOString();
+      const job = {
+        id: crypto.randomUUID(),
+        idempotencyKey,
+        status: 'pending',
+        message,
+        meta,
+        attempts: 0,
+        nextAttemptAt: now,
+        lastError: null,
+        createdAt: now,
+        updatedAt: now
+      };
+      jobs.set(job.id, job);
+      await file.append(job);
+      schedule();
+      return job;
+    },
+
+    stats() {
+      const counts = { pending: 0, sent: 0, dead: 0 };
+      jobs.forEach(job => { counts[job.status]++; });
+      return counts;
+    },
+
+    /**
+     * Dead jobs, newest first, without the message bodies.
+     */
+    deadLetters() {
+      return [...jobs.values()]
+        .filter(job => job.status === 'dead')
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+        .map(summarize);
+    },
+
+    get(id) {
+      return jobs.get(id) || null;
+    },
+
+    /**
+     * Moves a dead job back into the queue with a fresh set of attempts.
+     */
+    async retry(id) {
+      const job = jobs.get(id);
+      if (!job || job.status !== 'dead') throw new EmailJobNotFoundError(id);
+
+      await save(job, { status: 'pending', attempts: 0, nextAttemptAt: new Date().toISOString() });
+      schedule();
+      return summarize(job);
+    }
+  };
+}
+
+module.exports = { createEmailQueue, EmailJobNotFoundError };
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createEmailQueue, EmailJobNotFoundError } = require('./queue');
+
+const tempFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'email-queue-')), 'queue.jsonl');
+const message = { from: 'site@example.com', to: 'me@example.com', subject: 'New inquiry', text: 'Hello' };
+
+// The queue's timer never keeps the process alive, so tests poll with their own
+async function waitFor(predicate, timeoutMs = 2000) {
+  const started = Date.now();
+  while (!predicate()) {
+    if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting for the email queue');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+// Fails the first `failures` sends, then succeeds
+function flakyTransport(failures) {
+  const transport = {
+    name: 'test',
+    sent: [],
+    calls: 0,
+    async send(msg) {
+      transport.calls++;
+      if (transport.calls <= failures) throw new Error(`SMTP down (${transport.calls})`);
+      transport.sent.push(msg);
+      return { id: `msg-${transport.calls}` };
+    }
+  };
+  return transport;
+}
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+test('delivers queued messages and reports them settled', async () => {
+  const transport = flakyTransport(0);
+  const settled = [];
+  const queue = createEmailQueue({ filePath: tempFile(), transport, onSettled: job => settled.push(job) });
+  await queue.start();
+
+  const job = await queue.enqueue(message, { meta: { kind: 'admin' } });
+  await waitFor(() => settled.length === 1);
+
+  assert.equal(settled[0].id, job.id);
+  assert.equal(queue.get(job.id).status, 'sent');
+  assert.equal(queue.get(job.id).providerId, 'msg-1');
+  assert.deepEqual(queue.stats(), { pending: 0, sent: 1, dead: 0 });
+});
+
+test('retries with backoff until the transport recovers', async () => {
+  const transport = flakyTransport(2);
+  const queue = createEmailQueue({ filePath: tempFile(), transport, baseDelayMs: 5 });
+  await queue.start();
+
+  const job = await queue.enqueue(message);
+  await waitFor(() => queue.get(job.id).status === 'sent');
+
+  assert.equal(transport.calls, 3);
+  assert.equal(queue.get(job.id).attempts, 3);
+  assert.equal(queue.get(job.id).lastError, null);
+});
+
+test('moves a message to the dead letters after the last attempt and can retry it', async () => {
+  const transport = flakyTransport(3);
+  const settled = [];
+  const queue = createEmailQueue({ filePath: tempFile(), transport, maxAttempts: 3, baseDelayMs: 5, onSettled: job => settled.push(job.status) });
+  await queue.start();
+
+  const job = await queue.enqueue(message);
+  await waitFor(() => settled.length === 1);
+
+  assert.deepEqual(settled, ['dead']);
+  const [dead] = queue.deadLetters();
+  assert.equal(dead.id, job.id);
+  assert.equal(dead.lastError, 'SMTP down (3)');
+  assert.equal(dead.message.text, undefined, 'dead letter summaries leave out the body');
+
+  await queue.retry(job.id);
+  await waitFor(() => settled.length === 2);
+  assert.equal(queue.get(job.id).status, 'sent');
+  assert.deepEqual(queue.deadLetters(), []);
+  await assert.rejects(queue.retry(job.id), EmailJobNotFoundError);
+});
+
+test('an idempotency key queues the message once', async () => {
+  const transport = flakyTransport(0);
+  const queue = createEmailQueue({ filePath: tempFile(), transport });
+  await queue.start();
+
+  const first = await queue.enqueue(message, { idempotencyKey: 'inquiry-1:admin' });
+  const second = await queue.enqueue(message, { idempotencyKey: 'inquiry-1:admin' });
+  await waitFor(() => queue.get(first.id).status === 'sent');
+
+  assert.equal(second.id, first.id);
+  assert.equal(transport.sent.length, 1);
+});
+
+test('pending messages survive a restart and sent ones keep deduplicating', async () => {
+  const filePath = tempFile();
+  const offline = createEmailQueue({ filePath, transport: flakyTransport(0) });
+  // Not started: the job is only persisted
+  const job = await offline.enqueue(message, { idempotencyKey: 'inquiry-2:auto-reply' });
+
+  const transport = flakyTransport(0);
+  const restarted = createEmailQueue({ filePath, transport });
+  assert.equal(await restarted.start(), 1);
+  await waitFor(() => transport.sent.length === 1);
+
+  const again = createEmailQueue({ filePath, transport });
+  await again.start();
+  assert.equal((await again.enqueue(message, { idempotencyKey: 'inquiry-2:auto-reply' })).id, job.id);
+  assert.equal(transport.sent.length, 1);
+});
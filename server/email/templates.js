@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+
+// --- Email Templates ---
+// Every email is a directory under server/email/templates:
+//   <name>/subject.txt, heading.txt, body.html, body.txt, sample.json
+// A localized email keeps its text files in one subdirectory per locale
+// (<name>/en/..., <name>/de/...), sharing sample.json. Bodies are wrapped in
+// _layouts/base.html or base.txt and can include anything in _partials/ with
+// {{> name}}; a partial exists as .html and/or .txt, matching the body it is
+// used from. Templates are Handlebars: values are HTML-escaped in .html files
+// and inserted as-is in .txt.
+//
+// Templates are parsed and their partials checked once at startup, so a broken
+// one fails the boot rather than a visitor's submission.
+
+const DEFAULT_TEMPLATES_DIR = path.join(__dirname, 'templates');
+const DEFAULT_LOCALE = 'en';
+// file -> [key, format]
+const TEMPLATE_FILES = {
+  'subject.txt': ['subject', 'txt'],
+  'heading.txt': ['heading', 'txt'],
+  'body.html': ['html', 'html'],
+  'body.txt': ['text', 'txt']
+};
+
+class TemplateError extends Error {
+  constructor(message, templateName) {
+    super(templateName ? `${templateName}: ${message}` : message);
+    this.name = 'TemplateError';
+  }
+}
+
+class EmailTemplateNotFoundError extends Error {
+  constructor(name) {
+    super(`Email template "${name}" not found`);
+    this.name = 'EmailTemplateNotFoundError';
+  }
+}
+
+function readDir(dir, ext) {
+  return fs.readdirSync(dir)
+    .filter(file => path.extname(file) === ext)
+    .map(file => ({ name: path.basename(file, ext), source: fs.readFileSync(path.join(dir, file), 'utf8') }));
+}
+
+// Names of the partials a parsed template includes
+function partialNames(ast) {
+  const names = new Set();
+  const visitor = new Handlebars.Visitor();
+  visitor.PartialStatement = function (partial) {
+    names.add(partial.name.original);
+    return Handlebars.Visitor.prototype.PartialStatement.call(this, partial);
+  };
+  visitor.accept(ast);
+  return names;
+}
+
+function createEmailTemplates({ dir = DEFAULT_TEMPLATES_DIR } = {}) {
+  // One Handlebars environment per format, so a .txt body never pulls in an
+  // HTML partial
+  const formats = {
+    html: { ext: '.html', env: Handlebars.create(), options: {} },
+    txt: { ext: '.txt', env: Handlebars.create(), options: { noEscape: true } }
+  };
+  const compileAs = (format, source, name) => {
+    const { env, options } = formats[format];
+    let ast;
+    try {
+      ast = env.parse(source);
+    } catch (err) {
+      throw new TemplateError(err.message, name);
+    }
+    partialNames(ast).forEach(partial => {
+      if (!env.partials[partial]) throw new TemplateError(`unknown partial "${partial}"`, name);
+    });
+    return env.compile(ast, options);
+  };
+
+  const layouts = {};
+  Object.keys(formats).forEach(format => {
+    const { ext, env } = formats[format];
+    const partials = readDir(path.join(dir, '_partials'), ext);
+    // Registered before any is compiled, so partials can include each other
+    partials.forEach(({ name }) => env.registerPartial(name, ''));
+    partials.forEach(({ name, source }) => {
+      env.registerPartial(name, compileAs(format, source, `_partials/${name}${ext}`));
+    });
+    layouts[format] = compileAs(format, fs.readFileSync(path.join(dir, '_layouts', `base${ext}`), 'utf8'), `_layouts/base${ext}`);
+  });
+
+  const compileVariant = (variantDir, label) => {
+    const variant = {};
+    Object.entries(TEMPLATE_FILES).forEach(([file, [key, format]]) => {
+      const filePath = path.join(variantDir, file);
+      if (!fs.existsSync(filePath)) throw new TemplateError(`missing ${file}`, label);
+      let source = fs.readFileSync(filePath, 'utf8');
+      // A trailing newline in a one-line file would end up in the Subject header
+      if (key === 'subject' || key === 'heading') source = source.trim();
+      variant[key] = compileAs(format, source, `${label}/${file}`);
+    });
+    return variant;
+  };
+
+  // name -> { locales: Map(locale -> variant), sample }
+  const templates = new Map();
+  fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('_'))
+    .forEach(({ name }) => {
+      const templateDir = path.join(dir, name);
+      const samplePath = path.join(templateDir, 'sample.json');
+      const sample = fs.existsSync(samplePath) ? JSON.parse(fs.readFileSync(samplePath, 'utf8')) : {};
+      const localeDirs = fs.readdirSync(templateDir, { withFileTypes: true }).filter(entry => entry.isDirectory());
+
+      const locales = new Map(localeDirs.length > 0
+        ? localeDirs.map(entry => [entry.name, compileVariant(path.join(templateDir, entry.name), `${name}/${entry.name}`)])
+        : [[DEFAULT_LOCALE, compileVariant(templateDir, name)]]);
+      if (!locales.has(DEFAULT_LOCALE)) {
+        throw new TemplateError(`no "${DEFAULT_LOCALE}" version`, name);
+      }
+      templates.set(name, { locales, sample });
+    });
+
+  const getTemplate = (name) => {
+    const template = templates.get(name);
+    if (!template) throw new EmailTemplateNotFoundError(name);
+    return template;
+  };
+
+  /**
+   * Picks the closest available locale: "de-AT" falls back to "de", and
+   * anything unknown to the default.
+   */
+  const resolveLocale = (name, requested) => {
+    const { locales } = getTemplate(name);
+    const wanted = typeof requested === 'string' ? requested.trim().toLowerCase() : '';
+    if (locales.has(wanted)) return wanted;
+    const language = wanted.split(/[-_]/)[0];
+    return locales.has(language) ? language : DEFAULT_LOCALE;
+  };
+
+  return {
+    names() {
+      return [...templates.keys()];
+    },
+
+    /**
+     * Locales a template exists in, the default first.
+     */
+    locales(name) {
+      const locales = [...getTemplate(name).locales.keys()];
+      return [DEFAULT_LOCALE, ...locales.filter(locale => locale !== DEFAULT_LOCALE)];
+    },
+
+    resolveLocale,
+
+    sample(name) {
+      return getTemplate(name).sample;
+    },
+
+    /**
+     * Renders a template to { locale, subject, html, text }.
+     */
+    render(name, data, { locale } = {}) {
+      const resolved = resolveLocale(name, locale);
+      const variant = getTemplate(name).locales.get(resolved);
+
+      const subject = variant.subject(data);
+      const heading = variant.heading(data);
+      const layoutData = { ...data, locale: resolved, subject, heading };
+
+      return {
+        locale: resolved,
+        subject,
+        html: layouts.html({ ...layoutData, body: variant.html(data) }),
+        text: `${layouts.txt({ ...layoutData, body: variant.text(data) }).trimEnd()}\n`
+      };
+    }
+  };
+}
+
+module.exports = { createEmailTemplates, EmailTemplateNotFoundError, TemplateError, DEFAULT_LOCALE };
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createEmailTemplates, EmailTemplateNotFoundError, TemplateError } = require('./templates');
+
+const templates = createEmailTemplates();
+
+// Writes a templates directory: { 'relative/path': 'source' }
+function templatesDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-templates-'));
+  const layouts = { '_layouts/base.html': '{{{body}}}', '_layouts/base.txt': '{{{body}}}', '_partials/.keep': '' };
+  Object.entries({ ...layouts, ...files }).forEach(([file, source]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), source);
+  });
+  return dir;
+}
+
+const email = (body, extra = {}) => templatesDir({
+  'note/subject.txt': 'Hi {{name}}\n',
+  'note/heading.txt': 'Note',
+  'note/body.html': body,
+  'note/body.txt': body,
+  ...extra
+});
+
+test('escapes values in HTML but not in plain text', () => {
+  const { subject, html, text } = templates.render('admin-notification', templates.sample('admin-notification'));
+
+  assert.equal(subject, 'Chat follow-up from Jane <Doe>');
+  assert.match(html, /<strong>Name:<\/strong> Jane &lt;Doe&gt;<\/p>/);
+  assert.ok(!html.includes('Jane <Doe>'));
+  assert.match(text, /^Name: Jane <Doe>$/m);
+});
+
+test('renders if/else and each sections', () => {
+  const { html } = createEmailTemplates({ dir: email('{{#if items}}{{#each items}}[{{label}}]{{/each}}{{else}}none{{/if}}') })
+    .render('note', { items: [{ label: 'a' }, { label: '<b>' }] });
+  assert.equal(html, '[a][&lt;b&gt;]');
+
+  assert.equal(createEmailTemplates({ dir: email('{{#if items}}some{{else}}none{{/if}}') }).render('note', { items: [] }).html, 'none');
+});
+
+test('renders a missing value as nothing', () => {
+  const rendered = createEmailTemplates({ dir: email('Dear {{name}}, {{missing.deeply}}!') }).render('note', {});
+  assert.equal(rendered.subject, 'Hi ');
+  assert.equal(rendered.html, 'Dear , !');
+});
+
+test('includes partials in the matching format', () => {
+  const dir = email('{{> sign}}', {
+    '_partials/sign.html': '<em>{{name}}</em>',
+    '_partials/sign.txt': '-- {{name}}'
+  });
+  const rendered = createEmailTemplates({ dir }).render('note', { name: 'A&B' });
+  assert.equal(rendered.html, '<em>A&amp;B</em>');
+  assert.equal(rendered.text, '-- A&B\n');
+});
+
+test('a broken template or unknown partial fails at startup', () => {
+  assert.throws(() => createEmailTemplates({ dir: email('{{#if name}}open') }), TemplateError);
+  assert.throws(() => createEmailTemplates({ dir: email('{{> nope}}') }), /note\/body\.html: unknown partial "nope"/);
+});
+
+test('falls back to the language and then the default locale', () => {
+  assert.equal(templates.resolveLocale('auto-reply', 'de-AT'), 'de');
+  assert.equal(templates.resolveLocale('auto-reply', 'fr'), 'en');
+  assert.deepEqual(templates.locales('auto-reply'), ['en', 'de']);
+  assert.equal(templates.render('auto-reply', { name: 'Ada' }, { locale: 'DE' }).locale, 'de');
+});
+
+test('an unknown template is a not-found error', () => {
+  assert.throws(() => templates.render('nope', {}), EmailTemplateNotFoundError);
+});
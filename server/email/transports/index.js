@@ -0,0 +1,65 @@
+const path = require('path');
+const { createSendGridTransport } = require('./sendgrid');
+const { createSmtpTransport } = require('./smtp');
+const { createOutboxTransport } = require('./outbox');
+
+// --- Email Transport Selection ---
+// Every transport exposes the same interface:
+//   name
+//   send({ from, to, replyTo, subject, text, html, headers, attachments }) -> { id }
+//   attachments: [{ filename, contentType, path }] (files on disk)
+//
+// Configuration (environment):
+//   EMAIL_TRANSPORT   sendgrid | smtp | outbox (default: sendgrid if SENDGRID_API_KEY
+//                     is set, smtp if SMTP_HOST is set, else outbox; in production
+//                     outbox has to be asked for, see below)
+//   SENDGRID_API_KEY  for sendgrid
+//   SMTP_HOST, SMTP_PORT (587), SMTP_SECURE (true for port 465), SMTP_USER, SMTP_PASS  for smtp
+//                     (EMAIL_USER / EMAIL_PASS are accepted as SMTP_USER / SMTP_PASS)
+//   OUTBOX_DIR        where outbox writes .eml files (default .data/outbox)
+const TRANSPORTS = ['sendgrid', 'smtp', 'outbox'];
+
+function defaultTransport(env) {
+  if (env.SENDGRID_API_KEY) return 'sendgrid';
+  if (env.SMTP_HOST) return 'smtp';
+  return 'outbox';
+}
+
+// A production server that silently writes .eml files would mark every email
+// as sent while none leaves, so it refuses to start instead
+function missingTransportError(env) {
+  const legacy = env.EMAIL_USER || env.EMAIL_PASS
+    ? ' EMAIL_USER / EMAIL_PASS are only used as the SMTP login: also set SMTP_HOST (e.g. smtp.gmail.com).'
+    : '';
+  return new Error('No email transport is configured for production. Set SENDGRID_API_KEY or SMTP_HOST, '
+    + `or EMAIL_TRANSPORT=outbox to keep emails on disk.${legacy}`);
+}
+
+function createEmailTransport(env, rootDir) {
+  if (!env.EMAIL_TRANSPORT && defaultTransport(env) === 'outbox' && env.NODE_ENV === 'production') {
+    throw missingTransportError(env);
+  }
+  const transportName = (env.EMAIL_TRANSPORT || defaultTransport(env)).toLowerCase();
+
+  switch (transportName) {
+    case 'sendgrid':
+      return createSendGridTransport({ apiKey: env.SENDGRID_API_KEY });
+    case 'smtp': {
+      const port = parseInt(env.SMTP_PORT) || 587;
+      return createSmtpTransport({
+        host: env.SMTP_HOST,
+        port,
+        secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465,
+        // EMAIL_USER / EMAIL_PASS are the older names of the SMTP credentials
+        user: env.SMTP_USER || env.EMAIL_USER,
+        pass: env.SMTP_PASS || env.EMAIL_PASS
+      });
+    }
+    case 'outbox':
+      return createOutboxTransport({ dir: env.OUTBOX_DIR || path.join(rootDir, '.data', 'outbox') });
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${transportName}". Use one of: ${TRANSPORTS.join(', ')}.`);
+  }
+}
+
+module.exports = { createEmailTransport, TRANSPORTS };
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createEmailTransport } = require('./index');
+
+const rootDir = os.tmpdir();
+
+test('picks the transport from the configured credentials', () => {
+  assert.equal(createEmailTransport({ SENDGRID_API_KEY: 'SG.key' }, rootDir).name, 'sendgrid');
+  assert.equal(createEmailTransport({ SMTP_HOST: 'smtp.example.com' }, rootDir).name, 'smtp');
+  assert.equal(createEmailTransport({}, rootDir).name, 'outbox');
+});
+
+test('EMAIL_TRANSPORT wins over the credentials', () => {
+  const transport = createEmailTransport({ EMAIL_TRANSPORT: 'OUTBOX', SENDGRID_API_KEY: 'SG.key' }, rootDir);
+  assert.equal(transport.name, 'outbox');
+  assert.equal(transport.dir, path.join(rootDir, '.data', 'outbox'));
+  assert.throws(() => createEmailTransport({ EMAIL_TRANSPORT: 'pigeon' }, rootDir), /Unknown EMAIL_TRANSPORT "pigeon"/);
+});
+
+test('refuses to fall back to the outbox in production', () => {
+  assert.throws(() => createEmailTransport({ NODE_ENV: 'production' }, rootDir), /No email transport is configured/);
+  assert.throws(
+    () => createEmailTransport({ NODE_ENV: 'production', EMAIL_USER: 'me@gmail.com', EMAIL_PASS: 'app-password' }, rootDir),
+    /also set SMTP_HOST/
+  );
+  assert.equal(createEmailTransport({ NODE_ENV: 'production', EMAIL_TRANSPORT: 'outbox' }, rootDir).name, 'outbox');
+  assert.equal(createEmailTransport({ NODE_ENV: 'production', SMTP_HOST: 'smtp.gmail.com', EMAIL_USER: 'me@gmail.com' }, rootDir).name, 'smtp');
+});
+
+test('smtp needs a host', () => {
+  assert.throws(() => createEmailTransport({ EMAIL_TRANSPORT: 'smtp' }, rootDir), /needs SMTP_HOST/);
+});
+
+test('the outbox writes each message as an .eml file', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+  const transport = createEmailTransport({ OUTBOX_DIR: dir }, rootDir);
+
+  const { file } = await transport.send({
+    from: 'site@example.com',
+    to: 'me@example.com',
+    subject: 'New inquiry: Hello!',
+    text: 'Plain body'
+  });
+
+  assert.match(file, /-new-inquiry-hello\.eml$/);
+  const raw = fs.readFileSync(path.join(dir, file), 'utf8');
+  assert.match(raw, /^Subject: New inquiry: Hello!$/m);
+  assert.match(raw, /Plain body/);
+});
@@ -0,0 +1,28 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// --- File Outbox Transport ---
+// Writes every message as an .eml file instead of sending it. Open them in any
+// mail client to check the result; no email account needed.
+function createOutboxTransport({ dir }) {
+  // nodemailer builds the raw RFC 5322 message without connecting anywhere
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    name: 'outbox',
+    dir,
+
+    async send(message) {
+      const info = await composer.sendMail(message);
+      const slug = String(message.subject || 'message').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${slug || 'message'}.eml`;
+
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(path.join(dir, fileName), info.message);
+      return { id: info.messageId, file: fileName };
+    }
+  };
+}
+
+module.exports = { createOutboxTransport };
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const sgMail = require('@sendgrid/mail');
+
+// --- SendGrid Transport (Web API - works on Render) ---
+
+// The Web API wants attachments inline as base64, not as file paths
+async function toSendGridAttachments(attachments = []) {
+  if (attachments.length === 0) return undefined;
+  return Promise.all(attachments.map(async file => ({
+    filename: file.filename,
+    type: file.contentType,
+    disposition: 'attachment',
+    content: (await fs.promises.readFile(file.path)).toString('base64')
+  })));
+}
+
+function createSendGridTransport({ apiKey }) {
+  if (!apiKey) {
+    throw new Error('EMAIL_TRANSPORT=sendgrid needs SENDGRID_API_KEY');
+  }
+  sgMail.setApiKey(apiKey);
+
+  return {
+    name: 'sendgrid',
+
+    async send(message) {
+      const [response] = await sgMail.send({
+        to: message.to,
+        from: message.from,
+        replyTo: message.replyTo || message.from,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+        headers: message.headers,
+        attachments: await toSendGridAttachments(message.attachments)
+      });
+      return { id: response?.headers?.['x-message-id'] || null };
+    }
+  };
+}
+
+module.exports = { createSendGridTransport };
@@ -0,0 +1,27 @@
+const nodemailer = require('nodemailer');
+
+// --- SMTP Transport (nodemailer) ---
+// Any SMTP server: Gmail app passwords, Mailgun, Postmark, a local MailHog...
+function createSmtpTransport({ host, port = 587, secure = port === 465, user, pass }) {
+  if (!host) {
+    throw new Error('EMAIL_TRANSPORT=smtp needs SMTP_HOST');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+}
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,61 @@
+const fetch = require('node-fetch');
+
+// --- Exponential Backoff Fetch Helper ---
+/**
+ * Fetches a resource with exponential backoff for retries.
+ * Pass `options.signal` to cancel every attempt (e.g. when the client disconnects).
+ */
+async function fetchWithBackoff(url, options, retries = 3, delay = 1000) {
+  const { signal: callerSignal, ...fetchOptions } = options;
+
+  for (let i = 0; i < retries; i++) {
+    try {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 30000); // 30s timeout per attempt
+      if (callerSignal) {
+        // Stays attached after the headers arrive so a streamed body can be cancelled too
+        if (callerSignal.aborted) controller.abort();
+        callerSignal.addEventListener('abort', () => controller.abort(), { once: true });
+      }
+
+      const apiResponse = await fetch(url, {
+        ...fetchOptions,
+        signal: controller.signal
+      });
+
+      clearTimeout(timeoutId);
+
+      if (apiResponse.ok) {
+        return apiResponse; // Success!
+      }
+
+      // Retry only on 503 (Unavailable) or 429 (Too Many Requests)
+      if (apiResponse.status === 503 || apiResponse.status === 429) {
+        console.log(`Upstream API returned ${apiResponse.status}. Retrying in ${delay / 1000}s... (Attempt ${i + 1}/${retries})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        delay *= 2; // Double the delay for next time
+      } else {
+        return apiResponse;
+      }
+    } catch (error) {
+      if (callerSignal?.aborted) {
+        throw error; // Cancelled on purpose, don't retry
+      }
+      if (error.name === 'AbortError') {
+        console.log(`Fetch attempt timed out. Retrying in ${delay / 1000}s... (Attempt ${i + 1}/${retries})`);
+      } else {
+        console.error(`Fetch attempt ${i + 1} failed:`, error.message);
+      }
+
+      if (i < retries - 1) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+        delay *= 2;
+      } else {
+        throw error;
+      }
+    }
+  }
+  throw new Error('API call failed after all retries.');
+}
+
+module.exports = { fetchWithBackoff };
@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- Frontend Pages ---
+// `npm run build` writes the React app to dist/: hashed bundles in
+// dist/assets and one prerendered index.html per route (scripts/prerender.mjs),
+// e.g. dist/projects/solar-system/index.html. Without a build, the unbuilt
+// index.html in the project root is all there is to serve.
+
+const hasBuild = (distDir) => fs.existsSync(path.join(distDir, 'index.html'));
+
+const PROJECT_ROUTE = /^\/projects\/([^/]+)\/?$/;
+
+// "/projects/solar-system" -> "solar-system"; null for any other route
+function projectIdFromPath(urlPath) {
+  const match = urlPath.match(PROJECT_ROUTE);
+  return match ? match[1] : null;
+}
+
+/**
+ * The HTML file for a page request: the route's prerendered page, else the
+ * build's home page (client-side routes hydrate from it), else `fallback`.
+ */
+function resolvePage(distDir, urlPath, fallback) {
+  const candidates = [path.join(distDir, urlPath, 'index.html'), path.join(distDir, 'index.html')];
+  // path.join resolves "..", so a crafted path could leave dist/
+  return candidates.find(file => file.startsWith(distDir + path.sep) && fs.existsSync(file)) || fallback;
+}
+
+module.exports = { hasBuild, resolvePage, projectIdFromPath };
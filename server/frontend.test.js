@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { hasBuild, resolvePage, projectIdFromPath } = require('./frontend');
+
+const fallback = '/root-index.html';
+
+function buildDir() {
+  const distDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dist-'));
+  fs.mkdirSync(path.join(distDir, 'projects', 'shop'), { recursive: true });
+  fs.writeFileSync(path.join(distDir, 'index.html'), 'home');
+  fs.writeFileSync(path.join(distDir, 'projects', 'shop', 'index.html'), 'shop');
+  return distDir;
+}
+
+test('serves the prerendered page for a route, with or without the trailing slash', () => {
+  const distDir = buildDir();
+  assert.equal(resolvePage(distDir, '/', fallback), path.join(distDir, 'index.html'));
+  assert.equal(resolvePage(distDir, '/projects/shop', fallback), path.join(distDir, 'projects', 'shop', 'index.html'));
+  assert.equal(resolvePage(distDir, '/projects/shop/', fallback), path.join(distDir, 'projects', 'shop', 'index.html'));
+});
+
+test('other routes get the built home page', () => {
+  const distDir = buildDir();
+  assert.equal(resolvePage(distDir, '/projects/unknown', fallback), path.join(distDir, 'index.html'));
+  assert.equal(resolvePage(distDir, '/about', fallback), path.join(distDir, 'index.html'));
+});
+
+test('reads the project id from a project route', () => {
+  assert.equal(projectIdFromPath('/projects/shop'), 'shop');
+  assert.equal(projectIdFromPath('/projects/shop/'), 'shop');
+  assert.equal(projectIdFromPath('/projects/Not-Listed'), 'Not-Listed');
+  assert.equal(projectIdFromPath('/projects/'), null);
+  assert.equal(projectIdFromPath('/projects/shop/extra'), null);
+  assert.equal(projectIdFromPath('/privacy'), null);
+});
+
+test('never leaves dist/', () => {
+  const distDir = buildDir();
+  assert.equal(resolvePage(distDir, '/..', fallback), path.join(distDir, 'index.html'));
+});
+
+test('falls back to the root page without a build', () => {
+  const distDir = path.join(os.tmpdir(), 'no-such-dist');
+  assert.equal(hasBuild(distDir), false);
+  assert.equal(resolvePage(distDir, '/projects/shop', fallback), fallback);
+  assert.equal(hasBuild(buildDir()), true);
+});
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const { InquiryValidationError } = require('./errors');
+
+// --- Inquiry Attachments ---
+// The inquiry form sends files inline as base64 (`attachments: [{ name, data }]`),
+// so a submission stays one JSON document that the service worker can replay
+// offline. The type comes from the extension and must match the file's first
+// bytes; anything else is rejected. Files are stored next to the inquiries and
+// attached to the admin notification.
+
+const MAX_ATTACHMENTS = 3;
+const MAX_ATTACHMENT_BYTES = 2 * 1024 * 1024;
+
+// extension -> [content type, signature check]
+const startsWith = (bytes) => (buffer) => buffer.subarray(0, bytes.length).equals(Buffer.from(bytes));
+const ALLOWED_TYPES = {
+  '.pdf': ['application/pdf', startsWith([0x25, 0x50, 0x44, 0x46])], // %PDF
+  '.png': ['image/png', startsWith([0x89, 0x50, 0x4e, 0x47])],
+  '.jpg': ['image/jpeg', startsWith([0xff, 0xd8, 0xff])],
+  '.jpeg': ['image/jpeg', startsWith([0xff, 0xd8, 0xff])],
+  '.webp': ['image/webp', (buffer) => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP'],
+  '.docx': ['application/vnd.openxmlformats-officedocument.wordprocessingml.document', startsWith([0x50, 0x4b, 0x03, 0x04])], // zip
+  '.txt': ['text/plain', (buffer) => !buffer.includes(0)]
+};
+
+const invalid = (message) => new InquiryValidationError(message, 'attachments');
+
+const BASE64 = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+// Keeps names readable in the admin's mail client without path tricks
+function safeFileName(name) {
+  const base = path.basename(String(name)).replace(/[^\w.\- ]+/g, '_').replace(/^\.+/, '').trim();
+  return base.slice(-100) || 'attachment';
+}
+
+const formatSize = (bytes) => (bytes < 1024 * 1024
+  ? `${Math.max(1, Math.round(bytes / 1024))} KB`
+  : `${(bytes / (1024 * 1024)).toFixed(1)} MB`);
+
+/**
+ * Decodes and checks the attachments of a submission. Returns
+ * [{ filename, contentType, content: Buffer }]; throws InquiryValidationError.
+ */
+function parseAttachments(attachments) {
+  if (attachments === undefined || attachments === null) return [];
+  if (!Array.isArray(attachments)) throw invalid('Attachments must be a list of files.');
+  if (attachments.length > MAX_ATTACHMENTS) {
+    throw invalid(`You can attach up to ${MAX_ATTACHMENTS} files.`);
+  }
+
+  return attachments.map(file => {
+    if (!file || typeof file.name !== 'string' || typeof file.data !== 'string') {
+      throw invalid('Every attachment needs a name and its contents.');
+    }
+
+    const filename = safeFileName(file.name);
+    const allowed = ALLOWED_TYPES[path.extname(filename).toLowerCase()];
+    if (!allowed) {
+      throw invalid(`"${filename}" is not a supported file type (PDF, PNG, JPEG, WebP, DOCX or TXT).`);
+    }
+
+    // Base64 is 4/3 of the size: refuse oversized input before decoding it
+    const base64 = file.data.replace(/^data:[^,]*,/, '').replace(/\s+/g, ''); // FileReader data URLs are fine too
+    if (base64.length > Math.ceil(MAX_ATTACHMENT_BYTES / 3) * 4 + 4) {
+      throw invalid(`"${filename}" is larger than ${formatSize(MAX_ATTACHMENT_BYTES)}.`);
+    }
+    // Buffer.from skips characters that aren't base64, which would hand on garbage
+    if (!BASE64.test(base64)) {
+      throw invalid(`"${filename}" could not be read. Please attach it again.`);
+    }
+    const content = Buffer.from(base64, 'base64');
+    if (content.length === 0 || content.length > MAX_ATTACHMENT_BYTES) {
+      throw invalid(`"${filename}" is empty or larger than ${formatSize(MAX_ATTACHMENT_BYTES)}.`);
+    }
+
+    const [contentType, matches] = allowed;
+    if (!matches(content)) {
+      throw invalid(`"${filename}" does not look like a ${path.extname(filename).slice(1).toUpperCase()} file.`);
+    }
+    return { filename, contentType, content };
+  });
+}
+
+/**
+ * Writes parsed attachments to <dir>/<inquiryId>/ and returns the metadata
+ * kept on the inquiry: [{ filename, contentType, size, path }].
+ */
+async function saveAttachments(dir, inquiryId, files) {
+  if (files.length === 0) return [];
+
+  const inquiryDir = path.join(dir, inquiryId);
+  await fs.promises.mkdir(inquiryDir, { recursive: true });
+
+  return Promise.all(files.map(async ({ filename, contentType, content }, i) => {
+    // Prefixed so two files with the same name don't overwrite each other
+    const filePath = path.join(inquiryDir, `${i + 1}-${filename}`);
+    await fs.promises.writeFile(filePath, content);
+    return { filename, contentType, size: content.length, path: filePath };
+  }));
+}
+
+module.exports = { parseAttachments, saveAttachments, formatSize, MAX_ATTACHMENTS, MAX_ATTACHMENT_BYTES };
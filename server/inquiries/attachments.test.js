@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { InquiryValidationError } = require('./errors');
+const { parseAttachments, saveAttachments, formatSize, MAX_ATTACHMENTS, MAX_ATTACHMENT_BYTES } = require('./attachments');
+
+const PDF = Buffer.from('%PDF-1.7\n%âãÏÓ\n');
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d]);
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10]);
+const WEBP = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBPVP8 ')]);
+const DOCX = Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x14, 0]);
+
+const attach = (name, content) => ({ name, data: content.toString('base64') });
+
+// The InquiryValidationError for the attachments field, with a message matching `pattern`
+const rejected = (pattern) => (error) => {
+  assert.ok(error instanceof InquiryValidationError);
+  assert.equal(error.field, 'attachments');
+  assert.match(error.message, pattern);
+  return true;
+};
+
+test('accepts each supported type and reports its content type', () => {
+  const files = parseAttachments([
+    attach('brief.pdf', PDF),
+    attach('mockup.PNG', PNG),
+    { name: 'photo.jpeg', data: `data:image/jpeg;base64,${JPEG.toString('base64')}` }
+  ]);
+
+  assert.deepEqual(files.map(({ filename, contentType }) => [filename, contentType]), [
+    ['brief.pdf', 'application/pdf'],
+    ['mockup.PNG', 'image/png'],
+    ['photo.jpeg', 'image/jpeg']
+  ]);
+  assert.deepEqual(files[0].content, PDF);
+  assert.equal(parseAttachments([attach('a.webp', WEBP), attach('b.docx', DOCX), attach('c.txt', Buffer.from('notes'))]).length, 3);
+  assert.deepEqual(parseAttachments(undefined), []);
+  assert.deepEqual(parseAttachments(null), []);
+});
+
+test('refuses contents that are not base64', () => {
+  assert.throws(() => parseAttachments([{ name: 'brief.pdf', data: '%PDF-1.7 sent as plain text' }]), rejected(/could not be read/));
+  assert.throws(() => parseAttachments([{ name: 'brief.pdf', data: `${PDF.toString('base64')}!!` }]), rejected(/could not be read/));
+  assert.throws(() => parseAttachments([{ name: 'brief.pdf', data: 'QUJD=' }]), rejected(/could not be read/));
+  assert.throws(() => parseAttachments([{ name: 'brief.pdf', data: '' }]), rejected(/empty/));
+});
+
+test('refuses files whose first bytes do not match their type', () => {
+  assert.throws(() => parseAttachments([attach('mockup.png', PDF)]), rejected(/"mockup.png" does not look like a PNG file/));
+  assert.throws(() => parseAttachments([attach('brief.pdf', PNG)]), rejected(/does not look like a PDF file/));
+  assert.throws(() => parseAttachments([attach('report.docx', Buffer.from('MZ executable'))]), rejected(/DOCX/));
+  assert.throws(() => parseAttachments([attach('notes.txt', Buffer.from([0x41, 0, 0x42]))]), rejected(/TXT/));
+});
+
+test('refuses unsupported types', () => {
+  assert.throws(() => parseAttachments([attach('setup.exe', PDF)]), rejected(/"setup.exe" is not a supported file type/));
+  assert.throws(() => parseAttachments([attach('brief', PDF)]), rejected(/not a supported file type/));
+});
+
+test('limits the size and number of files', () => {
+  const atLimit = Buffer.concat([PDF, Buffer.alloc(MAX_ATTACHMENT_BYTES - PDF.length)]);
+  assert.equal(parseAttachments([attach('big.pdf', atLimit)])[0].content.length, MAX_ATTACHMENT_BYTES);
+
+  const overLimit = Buffer.concat([atLimit, Buffer.alloc(3)]);
+  assert.throws(() => parseAttachments([attach('huge.pdf', overLimit)]), rejected(/"huge.pdf" is empty or larger than 2.0 MB/));
+  // Far too large input is refused before it is decoded
+  assert.throws(() => parseAttachments([{ name: 'huge.pdf', data: 'A'.repeat(4 * MAX_ATTACHMENT_BYTES) }]), rejected(/"huge.pdf" is larger than 2.0 MB/));
+
+  const tooMany = Array.from({ length: MAX_ATTACHMENTS + 1 }, (_, i) => attach(`${i}.pdf`, PDF));
+  assert.throws(() => parseAttachments(tooMany), rejected(/up to 3 files/));
+  assert.throws(() => parseAttachments({ name: 'brief.pdf' }), rejected(/must be a list/));
+  assert.throws(() => parseAttachments([{ name: 'brief.pdf' }]), rejected(/needs a name and its contents/));
+});
+
+test('sanitizes file names', () => {
+  const names = parseAttachments([
+    attach('../../etc/evil.pdf', PDF),
+    attach('..\\..\\win<>:"|?*.pdf', PDF),
+    attach(`${'a'.repeat(150)}.pdf`, PDF)
+  ]).map(file => file.filename);
+
+  assert.equal(names[0], 'evil.pdf');
+  assert.match(names[1], /^[\w.\- ]+\.pdf$/);
+  assert.ok(!names[1].startsWith('.'));
+  assert.equal(names[2].length, 100);
+  assert.ok(names[2].endsWith('.pdf'));
+  assert.equal(parseAttachments([attach('.hidden.txt', Buffer.from('x'))])[0].filename, 'hidden.txt');
+});
+
+test('saves files under the inquiry without overwriting same-named ones', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+  const files = parseAttachments([attach('brief.pdf', PDF), attach('brief.pdf', PDF)]);
+  const saved = await saveAttachments(dir, 'inquiry-1', files);
+
+  assert.deepEqual(saved.map(file => path.relative(dir, file.path)), [
+    path.join('inquiry-1', '1-brief.pdf'),
+    path.join('inquiry-1', '2-brief.pdf')
+  ]);
+  assert.deepEqual(fs.readFileSync(saved[1].path), PDF);
+  assert.equal(saved[0].size, PDF.length);
+  assert.deepEqual(await saveAttachments(dir, 'inquiry-2', []), []);
+});
+
+test('formats sizes for messages', () => {
+  assert.equal(formatSize(10), '1 KB');
+  assert.equal(formatSize(300 * 1024), '300 KB');
+  assert.equal(formatSize(MAX_ATTACHMENT_BYTES), '2.0 MB');
+});
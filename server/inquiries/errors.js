@@ -0,0 +1,12 @@
+// --- Inquiry Errors ---
+
+// A submitted field failed validation; the message is meant for the visitor
+class InquiryValidationError extends Error {
+  constructor(message, field) {
+    super(message);
+    this.name = 'InquiryValidationError';
+    this.field = field;
+  }
+}
+
+module.exports = { InquiryValidationError };
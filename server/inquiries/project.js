@@ -0,0 +1,46 @@
+const { InquiryValidationError } = require('./errors');
+
+// --- Structured Project Details ---
+// The inquiry form's project type, budget and timeline. Choices come from
+// contact.inquiry in portfolio.json; only their ids are submitted and stored.
+
+const PROJECT_FIELDS = [
+  { field: 'projectType', options: 'projectTypes', label: 'Project type' },
+  { field: 'budget', options: 'budgets', label: 'Budget' },
+  { field: 'timeline', options: 'timelines', label: 'Timeline' }
+];
+
+/**
+ * Returns { projectType?, budget?, timeline? } from a submission, or null when
+ * it has none (plain contact form, chat handoff). Throws
+ * InquiryValidationError for an id that is not one of the choices.
+ */
+function parseProjectDetails(body, inquiryOptions) {
+  const details = {};
+
+  PROJECT_FIELDS.forEach(({ field, options, label }) => {
+    const value = body[field];
+    if (value === undefined || value === null || value === '') return;
+    if (!inquiryOptions[options].some(option => option.id === value)) {
+      throw new InquiryValidationError(`Please choose a valid ${label.toLowerCase()}.`, field);
+    }
+    details[field] = value;
+  });
+
+  return Object.keys(details).length > 0 ? details : null;
+}
+
+/**
+ * [{ label, value }] for display, e.g. { label: 'Budget', value: '$1k – $5k' }.
+ */
+function describeProjectDetails(details, inquiryOptions) {
+  if (!details) return [];
+  return PROJECT_FIELDS
+    .filter(({ field }) => details[field])
+    .map(({ field, options, label }) => ({
+      label,
+      value: inquiryOptions[options].find(option => option.id === details[field])?.label || details[field]
+    }));
+}
+
+module.exports = { parseProjectDetails, describeProjectDetails };
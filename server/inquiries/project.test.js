@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { InquiryValidationError } = require('./errors');
+const { parseProjectDetails, describeProjectDetails } = require('./project');
+
+const options = {
+  projectTypes: [{ id: 'website', label: 'Website' }, { id: 'web-app', label: 'Web app' }],
+  budgets: [{ id: 'small', label: '$1k – $5k' }],
+  timelines: [{ id: 'asap', label: 'As soon as possible' }]
+};
+
+test('keeps the chosen ids and skips empty fields', () => {
+  assert.deepEqual(parseProjectDetails({ projectType: 'web-app', budget: 'small', timeline: '' }, options), {
+    projectType: 'web-app',
+    budget: 'small'
+  });
+  assert.equal(parseProjectDetails({ name: 'Ada', budget: null }, options), null);
+});
+
+test('refuses an id that is not one of the choices, naming the field', () => {
+  assert.throws(() => parseProjectDetails({ budget: 'millions' }, options), (error) => {
+    assert.ok(error instanceof InquiryValidationError);
+    assert.equal(error.field, 'budget');
+    assert.equal(error.message, 'Please choose a valid budget.');
+    return true;
+  });
+  assert.throws(() => parseProjectDetails({ projectType: { id: 'website' } }, options), { field: 'projectType' });
+});
+
+test('describes the details with their labels', () => {
+  assert.deepEqual(describeProjectDetails({ projectType: 'website', timeline: 'asap' }, options), [
+    { label: 'Project type', value: 'Website' },
+    { label: 'Timeline', value: 'As soon as possible' }
+  ]);
+  // A choice removed from the content since the inquiry was saved
+  assert.deepEqual(describeProjectDetails({ budget: 'retired' }, options), [{ label: 'Budget', value: 'retired' }]);
+  assert.deepEqual(describeProjectDetails(null, options), []);
+});
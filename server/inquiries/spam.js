@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// --- Contact Form Spam Scoring ---
+// Every /api/send submission gets a score from a few cheap signals; at or
+// above the threshold it is quarantined (saved with status "spam", no email
+// goes out) instead of rejected, so a false positive is never lost.
+//
+//   honeypot   hidden fields people never see, but form-filling bots do
+//   token      a signed timestamp from GET /api/send/token: missing, forged,
+//              stale, or submitted faster than a person could type
+//   links      many URLs in the message, or any in the name
+//   disposable a throwaway email domain (disposable-domains.txt)
+
+const HONEYPOT_FIELDS = ['website', 'url'];
+
+const DEFAULT_THRESHOLD = 5;
+const DEFAULT_MIN_FILL_MS = 3 * 1000;
+const DEFAULT_MAX_TOKEN_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Points per rule; honeypot alone is always enough
+const POINTS = {
+  honeypot: 10,
+  tokenMissing: 2,
+  tokenInvalid: 3,
+  tokenStale: 1,
+  tooFast: 4,
+  linkInName: 4,
+  disposableEmail: 4
+};
+const FREE_LINKS = 2; // A portfolio link or two is normal in a project inquiry
+const MAX_LINK_POINTS = 5;
+
+const LINK_PATTERN = /\bhttps?:\/\/|\bwww\.[a-z0-9-]/gi;
+
+function loadDisposableDomains() {
+  return fs.readFileSync(path.join(__dirname, 'disposable-domains.txt'), 'utf8')
+    .split('\n')
+    .map(line => line.trim().toLowerCase())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+const countLinks = (text) => (text.match(LINK_PATTERN) || []).length;
+
+function createSpamFilter({
+  secret = crypto.randomBytes(32).toString('hex'),
+  threshold = DEFAULT_THRESHOLD,
+  minFillMs = DEFAULT_MIN_FILL_MS,
+  maxTokenAgeMs = DEFAULT_MAX_TOKEN_AGE_MS,
+  blockedDomains = []
+} = {}) {
+  const disposableDomains = new Set([...loadDisposableDomains(), ...blockedDomains.map(domain => domain.toLowerCase())]);
+  const sign = (issuedAt) => crypto.createHmac('sha256', secret).update(String(issuedAt)).digest('base64url');
+
+  // Subdomains count too: anything.mailinator.com
+  const isDisposable = (email) => {
+    const labels = email.split('@').pop().toLowerCase().split('.');
+    return labels.some((label, i) => i < labels.length - 1 && disposableDomains.has(labels.slice(i).join('.')));
+  };
+
+  const checkToken = (token, now) => {
+    if (typeof token !== 'string' || !token) return { rule: 'tokenMissing' };
+
+    const [issued, signature = ''] = token.split('.');
+    const issuedAt = parseInt(issued, 36);
+    const expected = sign(issuedAt);
+    if (!Number.isFinite(issuedAt) || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return { rule: 'tokenInvalid' };
+    }
+
+    const age = now - issuedAt;
+    if (age < minFillMs) return { rule: 'tooFast', detail: `${Math.max(age, 0)}ms` };
+    if (age > maxTokenAgeMs) return { rule: 'tokenStale' };
+    return null;
+  };
+
+  return {
+    threshold,
+
+    /**
+     * A token for the form to send back with the submission; it records
+     * when the form was opened.
+     */
+    issueToken(now = Date.now()) {
+      return `${now.toString(36)}.${sign(now)}`;
+    },
+
+    /**
+     * Scores one submission. `fields` is the raw request body; name, email
+     * and message are the validated values.
+     * Returns { score, spam, reasons: [{ rule, points, detail? }] }.
+     */
+    score({ fields, name, email, message }, now = Date.now()) {
+      const reasons = [];
+      const add = (rule, points = POINTS[rule], detail) => reasons.push({ rule, points, ...(detail && { detail }) });
+
+      const filled = HONEYPOT_FIELDS.filter(field => fields[field]);
+      if (filled.length > 0) add('honeypot', POINTS.honeypot, filled.join(', '));
+
+      const tokenProblem = checkToken(fields.formToken, now);
+      if (tokenProblem) add(tokenProblem.rule, POINTS[tokenProblem.rule], tokenProblem.detail);
+
+      const links = countLinks(message);
+      if (links > FREE_LINKS) add('links', Math.min(links - FREE_LINKS, MAX_LINK_POINTS), `${links} links`);
+      if (countLinks(name) > 0) add('linkInName');
+
+      if (isDisposable(email)) add('disposableEmail', POINTS.disposableEmail, email.split('@').pop());
+
+      const score = reasons.reduce((sum, reason) => sum + reason.points, 0);
+      return { score, spam: score >= threshold, reasons };
+    }
+  };
+}
+
+module.exports = { createSpamFilter, HONEYPOT_FIELDS };
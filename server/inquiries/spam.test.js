@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSpamFilter } = require('./spam');
+
+const filter = createSpamFilter({ secret: 'test-secret', blockedDomains: ['Spam.Test'] });
+const opened = Date.UTC(2024, 0, 1);
+const later = opened + 60 * 1000;
+
+const submission = (overrides = {}) => ({
+  fields: { formToken: filter.issueToken(opened), ...overrides.fields },
+  name: 'Ada Lovelace',
+  email: 'ada@example.com',
+  message: 'I would like a portfolio site like https://example.com.',
+  ...overrides
+});
+const rules = (result) => result.reasons.map(reason => reason.rule);
+
+test('a normal submission scores zero', () => {
+  assert.deepEqual(filter.score(submission(), later), { score: 0, spam: false, reasons: [] });
+});
+
+test('a filled honeypot is spam on its own', () => {
+  const result = filter.score(submission({ fields: { formToken: filter.issueToken(opened), website: 'x', url: 'y' } }), later);
+  assert.equal(result.spam, true);
+  assert.deepEqual(result.reasons, [{ rule: 'honeypot', points: 10, detail: 'website, url' }]);
+});
+
+test('checks the form token', () => {
+  assert.deepEqual(rules(filter.score(submission({ fields: {} }), later)), ['tokenMissing']);
+  assert.deepEqual(rules(filter.score(submission({ fields: { formToken: `${opened.toString(36)}.forged` } }), later)), ['tokenInvalid']);
+  assert.deepEqual(rules(createSpamFilter({ secret: 'other' }).score(submission(), later)), ['tokenInvalid']);
+  assert.deepEqual(rules(filter.score(submission(), opened + 25 * 60 * 60 * 1000)), ['tokenStale']);
+
+  const fast = filter.score(submission(), opened + 1200);
+  assert.deepEqual(fast.reasons, [{ rule: 'tooFast', points: 4, detail: '1200ms' }]);
+  assert.equal(fast.spam, false);
+});
+
+test('allows a couple of links, then scores each extra one up to a cap', () => {
+  const links = (count) => Array.from({ length: count }, (_, i) => `https://example.com/${i}`).join(' ');
+
+  assert.deepEqual(filter.score(submission({ message: links(2) }), later).reasons, []);
+  assert.deepEqual(filter.score(submission({ message: links(4) }), later).reasons, [{ rule: 'links', points: 2, detail: '4 links' }]);
+  assert.equal(filter.score(submission({ message: links(20) }), later).score, 5);
+  assert.deepEqual(rules(filter.score(submission({ name: 'Visit www.cheap-pills.example' }), later)), ['linkInName']);
+});
+
+test('flags disposable email domains and their subdomains', () => {
+  assert.deepEqual(filter.score(submission({ email: 'x@guerrillamail.com' }), later).reasons,
+    [{ rule: 'disposableEmail', points: 4, detail: 'guerrillamail.com' }]);
+  assert.deepEqual(rules(filter.score(submission({ email: 'x@mx.spam.test' }), later)), ['disposableEmail']);
+  assert.deepEqual(rules(filter.score(submission({ email: 'x@test' }), later)), []);
+});
+
+test('signals add up to the threshold', () => {
+  const result = filter.score(submission({ fields: {}, email: 'x@guerrillamail.com' }), later);
+  assert.equal(result.score, 6);
+  assert.equal(result.spam, true);
+});
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { createJsonLinesFile } = require('../jsonl-file');
+
+// --- Contact Inquiry Store ---
+// Every /api/send submission is saved here before any email goes out, so a
+// mail outage never loses a lead. Stored as a JSON Lines snapshot file.
+
+// "spam" holds submissions quarantined by the spam filter (see spam.js)
+const INQUIRY_STATUSES = ['new', 'replied', 'archived', 'spam'];
+
+class InquiryNotFoundError extends Error {
+  constructor(id) {
+    super(`Inquiry ${id} not found`);
+    this.name = 'InquiryNotFoundError';
+    this.id = id;
+  }
+}
+
+function createInquiryStore({ filePath }) {
+  const file = createJsonLinesFile(filePath);
+  const inquiries = new Map();
+  // Idempotency key -> id of the inquiry saved with it, or null while a save
+  // that claimed the key is in progress
+  const idempotencyKeys = new Map();
+
+  const newestFirst = (a, b) => b.createdAt.localeCompare(a.createdAt);
+
+  return {
+    filePath,
+
+    async load() {
+      (await file.load()).forEach(inquiry => {
+        inquiries.set(inquiry.id, inquiry);
+        if (inquiry.idempotencyKey) idempotencyKeys.set(inquiry.idempotencyKey, inquiry.id);
+      });
+      return inquiries.size;
+    },
+
+    /**
+     * Submissions may carry a client-generated key so a retried request
+     * (double click, offline replay) is only saved once. Returns false when
+     * the key is taken; otherwise claims it for the create() that must follow.
+     * Synchronous on purpose: call it before the first await, and two
+     * concurrent requests with the same key can't both get true.
+     */
+    claimIdempotencyKey(key) {
+      if (idempotencyKeys.has(key)) return false;
+      idempotencyKeys.set(key, null);
+      return true;
+    },
+
+    // The inquiry saved with this idempotency key, or null
+    findByIdempotencyKey(key) {
+      return inquiries.get(idempotencyKeys.get(key)) || null;
+    },
+
+    async create(fields) {
+      const now = new Date().toISOString();
+      const inquiry = {
+        id: crypto.randomUUID(),
+        status: 'new',
+        createdAt: now,
+        updatedAt: now,
+        ...fields
+      };
+      inquiries.set(inquiry.id, inquiry);
+      if (inquiry.idempotencyKey) idempotencyKeys.set(inquiry.idempotencyKey, inquiry.id);
+      try {
+        await file.append(inquiry);
+      } catch (error) {
+        // Not saved: let a retry with the same key through
+        inquiries.delete(inquiry.id);
+        if (inquiry.idempotencyKey) idempotencyKeys.delete(inquiry.idempotencyKey);
+        throw error;
+      }
+      return inquiry;
+    },
+
+    get(id) {
+      return inquiries.get(id) || null;
+    },
+
+    /**
+     * Filters by status and/or a case-insensitive search over name, email and
+     * message. Newest first. Spam is only listed when asked for by status.
+     */
+    list({ status, q, limit = 50, offset = 0 } = {}) {
+      const needle = q ? q.toLowerCase() : null;
+      const matches = [...inquiries.values()]
+        .filter(inquiry => (status ? inquiry.status === status : inquiry.status !== 'spam'))
+        .filter(inquiry => !needle || [inquiry.name, inquiry.email, inquiry.message]
+          .some(value => typeof value === 'string' && value.toLowerCase().includes(needle)))
+        .sort(newestFirst);
+
+      return { total: matches.length, inquiries: matches.slice(offset, offset + limit) };
+    },
+
+    async update(id, changes) {
+      const current = inquiries.get(id);
+      if (!current) throw new InquiryNotFoundError(id);
+
+      const inquiry = { ...current, ...changes, id, updatedAt: new Date().toISOString() };
+      inquiries.set(id, inquiry);
+      await file.append(inquiry);
+      return inquiry;
+    }
+  };
+}
+
+module.exports = { createInquiryStore, InquiryNotFoundError, INQUIRY_STATUSES };
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createInquiryStore, InquiryNotFoundError } = require('./store');
+
+const tempFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'inquiries-')), 'inquiries.jsonl');
+
+async function loadedStore(filePath = tempFile()) {
+  const store = createInquiryStore({ filePath });
+  await store.load();
+  return store;
+}
+
+// What /api/send does: claim the key, then save
+async function submit(store, fields) {
+  if (fields.idempotencyKey && !store.claimIdempotencyKey(fields.idempotencyKey)) return null;
+  return store.create(fields);
+}
+
+test('concurrent submissions with the same idempotency key save one inquiry', async () => {
+  const store = await loadedStore();
+  const fields = { name: 'Ada', email: 'ada@example.com', message: 'Hi', idempotencyKey: 'key-1' };
+
+  const results = await Promise.all([submit(store, fields), submit(store, fields), submit(store, fields)]);
+
+  assert.equal(results.filter(Boolean).length, 1);
+  assert.equal(store.list().total, 1);
+});
+
+test('idempotency keys survive a restart', async () => {
+  const filePath = tempFile();
+  await submit(await loadedStore(filePath), { name: 'Ada', idempotencyKey: 'key-2' });
+
+  const restarted = await loadedStore(filePath);
+  assert.equal(restarted.findByIdempotencyKey('key-2').name, 'Ada');
+  assert.equal(restarted.findByIdempotencyKey('key-3'), null);
+  assert.equal(restarted.claimIdempotencyKey('key-2'), false);
+  assert.equal(restarted.claimIdempotencyKey('key-3'), true);
+});
+
+test('a save that fails releases its key for the retry', async () => {
+  // No load(), so the directory doesn't exist and the append fails
+  const store = createInquiryStore({ filePath: path.join(os.tmpdir(), 'missing-dir', `${Date.now()}`, 'x.jsonl') });
+  assert.equal(store.claimIdempotencyKey('key-4'), true);
+  await assert.rejects(store.create({ name: 'Ada', idempotencyKey: 'key-4' }));
+
+  assert.equal(store.claimIdempotencyKey('key-4'), true);
+  assert.equal(store.list().total, 0);
+});
+
+test('lists newest first, hides spam unless asked for and searches', async () => {
+  const store = await loadedStore();
+  const first = await store.create({ name: 'Ada', email: 'ada@example.com', message: 'React app' });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const second = await store.create({ name: 'Bob', email: 'bob@example.com', message: 'Vue app' });
+  await store.create({ name: 'Bot', email: 'bot@spam.test', message: 'Buy now', status: 'spam' });
+
+  assert.deepEqual(store.list().inquiries.map(inquiry => inquiry.id), [second.id, first.id]);
+  assert.equal(store.list({ status: 'spam' }).total, 1);
+  assert.deepEqual(store.list({ q: 'REACT' }).inquiries.map(inquiry => inquiry.id), [first.id]);
+  assert.equal(store.list({ limit: 1, offset: 1 }).inquiries[0].id, first.id);
+});
+
+test('updates keep the id and are persisted', async () => {
+  const filePath = tempFile();
+  const store = await loadedStore(filePath);
+  const inquiry = await store.create({ name: 'Ada' });
+  await store.update(inquiry.id, { id: 'other', status: 'replied' });
+
+  const restarted = await loadedStore(filePath);
+  assert.equal(restarted.get(inquiry.id).status, 'replied');
+  assert.equal(restarted.get('other'), null);
+  await assert.rejects(store.update('nope', {}), InquiryNotFoundError);
+});
@@ -0,0 +1,47 @@
+// --- Inquiry Submission ---
+// What /api/send does with a valid submission: save it, store its files, then
+// queue its emails. A submission whose idempotency key was saved before is not
+// saved again; the retry finishes whatever failed the first time instead. The
+// email queue has keys of its own, so an email that was queued goes out once.
+
+/**
+ * `saveAttachments(inquiryId, files)` stores decoded files and returns their
+ * records; `queueEmails(inquiry)` queues the inquiry's emails.
+ */
+function createInquirySubmitter({ store, saveAttachments, queueEmails }) {
+  // Idempotency key -> the first request's promise, so a concurrent
+  // duplicate gets its outcome instead of racing it
+  const inFlight = new Map();
+
+  const save = async (fields, files) => {
+    const { idempotencyKey } = fields;
+    let inquiry = idempotencyKey && !store.claimIdempotencyKey(idempotencyKey)
+      ? store.findByIdempotencyKey(idempotencyKey)
+      : await store.create(fields);
+
+    if (files.length > 0 && !inquiry.attachments) {
+      inquiry = await store.update(inquiry.id, { attachments: await saveAttachments(inquiry.id, files) });
+    }
+    // Spam is 'held'; 'sent' and 'failed' emails were queued before
+    if (inquiry.emailDelivery === 'queued') {
+      await queueEmails(inquiry);
+    }
+    return inquiry;
+  };
+
+  /**
+   * Saves `fields` (a retry with the same `idempotencyKey` reuses the saved
+   * inquiry) and resolves to the inquiry once its emails are queued.
+   */
+  return function submitInquiry(fields, { files = [] } = {}) {
+    const { idempotencyKey } = fields;
+    if (!idempotencyKey) return save(fields, files);
+    if (inFlight.has(idempotencyKey)) return inFlight.get(idempotencyKey);
+
+    const submission = save(fields, files).finally(() => inFlight.delete(idempotencyKey));
+    inFlight.set(idempotencyKey, submission);
+    return submission;
+  };
+}
+
+module.exports = { createInquirySubmitter };
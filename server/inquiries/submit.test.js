@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createInquiryStore } = require('./store');
+const { createInquirySubmitter } = require('./submit');
+
+async function setup({ failQueue = 0, failAttachments = 0 } = {}) {
+  const store = createInquiryStore({ filePath: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'submit-')), 'inquiries.jsonl') });
+  await store.load();
+
+  // Stand-ins for the email queue and the attachment folder, failing the first calls on request
+  const queued = new Set();
+  const queueEmails = async (inquiry) => {
+    if (failQueue-- > 0) throw new Error('queue file is not writable');
+    queued.add(`${inquiry.id}:admin`).add(`${inquiry.id}:auto-reply`);
+  };
+  const saveAttachments = async (inquiryId, files) => {
+    if (failAttachments-- > 0) throw new Error('disk full');
+    return files.map(({ filename }) => ({ filename, path: `/attachments/${inquiryId}/${filename}` }));
+  };
+
+  return { store, queued, submitInquiry: createInquirySubmitter({ store, queueEmails, saveAttachments }) };
+}
+
+const fields = (overrides = {}) => ({
+  name: 'Ada', email: 'ada@example.com', message: 'Hi', emailDelivery: 'queued', idempotencyKey: 'key-1', ...overrides
+});
+
+test('saves the inquiry and queues its emails', async () => {
+  const { store, queued, submitInquiry } = await setup();
+  const inquiry = await submitInquiry(fields());
+
+  assert.equal(store.get(inquiry.id).name, 'Ada');
+  assert.deepEqual([...queued], [`${inquiry.id}:admin`, `${inquiry.id}:auto-reply`]);
+});
+
+test('a retry after the emails failed to queue queues them for the saved inquiry', async () => {
+  const { store, queued, submitInquiry } = await setup({ failQueue: 1 });
+
+  await assert.rejects(submitInquiry(fields()), /queue file is not writable/);
+  assert.equal(store.list().total, 1);
+  assert.equal(queued.size, 0);
+
+  const retried = await submitInquiry(fields());
+  assert.equal(store.list().total, 1, 'not saved twice');
+  assert.equal(retried.id, store.list().inquiries[0].id);
+  assert.deepEqual([...queued], [`${retried.id}:admin`, `${retried.id}:auto-reply`]);
+});
+
+test('a retry after the files failed to save stores them on the saved inquiry', async () => {
+  const { store, queued, submitInquiry } = await setup({ failAttachments: 1 });
+  const files = [{ filename: 'brief.pdf' }];
+
+  await assert.rejects(submitInquiry(fields(), { files }), /disk full/);
+  const retried = await submitInquiry(fields(), { files });
+
+  assert.equal(store.list().total, 1);
+  assert.deepEqual(store.get(retried.id).attachments, [{ filename: 'brief.pdf', path: `/attachments/${retried.id}/brief.pdf` }]);
+  assert.equal(queued.size, 2);
+});
+
+test('concurrent duplicates share the first request\'s outcome', async () => {
+  const { store, queued, submitInquiry } = await setup({ failQueue: 1 });
+  const results = await Promise.allSettled([submitInquiry(fields()), submitInquiry(fields()), submitInquiry(fields())]);
+
+  assert.deepEqual(results.map(result => result.status), ['rejected', 'rejected', 'rejected']);
+  assert.equal(store.list().total, 1);
+
+  const [first, second] = await Promise.all([submitInquiry(fields()), submitInquiry(fields())]);
+  assert.equal(first, second);
+  assert.equal(queued.size, 2);
+});
+
+test('spam and inquiries whose emails already went out are not queued again', async () => {
+  const { store, queued, submitInquiry } = await setup();
+
+  await submitInquiry(fields({ idempotencyKey: 'spam', status: 'spam', emailDelivery: 'held' }));
+  await submitInquiry(fields({ idempotencyKey: 'spam', status: 'spam', emailDelivery: 'held' }));
+  assert.equal(queued.size, 0);
+
+  const sent = await submitInquiry(fields({ idempotencyKey: 'sent' }));
+  await store.update(sent.id, { emailDelivery: 'sent' });
+  queued.clear();
+  await submitInquiry(fields({ idempotencyKey: 'sent' }));
+  assert.equal(queued.size, 0);
+  assert.equal(store.list({ status: 'spam' }).total + store.list().total, 2);
+});
+
+test('submissions without a key are always saved', async () => {
+  const { store, submitInquiry } = await setup();
+  await submitInquiry(fields({ idempotencyKey: undefined }));
+  await submitInquiry(fields({ idempotencyKey: undefined }));
+  assert.equal(store.list().total, 2);
+});
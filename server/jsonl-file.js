@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- JSON Lines Snapshot File ---
+// Shared persistence for the small server-side stores (inquiries, email
+// queue). Each line is a full snapshot of one record; the last snapshot of an
+// id wins. load() compacts the file to one line per record, so it only grows
+// by one line per change between restarts.
+
+function createJsonLinesFile(filePath) {
+  // Writes are chained so lines never interleave
+  let writeQueue = Promise.resolve();
+
+  return {
+    filePath,
+
+    /**
+     * Returns the latest snapshot of every record, oldest first. `keep` can
+     * drop records (e.g. expired ones) from the compacted file. Unreadable
+     * lines (e.g. a write cut short by a crash) are skipped.
+     */
+    async load(keep = () => true) {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      let raw = '';
+      try {
+        raw = await fs.promises.readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      const records = new Map();
+      let skipped = 0;
+      raw.split('\n').filter(line => line.trim()).forEach(line => {
+        try {
+          const record = JSON.parse(line);
+          records.set(record.id, record);
+        } catch (error) {
+          skipped++;
+        }
+      });
+      if (skipped > 0) {
+        console.warn(`⚠️  Skipped ${skipped} unreadable line(s) in ${filePath}`);
+      }
+
+      const kept = [...records.values()].filter(keep);
+      const tempPath = `${filePath}.tmp`;
+      await fs.promises.writeFile(tempPath, kept.map(record => `${JSON.stringify(record)}\n`).join(''));
+      await fs.promises.rename(tempPath, filePath);
+      return kept;
+    },
+
+    append(record) {
+      writeQueue = writeQueue
+        .catch(() => {})
+        .then(() => fs.promises.appendFile(filePath, `${JSON.stringify(record)}\n`));
+      return writeQueue;
+    }
+  };
+}
+
+module.exports = { createJsonLinesFile };
@@ -0,0 +1,139 @@
+const { escapeXml } = require('../xml');
+
+// --- Social Card SVG ---
+// The 1200x630 image link previews show, in the site's colors and fonts
+// (index.css): a small label, a big serif title, tags and the site name.
+// SVG can't wrap text, so lines are laid out here with `measure`, which
+// index.js backs with the fonts the card is rendered in. A title that needs
+// more than three lines at full size is set smaller before it is cut short.
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+const PADDING = 80;
+
+const COLORS = { bg: '#0a0a0a', ink: '#f0ece3', muted: '#6b6460', accent: '#e8c547', dim: '#1a1816' };
+const SERIF_FONT = { family: 'Playfair Display', weight: 700 };
+const MONO_FONT = { family: 'DM Mono', weight: 400 };
+const SERIF = "'Playfair Display', serif";
+const MONO = "'DM Mono', monospace";
+
+// The title is centered between the label and the tags
+const TITLE_TOP = 150;
+const TITLE_BOTTOM = 415;
+const TITLE_WIDTH = WIDTH - PADDING * 2;
+const TITLE_SIZES = [72, 64, 56]; // tried in order until the title fits
+const TITLE_LINE_HEIGHT = 7 / 6; // of the font size
+const TITLE_MAX_LINES = 3;
+const TAGS_TOP = 430;
+const TAG_SIZE = 22;
+const MAX_TAGS = 5;
+
+// Without real fonts: wide enough per character for Playfair's capitals and
+// DM Mono, so an estimated line errs towards wrapping early
+const CHAR_WIDTH = 0.62; // of the font size
+const estimateWidth = (text, font) => text.length * font.size * CHAR_WIDTH;
+
+/**
+ * Splits `text` into lines no wider than `maxWidth` by `measure(line)`,
+ * breaking between words. Returns { lines, fits }: `fits` is false when it
+ * took more than `maxLines` lines, or a single word is too wide on its own.
+ */
+function wrapText(text, { maxWidth, maxLines, measure }) {
+  const lines = [];
+  let current = '';
+  for (const word of text.trim().split(/\s+/)) {
+    const next = current ? `${current} ${word}` : word;
+    if (!current || measure(next) <= maxWidth) {
+      current = next;
+    } else {
+      lines.push(current);
+      current = word;
+    }
+  }
+  if (current) lines.push(current);
+  return { lines, fits: lines.length <= maxLines && lines.every(line => measure(line) <= maxWidth) };
+}
+
+// Cuts `line` at a word, or else a character, until it fits with an "…"
+function truncate(line, maxWidth, measure) {
+  let kept = line;
+  while (kept.length > 1 && measure(`${kept}…`) > maxWidth) {
+    kept = /\s/.test(kept) ? kept.replace(/\s+\S*$/, '') : kept.slice(0, -1);
+  }
+  return `${kept}…`;
+}
+
+/**
+ * The title at the largest size in TITLE_SIZES where it fits, else at the
+ * smallest, cut short: { size, lines }.
+ */
+function layoutTitle(title, measure) {
+  let measureAt;
+  let wrapped;
+  for (const size of TITLE_SIZES) {
+    measureAt = text => measure(text, { ...SERIF_FONT, size });
+    wrapped = wrapText(title, { maxWidth: TITLE_WIDTH, maxLines: TITLE_MAX_LINES, measure: measureAt });
+    if (wrapped.fits) return { size, lines: wrapped.lines };
+  }
+
+  // Too long even at the smallest size: cut it short
+  const { lines } = wrapped;
+  const kept = lines.slice(0, TITLE_MAX_LINES)
+    .map(line => (measureAt(line) > TITLE_WIDTH ? truncate(line, TITLE_WIDTH, measureAt) : line));
+  const last = kept.length - 1;
+  if (lines.length > TITLE_MAX_LINES && !kept[last].endsWith('…')) {
+    kept[last] = truncate(`${kept[last]} ${lines[TITLE_MAX_LINES]}`, TITLE_WIDTH, measureAt);
+  }
+  return { size: TITLE_SIZES[TITLE_SIZES.length - 1], lines: kept };
+}
+
+// Tag pills left to right, as many as fit on one line
+function tagPills(tags, y, measure) {
+  const pills = [];
+  let x = PADDING;
+  for (const tag of tags.slice(0, MAX_TAGS)) {
+    const width = Math.ceil(measure(tag, { ...MONO_FONT, size: TAG_SIZE })) + 40;
+    if (x + width > WIDTH - PADDING) break;
+    pills.push(
+      `<rect x="${x}" y="${y}" width="${width}" height="48" rx="24" fill="${COLORS.dim}" stroke="${COLORS.muted}" stroke-width="1.5"/>`
+      + `<text x="${x + width / 2}" y="${y + 32}" text-anchor="middle" font-family="${MONO}" font-size="${TAG_SIZE}" fill="${COLORS.ink}">${escapeXml(tag)}</text>`
+    );
+    x += width + 14;
+  }
+  return pills.join('\n  ');
+}
+
+/**
+ * The card as SVG markup. `card` is { label, title, tags, footer, site },
+ * all plain text. `measure(text, { family, weight, size })` gives the width
+ * of a line in pixels; without it widths are estimated.
+ */
+function buildCardSvg({ label, title, tags = [], footer, site }, { measure = estimateWidth } = {}) {
+  const { size: titleSize, lines: titleLines } = layoutTitle(title, measure);
+  const lineHeight = Math.round(titleSize * TITLE_LINE_HEIGHT);
+  const offset = (TITLE_BOTTOM - TITLE_TOP - titleLines.length * lineHeight) / 2;
+  const firstBaseline = TITLE_TOP + offset + titleSize * 0.85;
+  const titleSpans = titleLines
+    .map((line, i) => `<tspan x="${PADDING}" y="${Math.round(firstBaseline + i * lineHeight)}">${escapeXml(line)}</tspan>`)
+    .join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">
+  <defs>
+    <pattern id="grid" width="40" height="40" patternUnits="userSpaceOnUse">
+      <path d="M 40 0 L 0 0 0 40" fill="none" stroke="${COLORS.ink}" stroke-width="0.5" opacity="0.08"/>
+    </pattern>
+  </defs>
+  <rect width="${WIDTH}" height="${HEIGHT}" fill="${COLORS.bg}"/>
+  <rect width="${WIDTH}" height="${HEIGHT}" fill="url(#grid)"/>
+  <rect x="0" y="0" width="${WIDTH}" height="8" fill="${COLORS.accent}"/>
+  <text x="${PADDING}" y="${PADDING + 40}" font-family="${MONO}" font-size="24" letter-spacing="6" fill="${COLORS.accent}">${escapeXml(label.toUpperCase())}</text>
+  <text font-family="${SERIF}" font-size="${titleSize}" font-weight="${SERIF_FONT.weight}" fill="${COLORS.ink}">${titleSpans}</text>
+  ${tagPills(tags, TAGS_TOP, measure)}
+  <line x1="${PADDING}" y1="${HEIGHT - 100}" x2="${WIDTH - PADDING}" y2="${HEIGHT - 100}" stroke="${COLORS.muted}" stroke-width="1" opacity="0.5"/>
+  <text x="${PADDING}" y="${HEIGHT - 55}" font-family="${MONO}" font-size="24" fill="${COLORS.ink}">${escapeXml(footer)}</text>
+  <text x="${WIDTH - PADDING}" y="${HEIGHT - 55}" text-anchor="end" font-family="${MONO}" font-size="24" fill="${COLORS.muted}">${escapeXml(site)}</text>
+</svg>
+`;
+}
+
+module.exports = { buildCardSvg, layoutTitle, wrapText, estimateWidth, WIDTH, HEIGHT };
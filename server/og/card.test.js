@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCardSvg, layoutTitle, wrapText, estimateWidth } = require('./card');
+
+// Every character 10px wide at size 20, scaling with the size
+const fixedWidth = (text, font) => text.length * font.size / 2;
+const titleSize = (svg) => Number(svg.match(/font-family="'Playfair Display', serif" font-size="(\d+)"/)[1]);
+const titleLines = (svg) => [...svg.matchAll(/<tspan[^>]*>([^<]*)<\/tspan>/g)].map(match => match[1]);
+
+test('wraps between words by measured width', () => {
+  const measure = text => text.length * 10;
+  assert.deepEqual(wrapText('one two three four', { maxWidth: 90, maxLines: 3, measure }), {
+    lines: ['one two', 'three', 'four'],
+    fits: true
+  });
+  assert.equal(wrapText('one two three four', { maxWidth: 90, maxLines: 2, measure }).fits, false);
+  assert.equal(wrapText('internationalization', { maxWidth: 90, maxLines: 3, measure }).fits, false);
+});
+
+test('keeps the full size for a title that fits', () => {
+  // 1040px of text area: 28 characters at 72px
+  assert.deepEqual(layoutTitle('Solar System — Animation', fixedWidth), { size: 72, lines: ['Solar System — Animation'] });
+});
+
+test('sets a long title smaller before cutting it short', () => {
+  const title = 'A title long enough to need a fourth line at the largest size but three lines when smaller';
+  const { size, lines } = layoutTitle(title, fixedWidth);
+  assert.ok(size < 72);
+  assert.equal(lines.length, 3);
+  assert.equal(lines.join(' '), title);
+});
+
+test('cuts a title that does not fit at any size with an ellipsis', () => {
+  const words = Array.from({ length: 40 }, (_, i) => `word${i}`).join(' ');
+  const { size, lines } = layoutTitle(words, fixedWidth);
+
+  assert.equal(size, 56);
+  assert.equal(lines.length, 3);
+  assert.match(lines[2], /…$/);
+  lines.forEach(line => assert.ok(fixedWidth(line, { size }) <= 1040, line));
+  assert.match(layoutTitle('x'.repeat(200), fixedWidth).lines[0], /^x+…$/);
+});
+
+test('the estimate errs towards wrapping early', () => {
+  // Wider than Playfair Display Bold, which sets this title in about 870px at 72px
+  assert.ok(estimateWidth('Solar System — Animation', { size: 72 }) > 1000);
+});
+
+test('builds the card with escaped text and as many tags as fit', () => {
+  const svg = buildCardSvg({
+    label: 'Web App · 2024',
+    title: 'Tom & Jerry <3',
+    tags: ['React', 'Node.js', 'A very long tag name', 'Another long tag name', 'Too long to fit here'],
+    footer: 'Ada',
+    site: 'example.com'
+  }, { measure: fixedWidth });
+
+  assert.equal(titleSize(svg), 72);
+  assert.deepEqual(titleLines(svg), ['Tom &amp; Jerry &lt;3']);
+  assert.match(svg, /WEB APP · 2024/);
+  assert.match(svg, />Another long tag name</);
+  assert.doesNotMatch(svg, />Too long to fit here</, 'past the right edge');
+
+  const fewTags = buildCardSvg({ label: 'x', title: 'x', tags: ['a', 'b', 'c', 'd', 'e', 'f'], footer: 'x', site: 'x' }, { measure: fixedWidth });
+  assert.match(fewTags, />e</);
+  assert.doesNotMatch(fewTags, />f</, 'five tags at most');
+});
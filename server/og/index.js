@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const path = require('path');
+const { buildCardSvg, WIDTH, HEIGHT } = require('./card');
+const { displayUrl } = require('../content');
+const { getListedProjects } = require('../seo');
+const { escapeXml } = require('../xml');
+
+// --- Open Graph Images ---
+// /og/:slug.png renders a social card from portfolio.json: `home` for the
+// site, or the id of a project with a page (a shipped showcase project, as in
+// the sitemap); any other id is a 404. The SVG from card.js goes through resvg, which needs
+// no browser. The fonts are the site's own, bundled in fonts/ (SIL Open Font
+// License) and used for both measuring and drawing; system fonts are never
+// loaded, so a card looks the same on every server.
+
+const HOME_SLUG = 'home';
+const DEFAULT_MAX_ENTRIES = 50;
+// Widths are measured at this size and scaled, as glyph advances are linear
+const MEASURE_SIZE = 100;
+
+const FONT_OPTIONS = {
+  loadSystemFonts: false,
+  fontFiles: ['PlayfairDisplay-Bold.ttf', 'DMMono-Regular.ttf'].map(file => path.join(__dirname, 'fonts', file)),
+  serifFamily: 'Playfair Display',
+  monospaceFamily: 'DM Mono',
+  defaultFontFamily: 'DM Mono'
+};
+
+// resvg is a native module with a build per platform; the rest of the site
+// keeps working where it doesn't load, and /og answers 503
+class OgRendererUnavailableError extends Error {
+  constructor(cause) {
+    super(`Social card rendering is unavailable: ${cause.message}`);
+    this.name = 'OgRendererUnavailableError';
+  }
+}
+
+let resvgModule = null;
+function loadResvg() {
+  if (!resvgModule) {
+    try {
+      resvgModule = require('@resvg/resvg-js');
+    } catch (error) {
+      throw new OgRendererUnavailableError(error);
+    }
+  }
+  return resvgModule;
+}
+
+// { label, title, tags, footer, site } for the slug, or null if there is no such page
+function cardFor(content, slug) {
+  const { profile } = content;
+  const common = { footer: profile.name, site: displayUrl(profile.website) };
+
+  if (slug === HOME_SLUG) {
+    return {
+      ...common,
+      label: content.hero.tag,
+      title: profile.name,
+      tags: [...new Set(content.marquee)],
+      footer: profile.title
+    };
+  }
+
+  const project = getListedProjects(content).find(candidate => candidate.id === slug);
+  if (!project) return null;
+  return {
+    ...common,
+    label: [project.cat, project.year].join(' · '),
+    title: project.name,
+    tags: project.tags
+  };
+}
+
+function renderPng(svg) {
+  const { Resvg } = loadResvg();
+  return new Resvg(svg, { fitTo: { mode: 'width', value: WIDTH }, font: FONT_OPTIONS }).render().asPng();
+}
+
+/**
+ * A `measure` for buildCardSvg: lays the line out in the bundled fonts and
+ * takes the right edge of the ink. Widths are kept, since a card is built
+ * on every request to work out its ETag.
+ */
+function createMeasure() {
+  const widths = new Map();
+  return (text, { family, weight, size }) => {
+    const key = `${family}|${weight}|${text}`;
+    if (!widths.has(key)) {
+      const { Resvg } = loadResvg();
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${MEASURE_SIZE * (text.length + 1)}" height="${MEASURE_SIZE * 2}">`
+        + `<text x="0" y="${MEASURE_SIZE * 1.5}" font-family="${escapeXml(family)}" font-weight="${weight}" font-size="${MEASURE_SIZE}">${escapeXml(text)}</text></svg>`;
+      const box = new Resvg(svg, { font: FONT_OPTIONS }).getBBox();
+      widths.set(key, box ? box.x + box.width : 0);
+    }
+    return widths.get(key) * size / MEASURE_SIZE;
+  };
+}
+
+/**
+ * Renders and keeps the PNGs. get() returns { etag, render } or null for an
+ * unknown slug; render() gives the PNG Buffer, so a request that revalidates
+ * never renders. The SVG is cheap to build and decides the key: a content edit
+ * that changes a card gets a new image and ETag by itself. The least recently
+ * used PNG goes past `maxEntries`. get() throws OgRendererUnavailableError
+ * when resvg can't be loaded.
+ */
+function createOgImages({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  const entries = new Map(); // svg hash -> PNG Buffer, oldest first
+  const measure = createMeasure();
+
+  function get(content, slug) {
+    const card = cardFor(content, slug);
+    if (!card) return null;
+
+    const svg = buildCardSvg(card, { measure });
+    const key = crypto.createHash('sha256').update(svg).digest('base64url').slice(0, 27);
+    const render = () => {
+      let body = entries.get(key);
+      if (body) {
+        entries.delete(key); // re-inserted below as the most recently used
+      } else {
+        body = renderPng(svg);
+      }
+      entries.set(key, body);
+      if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+      return body;
+    };
+    return { etag: `"${key}"`, render };
+  }
+
+  return { get };
+}
+
+module.exports = { createOgImages, cardFor, OgRendererUnavailableError, HOME_SLUG, WIDTH, HEIGHT };
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createOgImages, cardFor } = require('./index');
+
+const content = {
+  profile: { name: 'Ada Lovelace', title: 'Fullstack Developer', website: 'https://www.example.com/' },
+  hero: { tag: 'MERN Stack Developer' },
+  marquee: ['React', 'Node.js', 'React'],
+  work: {
+    projects: [
+      { id: 'planets', status: 'live', showcase: true, cat: '3D Design', year: '2024', name: 'Solar System — Animation', tags: ['Three.js'] },
+      { id: 'next', status: 'in-production', showcase: true, cat: 'Web App', year: '2026', name: 'Next', tags: [] },
+      { id: 'tools', status: 'live', cat: 'Utility', year: '2023', name: 'Tools', tags: [] }
+    ]
+  }
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+test('describes the home page and each project with a page', () => {
+  assert.deepEqual(cardFor(content, 'home'), {
+    footer: 'Fullstack Developer',
+    site: 'example.com',
+    label: 'MERN Stack Developer',
+    title: 'Ada Lovelace',
+    tags: ['React', 'Node.js']
+  });
+  assert.equal(cardFor(content, 'planets').label, '3D Design · 2024');
+  assert.equal(cardFor(content, 'next'), null, 'in production');
+  assert.equal(cardFor(content, 'tools'), null, 'not on the home page');
+  assert.equal(cardFor(content, 'nope'), null);
+});
+
+test('renders a PNG per card and reuses it while the card is unchanged', () => {
+  const images = createOgImages();
+  const image = images.get(content, 'planets');
+  const png = image.render();
+
+  assert.deepEqual(png.subarray(0, 8), PNG_SIGNATURE);
+  assert.equal(png.readUInt32BE(16), 1200);
+  assert.equal(png.readUInt32BE(20), 630);
+  assert.equal(images.get(content, 'planets').etag, image.etag);
+  assert.equal(images.get(content, 'planets').render(), png);
+
+  const renamed = { ...content, work: { projects: [{ ...content.work.projects[0], name: 'Planets' }] } };
+  assert.notEqual(images.get(renamed, 'planets').etag, image.etag);
+  assert.equal(images.get(content, 'nope'), null);
+});
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const { getTheme } = require('./themes');
+const { parseTailoring } = require('./tailor');
+
+// --- Resume PDF Cache ---
+// Rendering takes PDFKit a while, and the result only depends on the content
+// and the options, so each combination is rendered once and kept until the
+// content changes. Entries are keyed by a hash of both, which doubles as the
+// ETag. The ETag is weak: PDFKit stamps every render with its own creation
+// date, so the bytes differ even though the resume is the same.
+
+const DEFAULT_MAX_ENTRIES = 50;
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('base64url');
+
+/**
+ * `render(content, options)` returns a Promise for the PDF as a Buffer.
+ * get() resolves to { body, etag, lastModified } and throws what the option
+ * parsing throws (ResumeOptionError) before anything is rendered. The least
+ * recently used entry is dropped past `maxEntries`.
+ */
+function createResumeCache({ render, maxEntries = DEFAULT_MAX_ENTRIES }) {
+  const entries = new Map(); // key -> Promise<{ body, etag, lastModified }>, oldest first
+  const contentHashes = new WeakMap();
+
+  function contentHash(content) {
+    if (!contentHashes.has(content)) contentHashes.set(content, sha256(JSON.stringify(content)));
+    return contentHashes.get(content);
+  }
+
+  // Options that make the same resume give the same key: the default theme
+  // named or not, focus and skills in any case
+  function keyFor(content, { theme, focus, skills }) {
+    const tailoring = parseTailoring(content, { focus, skills });
+    const options = {
+      theme: getTheme(theme).id,
+      focus: tailoring && tailoring.focus ? tailoring.focus.id : null,
+      skills: tailoring ? tailoring.skills.map(skill => skill.toLowerCase()) : []
+    };
+    return sha256(`${contentHash(content)}:${JSON.stringify(options)}`);
+  }
+
+  async function get(content, options = {}) {
+    const key = keyFor(content, options);
+    let entry = entries.get(key);
+    if (entry) {
+      entries.delete(key); // re-inserted below as the most recently used
+    } else {
+      // Concurrent requests for the same resume share one render
+      entry = render(content, options).then(body => ({
+        body,
+        etag: `W/"${key.slice(0, 27)}"`,
+        lastModified: new Date(Math.floor(Date.now() / 1000) * 1000) // HTTP dates have no milliseconds
+      }));
+      entry.catch(() => entries.delete(key));
+    }
+    entries.set(key, entry);
+    if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    return entry;
+  }
+
+  return {
+    get,
+    clear: () => entries.clear(),
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+/**
+ * Sends a cached resume with its ETag and Last-Modified, or an empty 304
+ * when the request's If-None-Match or If-Modified-Since still matches.
+ * Browsers revalidate every time (no-cache); a 304 costs no rendering.
+ */
+function sendCachedResume(req, res, resume, { disposition = 'attachment', filename }) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `${disposition}; filename="${filename}"`);
+  res.setHeader('ETag', resume.etag);
+  res.setHeader('Last-Modified', resume.lastModified.toUTCString());
+  res.setHeader('Cache-Control', 'no-cache');
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  return res.send(resume.body);
+}
+
+module.exports = { createResumeCache, sendCachedResume };
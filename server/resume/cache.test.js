@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createResumeCache, sendCachedResume } = require('./cache');
+const { ResumeOptionError } = require('./errors');
+const { loadContent, watchContent, CONTENT_PATH } = require('../content');
+
+// Renders "PDFs" instantly and counts how often it had to
+function countingRender() {
+  const render = async (content, options) => {
+    render.calls++;
+    return Buffer.from(`${content.profile.name}:${options.theme || 'default'}:${render.calls}`);
+  };
+  render.calls = 0;
+  return render;
+}
+
+const quietly = (t, fn) => {
+  t.mock.method(console, 'warn', () => {});
+  return fn();
+};
+
+test('renders each combination once and shares concurrent renders', async (t) => {
+  const content = quietly(t, loadContent);
+  const render = countingRender();
+  const cache = createResumeCache({ render });
+
+  const [first, second] = await Promise.all([cache.get(content), cache.get(content, { theme: 'classic' })]);
+  assert.equal(first, second, 'the default theme named or not is the same resume');
+  assert.equal(render.calls, 1);
+
+  await cache.get(content, { focus: 'FRONTEND', skills: 'react' });
+  await cache.get(content, { focus: 'frontend', skills: 'React' });
+  assert.equal(render.calls, 2);
+  assert.equal(cache.size, 2);
+});
+
+test('drops the least recently used entry past maxEntries', async (t) => {
+  const content = quietly(t, loadContent);
+  const render = countingRender();
+  const cache = createResumeCache({ render, maxEntries: 2 });
+
+  await cache.get(content, { theme: 'classic' });
+  await cache.get(content, { theme: 'compact' });
+  await cache.get(content, { theme: 'classic' }); // now the most recently used
+  await cache.get(content, { theme: 'two-column' }); // evicts compact
+  assert.equal(cache.size, 2);
+  assert.equal(render.calls, 3);
+
+  await cache.get(content, { theme: 'classic' });
+  assert.equal(render.calls, 3, 'classic was kept');
+  await cache.get(content, { theme: 'compact' });
+  assert.equal(render.calls, 4, 'compact was rendered again');
+});
+
+test('the ETag is weak and follows the content and options', async (t) => {
+  const content = quietly(t, loadContent);
+  const cache = createResumeCache({ render: countingRender() });
+
+  const resume = await cache.get(content);
+  assert.match(resume.etag, /^W\/"[\w-]{27}"$/);
+  assert.equal(resume.lastModified.getMilliseconds(), 0);
+
+  assert.notEqual((await cache.get(content, { theme: 'compact' })).etag, resume.etag);
+  const edited = { ...content, profile: { ...content.profile, name: 'Someone Else' } };
+  assert.notEqual((await cache.get(edited)).etag, resume.etag);
+  assert.equal((await createResumeCache({ render: countingRender() }).get(content)).etag, resume.etag, 'stable across restarts');
+});
+
+test('bad options throw before rendering and failed renders are not kept', async (t) => {
+  const content = quietly(t, loadContent);
+  const render = countingRender();
+  const cache = createResumeCache({ render });
+
+  await assert.rejects(cache.get(content, { theme: 'nope' }), ResumeOptionError);
+  assert.equal(render.calls, 0);
+
+  let fail = true;
+  const flaky = createResumeCache({ render: async () => { if (fail) throw new Error('PDFKit failed'); return Buffer.from('pdf'); } });
+  await assert.rejects(flaky.get(content), /PDFKit failed/);
+  fail = false;
+  assert.deepEqual((await flaky.get(content)).body, Buffer.from('pdf'));
+});
+
+test('answers 304 when If-None-Match or If-Modified-Since still match', async (t) => {
+  const content = quietly(t, loadContent);
+  const cache = createResumeCache({ render: countingRender() });
+  const app = express();
+  app.get('/resume', async (req, res) => {
+    sendCachedResume(req, res, await cache.get(content, req.query), { disposition: 'inline', filename: 'resume.pdf' });
+  });
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/resume`;
+  // As a browser revalidates; fetch() would otherwise add `Cache-Control: no-cache`,
+  // which asks for the full response whatever the validators say
+  const revalidate = (target, headers) => fetch(target, { headers: { 'Cache-Control': 'max-age=0', ...headers } });
+
+  const first = await fetch(url);
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('content-type'), 'application/pdf');
+  assert.equal(first.headers.get('content-disposition'), 'inline; filename="resume.pdf"');
+  assert.equal(first.headers.get('cache-control'), 'no-cache');
+  const etag = first.headers.get('etag');
+  assert.match(etag, /^W\//);
+  assert.ok((await first.arrayBuffer()).byteLength > 0);
+
+  const revalidated = await revalidate(url, { 'If-None-Match': etag });
+  assert.equal(revalidated.status, 304);
+  assert.equal(await revalidated.text(), '');
+
+  const byDate = await revalidate(url, { 'If-Modified-Since': first.headers.get('last-modified') });
+  assert.equal(byDate.status, 304);
+
+  const otherTheme = await revalidate(`${url}?theme=compact`, { 'If-None-Match': etag });
+  assert.equal(otherTheme.status, 200);
+});
+
+test('a content reload drops the cached resumes', async (t) => {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'resume-cache-')), 'portfolio.json');
+  fs.copyFileSync(CONTENT_PATH, filePath);
+  const content = quietly(t, () => loadContent(filePath));
+  const render = countingRender();
+  const cache = createResumeCache({ render });
+  await cache.get(content);
+
+  // What server.js does when portfolio.json changes. The watcher doesn't keep
+  // the process alive, so the timeout does while waiting.
+  let timer;
+  const reloaded = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('portfolio.json was not reloaded')), 5000);
+    const stop = watchContent((fresh) => {
+      stop();
+      cache.clear();
+      resolve(fresh);
+    }, { filePath, interval: 20 });
+  }).finally(() => clearTimeout(timer));
+  fs.writeFileSync(filePath, JSON.stringify({ ...content, profile: { ...content.profile, name: 'Renamed Person' } }));
+  const later = new Date(Date.now() + 5000);
+  fs.utimesSync(filePath, later, later);
+  const fresh = await reloaded;
+
+  assert.equal(cache.size, 0);
+  assert.match((await cache.get(fresh)).body.toString(), /^Renamed Person:/);
+  assert.equal(render.calls, 2);
+});
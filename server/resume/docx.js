@@ -0,0 +1,151 @@
+const { createZip } = require('../zip');
+const { escapeXml } = require('../xml');
+const { getLiveProjects } = require('../content');
+const { contactItems } = require('./sections');
+const { SECTION_TITLES } = require('./themes');
+
+// --- Resume DOCX ---
+// A plain WordprocessingML document, written by hand: one column, built-in
+// style names (Title, Heading 1, Heading 2, List Bullet) and real list
+// numbering, which is what Word users and resume parsers both expect. The
+// look follows the classic PDF theme.
+
+const PAGE = { width: 11906, height: 16838, margin: 1134 }; // A4, 2 cm margins, in twips
+const TEXT_WIDTH = PAGE.width - PAGE.margin * 2;
+const ACCENT = '2563EB';
+const MUTED = '6B7280';
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const W_NS = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+
+// A run of text; tabs become <w:tab/> so "Title\tPeriod" hits the right tab stop
+function run(text, { bold = false, italic = false, color } = {}) {
+  const props = [bold && '<w:b/>', italic && '<w:i/>', color && `<w:color w:val="${color}"/>`].filter(Boolean).join('');
+  const parts = String(text).split('\t').map(part => `<w:t xml:space="preserve">${escapeXml(part)}</w:t>`);
+  return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}${parts.join('<w:tab/>')}</w:r>`;
+}
+
+function paragraph(runs, style) {
+  const props = style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : '';
+  return `<w:p>${props}${[].concat(runs).join('')}</w:p>`;
+}
+
+function documentXml(content) {
+  const { profile } = content;
+  const body = [
+    paragraph(run(profile.name), 'Title'),
+    paragraph(run(profile.title), 'Subtitle'),
+    ...contactItems(profile).map(([label, value]) => paragraph([run(`${label}: `, { bold: true }), run(value)], 'Contact')),
+    paragraph(run(SECTION_TITLES.summary), 'Heading1'),
+    ...content.about.summary.map(text => paragraph(run(text))),
+    paragraph(run(SECTION_TITLES.skills), 'Heading1'),
+    ...content.skills.map(group => paragraph([
+      run(`${group.category}: `, { bold: true }),
+      run(`Proficient: ${group.proficient.join(', ')}. Familiar: ${group.familiar.join(', ')}`)
+    ])),
+    paragraph(run(SECTION_TITLES.experience), 'Heading1'),
+    ...content.experience.flatMap(job => [
+      paragraph([run(job.title), run(`\t${job.period}`, { color: MUTED })], 'Heading2'),
+      ...job.points.map(point => paragraph(run(point), 'ListBullet'))
+    ])
+  ];
+
+  const projects = getLiveProjects(content);
+  if (projects.length > 0) {
+    body.push(paragraph(run(SECTION_TITLES.projects), 'Heading1'));
+    projects.forEach(project => {
+      const url = project.links.preview || project.links.github;
+      body.push(
+        paragraph([run(project.name), run(`\t${project.tags.join(', ')}`, { color: MUTED })], 'Heading2'),
+        paragraph(run(`${project.description}${url ? ` ${url}` : ''}`), 'ListBullet')
+      );
+    });
+  }
+
+  const section = `<w:sectPr><w:pgSz w:w="${PAGE.width}" w:h="${PAGE.height}"/>`
+    + `<w:pgMar w:top="${PAGE.margin}" w:right="${PAGE.margin}" w:bottom="${PAGE.margin}" w:left="${PAGE.margin}" w:header="567" w:footer="567" w:gutter="0"/></w:sectPr>`;
+  return `${XML_HEADER}<w:document ${W_NS}><w:body>${body.join('')}${section}</w:body></w:document>`;
+}
+
+function style(id, name, { type = 'paragraph', basedOn = 'Normal', paragraph: pPr = '', run: rPr = '' } = {}) {
+  return `<w:style w:type="${type}" w:styleId="${id}"${id === 'Normal' ? ' w:default="1"' : ''}>`
+    + `<w:name w:val="${name}"/>${id === 'Normal' ? '' : `<w:basedOn w:val="${basedOn}"/><w:next w:val="Normal"/>`}<w:qFormat/>`
+    + `${pPr ? `<w:pPr>${pPr}</w:pPr>` : ''}${rPr ? `<w:rPr>${rPr}</w:rPr>` : ''}</w:style>`;
+}
+
+// Sizes are in half-points, spacing in twips
+const STYLES_XML = `${XML_HEADER}<w:styles ${W_NS}>`
+  + '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/>'
+  + '<w:sz w:val="21"/><w:szCs w:val="21"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault>'
+  + '<w:pPrDefault><w:pPr><w:spacing w:after="80" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>'
+  + style('Normal', 'Normal', { run: '<w:color w:val="374151"/>' })
+  + style('Title', 'Title', { paragraph: '<w:spacing w:after="40"/>', run: '<w:b/><w:color w:val="111827"/><w:sz w:val="48"/><w:szCs w:val="48"/>' })
+  + style('Subtitle', 'Subtitle', { paragraph: '<w:spacing w:after="160"/>', run: `<w:color w:val="${ACCENT}"/><w:sz w:val="28"/><w:szCs w:val="28"/>` })
+  + style('Contact', 'Contact', { paragraph: '<w:spacing w:after="0"/>', run: '<w:sz w:val="19"/><w:szCs w:val="19"/>' })
+  + style('Heading1', 'heading 1', {
+    paragraph: `<w:keepNext/><w:pBdr><w:bottom w:val="single" w:sz="6" w:space="2" w:color="${ACCENT}"/></w:pBdr><w:spacing w:before="280" w:after="120"/><w:outlineLvl w:val="0"/>`,
+    run: `<w:b/><w:caps/><w:color w:val="${ACCENT}"/><w:sz w:val="26"/><w:szCs w:val="26"/>`
+  })
+  + style('Heading2', 'heading 2', {
+    paragraph: `<w:keepNext/><w:tabs><w:tab w:val="right" w:pos="${TEXT_WIDTH}"/></w:tabs><w:spacing w:before="160" w:after="60"/><w:outlineLvl w:val="1"/>`,
+    run: '<w:b/><w:color w:val="111827"/><w:sz w:val="22"/><w:szCs w:val="22"/>'
+  })
+  + style('ListBullet', 'List Bullet', {
+    paragraph: '<w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr><w:spacing w:after="40"/>'
+  })
+  + '</w:styles>';
+
+const NUMBERING_XML = `${XML_HEADER}<w:numbering ${W_NS}>`
+  + '<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="singleLevel"/>'
+  + '<w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="bullet"/><w:lvlText w:val="•"/><w:lvlJc w:val="left"/>'
+  + '<w:pPr><w:ind w:left="360" w:hanging="240"/></w:pPr></w:lvl></w:abstractNum>'
+  + '<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num></w:numbering>';
+
+const CONTENT_TYPES_XML = `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+  + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+  + '<Default Extension="xml" ContentType="application/xml"/>'
+  + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+  + '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>'
+  + '<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>'
+  + '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>'
+  + '</Types>';
+
+const REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_RELS_XML = `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+  + `<Relationship Id="rId1" Type="${REL}/officeDocument" Target="word/document.xml"/>`
+  + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>'
+  + '</Relationships>';
+
+const DOCUMENT_RELS_XML = `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+  + `<Relationship Id="rId1" Type="${REL}/styles" Target="styles.xml"/>`
+  + `<Relationship Id="rId2" Type="${REL}/numbering" Target="numbering.xml"/>`
+  + '</Relationships>';
+
+function coreXml(profile, created) {
+  return `${XML_HEADER}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" `
+    + 'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" '
+    + 'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">'
+    + `<dc:title>${escapeXml(`${profile.name} - Resume`)}</dc:title>`
+    + `<dc:subject>${escapeXml(profile.title)}</dc:subject>`
+    + `<dc:creator>${escapeXml(profile.name)}</dc:creator>`
+    + `<dcterms:created xsi:type="dcterms:W3CDTF">${created.toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:created>`
+    + '</cp:coreProperties>';
+}
+
+/**
+ * The resume as a .docx file (a Buffer).
+ */
+function renderDocx(content) {
+  const created = new Date();
+  return createZip([
+    { name: '[Content_Types].xml', content: CONTENT_TYPES_XML },
+    { name: '_rels/.rels', content: PACKAGE_RELS_XML },
+    { name: 'word/document.xml', content: documentXml(content) },
+    { name: 'word/_rels/document.xml.rels', content: DOCUMENT_RELS_XML },
+    { name: 'word/styles.xml', content: STYLES_XML },
+    { name: 'word/numbering.xml', content: NUMBERING_XML },
+    { name: 'docProps/core.xml', content: coreXml(content.profile, created) }
+  ], { modified: created });
+}
+
+module.exports = { renderDocx };
@@ -0,0 +1,13 @@
+// --- Resume Errors ---
+
+// An option of /api/resume (theme, focus, skills, format) is not usable; the
+// message is meant for whoever built the URL
+class ResumeOptionError extends Error {
+  constructor(message, option) {
+    super(message);
+    this.name = 'ResumeOptionError';
+    this.option = option;
+  }
+}
+
+module.exports = { ResumeOptionError };
@@ -0,0 +1,184 @@
+const { getLiveProjects } = require('../content');
+const { contactItems } = require('./sections');
+const { SECTION_TITLES } = require('./themes');
+const { renderDocx } = require('./docx');
+
+// --- Resume Export Formats ---
+// The same (possibly tailored) content as the PDF, for recruiters and job
+// portals that want something else: JSON Resume, Markdown, Word and plain
+// text. Nothing is trimmed to fit a page here; every format gets the whole
+// summary, all live projects and every experience bullet.
+
+const PRESENT = /^(present|current|now)$/i;
+const DATE = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+// "2023 - Present" -> { startDate: '2023' }, in the ISO 8601 form JSON Resume
+// expects; anything that isn't a year or a date is left out
+function parsePeriod(period) {
+  const [start, end] = period.split(/\s+[-–—]\s+|\s*[–—]\s*/);
+  const dates = {};
+  if (DATE.test(start)) dates.startDate = start;
+  if (end && DATE.test(end.trim()) && !PRESENT.test(end.trim())) dates.endDate = end.trim();
+  return dates;
+}
+
+// "https://github.com/someone" -> "someone"
+const usernameOf = (url) => url.replace(/\/+$/, '').split('/').pop();
+
+const PROFILE_NETWORKS = { github: 'GitHub', linkedin: 'LinkedIn', twitter: 'Twitter' };
+
+// https://jsonresume.org/schema, v1.0.0
+function toJsonResume(content) {
+  const { profile } = content;
+  const resume = {
+    $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+    basics: {
+      name: profile.name,
+      label: profile.title,
+      email: profile.email,
+      url: profile.website,
+      summary: content.about.summary.join('\n\n'),
+      ...(profile.location && { location: { region: profile.location } }),
+      profiles: Object.entries(profile.links).map(([network, url]) => ({
+        network: PROFILE_NETWORKS[network] || network,
+        username: usernameOf(url),
+        url
+      }))
+    },
+    work: content.experience.map(job => ({
+      position: job.title,
+      ...parsePeriod(job.period),
+      highlights: job.points
+    })),
+    skills: content.skills.flatMap(group => [
+      { name: group.category, level: 'Proficient', keywords: group.proficient },
+      { name: group.category, level: 'Familiar', keywords: group.familiar }
+    ].filter(skill => skill.keywords.length > 0)),
+    projects: getLiveProjects(content).map(project => ({
+      name: project.name,
+      description: project.description,
+      keywords: project.tags,
+      startDate: project.year,
+      ...((project.links.preview || project.links.github) && { url: project.links.preview || project.links.github })
+    })),
+    meta: { version: 'v1.0.0' }
+  };
+  return `${JSON.stringify(resume, null, 2)}\n`;
+}
+
+const escapeMarkdown = (text) => text.replace(/([\\`*_[\]<>#|])/g, '\\$1');
+
+function toMarkdown(content) {
+  const { profile } = content;
+  const lines = [
+    `# ${escapeMarkdown(profile.name)}`,
+    '',
+    `**${escapeMarkdown(profile.title)}**`,
+    '',
+    contactItems(profile).map(([label, value]) => `${label}: ${escapeMarkdown(value)}`).join(' · '),
+    '',
+    `## ${SECTION_TITLES.summary}`,
+    ''
+  ];
+  content.about.summary.forEach(paragraph => lines.push(escapeMarkdown(paragraph), ''));
+
+  lines.push(`## ${SECTION_TITLES.skills}`, '');
+  content.skills.forEach(group => {
+    const levels = [
+      group.proficient.length > 0 && `Proficient: ${group.proficient.join(', ')}`,
+      group.familiar.length > 0 && `Familiar: ${group.familiar.join(', ')}`
+    ].filter(Boolean);
+    lines.push(`- **${escapeMarkdown(group.category)}:** ${escapeMarkdown(levels.join('. '))}`);
+  });
+  lines.push('');
+
+  lines.push(`## ${SECTION_TITLES.experience}`, '');
+  content.experience.forEach(job => {
+    lines.push(`### ${escapeMarkdown(job.title)}`, '', `*${escapeMarkdown(job.period)}*`, '');
+    job.points.forEach(point => lines.push(`- ${escapeMarkdown(point)}`));
+    lines.push('');
+  });
+
+  const projects = getLiveProjects(content);
+  if (projects.length > 0) {
+    lines.push(`## ${SECTION_TITLES.projects}`, '');
+    projects.forEach(project => {
+      const url = project.links.preview || project.links.github;
+      lines.push(
+        `### ${url ? `[${escapeMarkdown(project.name)}](${url})` : escapeMarkdown(project.name)}`,
+        '',
+        `*${escapeMarkdown([project.year, ...project.tags].join(' · '))}*`,
+        '',
+        escapeMarkdown(project.description),
+        ''
+      );
+    });
+  }
+  return lines.join('\n');
+}
+
+// For applicant tracking systems: no layout at all, headings in capitals,
+// full URLs and one fact per line so parsers find the fields
+function toPlainText(content) {
+  const { profile } = content;
+  const lines = [profile.name.toUpperCase(), profile.title];
+  contactItems(profile, { link: url => url }).forEach(([label, value]) => lines.push(`${label}: ${value}`));
+
+  const section = (key) => lines.push('', SECTION_TITLES[key].toUpperCase(), '');
+
+  section('summary');
+  lines.push(content.about.summary.join('\n\n'));
+
+  section('skills');
+  content.skills.forEach(group => {
+    lines.push(`${group.category}: ${[...group.proficient, ...group.familiar].join(', ')}`);
+  });
+
+  section('experience');
+  content.experience.forEach((job, i) => {
+    if (i > 0) lines.push('');
+    lines.push(`${job.title} | ${job.period}`);
+    job.points.forEach(point => lines.push(`- ${point}`));
+  });
+
+  const projects = getLiveProjects(content);
+  if (projects.length > 0) {
+    section('projects');
+    projects.forEach((project, i) => {
+      if (i > 0) lines.push('');
+      lines.push(`${project.name} | ${project.year}`, `Technologies: ${project.tags.join(', ')}`, project.description);
+      if (project.links.preview) lines.push(`URL: ${project.links.preview}`);
+    });
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Keyed by the name used in /api/resume/export/:format
+const FORMATS = {
+  json: {
+    label: 'JSON Resume',
+    extension: 'json',
+    contentType: 'application/json; charset=utf-8',
+    render: toJsonResume
+  },
+  md: {
+    label: 'Markdown',
+    extension: 'md',
+    contentType: 'text/markdown; charset=utf-8',
+    render: toMarkdown
+  },
+  docx: {
+    label: 'Word document',
+    extension: 'docx',
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    render: renderDocx
+  },
+  txt: {
+    label: 'Plain text (ATS)',
+    extension: 'txt',
+    contentType: 'text/plain; charset=utf-8',
+    render: toPlainText
+  }
+};
+
+module.exports = { FORMATS };
@@ -0,0 +1,178 @@
+const PDFDocument = require('pdfkit');
+const { createPages, createColumn } = require('./layout');
+const { SECTIONS } = require('./sections');
+const { THEMES, DEFAULT_THEME, getTheme } = require('./themes');
+const { parseTailoring, tailorContent } = require('./tailor');
+const { FORMATS } = require('./formats');
+const { createResumeCache, sendCachedResume } = require('./cache');
+const { ResumeOptionError } = require('./errors');
+
+// --- Resume PDF ---
+// /api/resume renders portfolio.json with one of the themes in themes.js,
+// optionally tailored to a role or a set of skills (tailor.js). The other
+// formats in formats.js share the tailoring.
+
+const COLUMN_GAP = 24;
+
+/**
+ * Places the theme's columns: fixed widths as given, the rest of the page
+ * shared by the columns without one.
+ */
+function columnFrames(doc, theme) {
+  const { width: pageWidth } = doc.page;
+  const inner = pageWidth - theme.margin * 2 - COLUMN_GAP * (theme.columns.length - 1);
+  const fixed = theme.columns.reduce((sum, column) => sum + (column.width || 0), 0);
+  const flexible = theme.columns.filter(column => !column.width).length;
+  const shared = flexible > 0 ? (inner - fixed) / flexible : 0;
+
+  let x = theme.margin;
+  return theme.columns.map((column, i) => {
+    const width = column.width || shared;
+    const frame = { ...column, x, width, first: i === 0, last: i === theme.columns.length - 1 };
+    x += width + COLUMN_GAP;
+    return frame;
+  });
+}
+
+// Column backgrounds run to the page edge and halfway into the gaps
+function drawBackgrounds(doc, frames) {
+  frames.filter(frame => frame.background).forEach(frame => {
+    const left = frame.first ? 0 : frame.x - COLUMN_GAP / 2;
+    const right = frame.last ? doc.page.width : frame.x + frame.width + COLUMN_GAP / 2;
+    doc.save().rect(left, 0, right - left, doc.page.height).fill(frame.background).restore();
+  });
+}
+
+/**
+ * Writes the resume for `content` into `doc` (created with bufferPages).
+ * `tailored` content is already in order of relevance. Returns
+ * { pages, overflowed }; `overflowed` means a page-limited theme left out
+ * what didn't fit.
+ */
+function renderResume(doc, content, theme, { tailored = false } = {}) {
+  const frames = columnFrames(doc, theme);
+  const pages = createPages(doc, {
+    maxPages: theme.maxPages,
+    decorate: () => drawBackgrounds(doc, frames)
+  });
+  const top = theme.margin;
+  const bottom = doc.page.height - theme.margin;
+
+  frames.forEach(frame => {
+    const col = createColumn(doc, pages, { x: frame.x, width: frame.width, top, bottom });
+    const context = {
+      content,
+      theme,
+      tailored,
+      styles: { ...theme.styles, ...frame.styles },
+      rule: frame.rule || theme.rule
+    };
+    frame.sections.forEach(section => SECTIONS[section](col, context));
+  });
+
+  return { pages: doc.bufferedPageRange().count, overflowed: pages.overflowed };
+}
+
+/**
+ * A PDFKit document with the resume in theme `theme` (the default when
+ * omitted), tailored by `focus` and `skills`. Pipe it somewhere, then call
+ * end(). Throws ResumeOptionError.
+ */
+function createResumePdf(content, { theme: themeName, focus, skills } = {}) {
+  const theme = getTheme(themeName);
+  const tailoring = parseTailoring(content, { focus, skills });
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: theme.margin,
+    bufferPages: true,
+    info: {
+      Title: `${content.profile.name} - Resume`,
+      Author: content.profile.name,
+      Subject: content.profile.title
+    }
+  });
+
+  const { overflowed } = renderResume(doc, tailorContent(content, tailoring), theme, { tailored: Boolean(tailoring) });
+  if (overflowed) {
+    console.warn(`⚠️  Resume theme "${theme.id}" left out content that did not fit on ${theme.maxPages} page(s)`);
+  }
+  return doc;
+}
+
+/**
+ * createResumePdf, rendered into a Buffer.
+ */
+function renderResumePdf(content, options) {
+  return new Promise((resolve, reject) => {
+    const doc = createResumePdf(content, options);
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+}
+
+/**
+ * The resume in one of the FORMATS, tailored like the PDF:
+ * { body, contentType, extension }, `body` a string or Buffer. Throws
+ * ResumeOptionError.
+ */
+function createResumeExport(content, format, { focus, skills } = {}) {
+  const target = Object.prototype.hasOwnProperty.call(FORMATS, format) && FORMATS[format];
+  if (!target) {
+    const available = Object.keys(FORMATS).join(', ');
+    throw new ResumeOptionError(`Unknown resume format "${format}". Available formats: ${available}.`, 'format');
+  }
+  const tailoring = parseTailoring(content, { focus, skills });
+  return {
+    body: target.render(tailorContent(content, tailoring)),
+    contentType: target.contentType,
+    extension: target.extension
+  };
+}
+
+/**
+ * Download name for a resume, e.g. Sugam-Pokharel-Resume-frontend-compact.pdf.
+ * Named skills only show up as "tailored"; the theme only when it isn't the
+ * default.
+ */
+function resumeFileName(content, extension, { theme, focus, skills } = {}) {
+  const suffix = [
+    typeof focus === 'string' && focus.trim().toLowerCase(),
+    skills && 'tailored',
+    theme && theme !== DEFAULT_THEME && theme
+  ].filter(Boolean).map(part => `-${part}`).join('');
+  const name = content.profile.name.trim().replace(/[^A-Za-z0-9]+/g, '-');
+  return `${name}-Resume${suffix}.${extension}`;
+}
+
+// For listing the choices: [{ id, label, description }]
+function listResumeThemes() {
+  return Object.entries(THEMES).map(([id, { label, description }]) => ({ id, label, description }));
+}
+
+// [{ id, label, extension }]
+function listResumeFormats() {
+  return Object.entries(FORMATS).map(([id, { label, extension }]) => ({ id, label, extension }));
+}
+
+// [{ id, label, title }] from portfolio.json
+function listResumeFocuses(content) {
+  return content.resume.focuses.map(({ id, label, title }) => ({ id, label, title }));
+}
+
+module.exports = {
+  createResumePdf,
+  renderResumePdf,
+  createResumeCache,
+  sendCachedResume,
+  renderResume,
+  createResumeExport,
+  resumeFileName,
+  listResumeThemes,
+  listResumeFormats,
+  listResumeFocuses,
+  DEFAULT_RESUME_THEME: DEFAULT_THEME,
+  ResumeOptionError
+};
@@ -0,0 +1,152 @@
+// --- Resume Layout Engine ---
+// Themes say what goes where; this module does the measuring. The page is
+// split into columns, each with its own cursor. Every block is measured
+// before it is drawn, so it never straddles a page break: a block that
+// doesn't fit moves its column to the next page, which is added on demand.
+// Pages are buffered, so a column can go back to a page that another column
+// already filled.
+
+/**
+ * Tracks the document's pages. `maxPages` caps the page count. Blocks that
+ * would need another page are dropped instead, and `overflowed` reports
+ * whether that happened. `decorate(doc)` runs on every new page, for
+ * backgrounds and rules.
+ */
+function createPages(doc, { maxPages = Infinity, decorate = () => {} } = {}) {
+  let overflowed = false;
+  decorate(doc);
+
+  return {
+    get overflowed() {
+      return overflowed;
+    },
+
+    // Moves to page `index`, adding pages as needed; false past maxPages
+    goTo(index) {
+      if (index >= maxPages) {
+        overflowed = true;
+        return false;
+      }
+      while (doc.bufferedPageRange().count <= index) {
+        doc.addPage();
+        decorate(doc);
+      }
+      doc.switchToPage(index);
+      return true;
+    }
+  };
+}
+
+const applyStyle = (doc, style) => doc.font(style.font).fontSize(style.size).fillColor(style.color);
+
+const textOptions = (style, width, extra = {}) => ({
+  width,
+  lineGap: style.lineGap || 0,
+  underline: Boolean(style.underline),
+  ...extra
+});
+
+/**
+ * A column from `top` to `bottom` on every page, `width` wide at `x`.
+ * Styles are { font, size, color, lineGap?, underline? }.
+ */
+function createColumn(doc, pages, { x, width, top, bottom }) {
+  let page = 0;
+  let y = top;
+
+  // Makes room for `height` on the current page or the next one
+  const reserve = (height) => {
+    if (y + height <= bottom || y === top) return pages.goTo(page);
+    if (!pages.goTo(page + 1)) return false;
+    page += 1;
+    y = top;
+    return true;
+  };
+
+  return {
+    x,
+    width,
+
+    /**
+     * A block of wrapped text. `indent` shifts it right; `keepWith` also
+     * reserves room for what follows, so a heading never ends a page.
+     */
+    text(content, style, { indent = 0, keepWith = 0, align = 'left' } = {}) {
+      applyStyle(doc, style);
+      const options = textOptions(style, width - indent, { align });
+      const height = doc.heightOfString(content, options);
+      if (!reserve(height + keepWith)) return false;
+      applyStyle(doc, style);
+      doc.text(content, x + indent, y, options);
+      y += height;
+      return true;
+    },
+
+    /**
+     * A label run into its text on the same line, e.g. "Frontend: React, ...".
+     * Measured in both fonts and the taller result kept, so a bold label
+     * can't push an unplanned line into the next block.
+     */
+    labelled(label, labelStyle, content, style, { keepWith = 0 } = {}) {
+      const combined = `${label} ${content}`;
+      const options = textOptions(style, width);
+      applyStyle(doc, labelStyle);
+      const labelHeight = doc.heightOfString(combined, textOptions(labelStyle, width));
+      applyStyle(doc, style);
+      const height = Math.max(labelHeight, doc.heightOfString(combined, options));
+      if (!reserve(height + keepWith)) return false;
+
+      applyStyle(doc, labelStyle);
+      doc.text(`${label} `, x, y, { ...textOptions(labelStyle, width), continued: true });
+      applyStyle(doc, style);
+      doc.text(content, options);
+      y += height;
+      return true;
+    },
+
+    /**
+     * A title with a detail on the same line, such as a job and its dates.
+     * The detail gets `metaWidth` of the column, aligned right by default.
+     */
+    row(title, titleStyle, meta, metaStyle, { metaWidth = 150, metaAlign = 'right', keepWith = 0 } = {}) {
+      const titleWidth = meta ? width - metaWidth - 10 : width;
+      const metaOptions = textOptions(metaStyle, metaWidth, { align: metaAlign });
+      applyStyle(doc, titleStyle);
+      const titleHeight = doc.heightOfString(title, textOptions(titleStyle, titleWidth));
+      applyStyle(doc, metaStyle);
+      const metaHeight = meta ? doc.heightOfString(meta, metaOptions) : 0;
+      const height = Math.max(titleHeight, metaHeight);
+      if (!reserve(height + keepWith)) return false;
+
+      applyStyle(doc, titleStyle);
+      doc.text(title, x, y, textOptions(titleStyle, titleWidth));
+      if (meta) {
+        applyStyle(doc, metaStyle);
+        doc.text(meta, x + width - metaWidth, y, metaOptions);
+      }
+      y += height;
+      return true;
+    },
+
+    // A thin horizontal line across the column
+    rule(color, { thickness = 0.75 } = {}) {
+      if (!reserve(thickness)) return false;
+      doc.save()
+        .moveTo(x, y)
+        .lineTo(x + width, y)
+        .lineWidth(thickness)
+        .strokeColor(color)
+        .stroke()
+        .restore();
+      y += thickness;
+      return true;
+    },
+
+    // Vertical space; swallowed at the top of a page
+    space(amount) {
+      if (y !== top) y = Math.min(y + amount, bottom);
+    }
+  };
+}
+
+module.exports = { createPages, createColumn };
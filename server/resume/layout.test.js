@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PDFDocument = require('pdfkit');
+const { createPages, createColumn } = require('./layout');
+const { renderResume } = require('./index');
+const { getTheme } = require('./themes');
+const { loadContent } = require('../content');
+
+const style = { font: 'Helvetica', size: 10, color: '#000000' };
+
+// A small buffered document that records which page and height every text
+// block is drawn at
+function recordingDoc() {
+  const doc = new PDFDocument({ size: [200, 200], margin: 0, bufferPages: true, autoFirstPage: true });
+  const drawn = [];
+  let page = 0;
+  const { switchToPage, text } = doc;
+  doc.switchToPage = (index) => {
+    page = index;
+    return switchToPage.call(doc, index);
+  };
+  doc.text = (content, ...args) => {
+    if (typeof args[1] === 'number') drawn.push({ content, page, y: args[1] });
+    return text.call(doc, content, ...args);
+  };
+  return { doc, drawn };
+}
+
+const lineHeight = (doc) => doc.font(style.font).fontSize(style.size).heightOfString('x', { width: 180 });
+
+test('a block that does not fit moves to a new page instead of straddling the break', () => {
+  const { doc, drawn } = recordingDoc();
+  let decorated = 0;
+  const pages = createPages(doc, { decorate: () => decorated++ });
+  const col = createColumn(doc, pages, { x: 10, width: 180, top: 10, bottom: 10 + lineHeight(doc) * 3.5 });
+
+  ['one', 'two', 'three', 'four'].forEach(content => assert.equal(col.text(content, style), true));
+
+  assert.deepEqual(drawn.map(({ content, page }) => [content, page]), [['one', 0], ['two', 0], ['three', 0], ['four', 1]]);
+  assert.equal(drawn[3].y, 10);
+  assert.equal(doc.bufferedPageRange().count, 2);
+  assert.equal(decorated, 2);
+});
+
+test('keepWith carries a heading over with the block after it', () => {
+  const { doc, drawn } = recordingDoc();
+  const col = createColumn(doc, createPages(doc), { x: 10, width: 180, top: 10, bottom: 10 + lineHeight(doc) * 2.5 });
+
+  col.text('intro', style);
+  col.text('Heading', style, { keepWith: lineHeight(doc) });
+  col.text('body', style);
+
+  assert.deepEqual(drawn.map(({ content, page }) => [content, page]), [['intro', 0], ['Heading', 1], ['body', 1]]);
+});
+
+test('space is swallowed at the top of a page', () => {
+  const { doc, drawn } = recordingDoc();
+  const col = createColumn(doc, createPages(doc), { x: 10, width: 180, top: 10, bottom: 190 });
+
+  col.space(20);
+  col.text('first', style);
+  col.space(20);
+  col.text('second', style);
+
+  assert.equal(drawn[0].y, 10);
+  assert.equal(drawn[1].y, 10 + lineHeight(doc) + 20);
+});
+
+test('columns fill their pages independently', () => {
+  const { doc, drawn } = recordingDoc();
+  const pages = createPages(doc);
+  const bottom = 10 + lineHeight(doc) * 1.5;
+  const left = createColumn(doc, pages, { x: 10, width: 80, top: 10, bottom });
+  const right = createColumn(doc, pages, { x: 110, width: 80, top: 10, bottom });
+
+  left.text('L1', style);
+  left.text('L2', style);
+  right.text('R1', style);
+
+  assert.deepEqual(drawn.map(({ content, page }) => [content, page]), [['L1', 0], ['L2', 1], ['R1', 0]]);
+  assert.equal(doc.bufferedPageRange().count, 2);
+});
+
+test('maxPages drops what does not fit and reports the overflow', () => {
+  const { doc, drawn } = recordingDoc();
+  const pages = createPages(doc, { maxPages: 1 });
+  const col = createColumn(doc, pages, { x: 10, width: 180, top: 10, bottom: 10 + lineHeight(doc) * 1.5 });
+
+  assert.equal(col.text('fits', style), true);
+  assert.equal(pages.overflowed, false);
+  assert.equal(col.text('overflows', style), false);
+
+  assert.equal(pages.overflowed, true);
+  assert.deepEqual(drawn.map(({ content }) => content), ['fits']);
+  assert.equal(doc.bufferedPageRange().count, 1);
+});
+
+test('the one-page theme keeps the real resume to one page', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const content = loadContent();
+  const render = (themeName) => {
+    const doc = new PDFDocument({ size: 'A4', margin: getTheme(themeName).margin, bufferPages: true });
+    return renderResume(doc, content, getTheme(themeName));
+  };
+
+  assert.equal(render('compact').pages, 1);
+  assert.ok(render('classic').pages >= 1);
+});
@@ -0,0 +1,131 @@
+const { getLiveProjects, displayUrl } = require('../content');
+
+// --- Resume Sections ---
+// One renderer per section a theme can list. Each writes into a column from
+// layout.js and takes { content, theme, tailored, styles, rule }; `styles`
+// and `rule` are the theme's, with the column's overrides applied.
+
+// [label, value] pairs; links are shortened for display unless `link` says
+// otherwise
+function contactItems(profile, { link = displayUrl } = {}) {
+  return [
+    ['Email', profile.email],
+    ['Portfolio', profile.website && link(profile.website)],
+    ['LinkedIn', profile.links && profile.links.linkedin && link(profile.links.linkedin)],
+    ['GitHub', profile.links && profile.links.github && link(profile.links.github)],
+    ['Location', profile.location]
+  ].filter(([, value]) => value);
+}
+
+function heading(col, key, { theme, styles, rule }) {
+  const title = theme.titles[key];
+  col.text(styles.section.uppercase ? title.toUpperCase() : title, styles.section, { keepWith: 40 });
+  if (rule) {
+    col.space(3);
+    col.rule(rule);
+  }
+  col.space(theme.spacing.afterHeading);
+}
+
+const bullet = (col, text, { theme, styles }) => {
+  col.text(`• ${text}`, styles.body, { indent: 10 });
+  col.space(theme.spacing.bullet);
+};
+
+const SECTIONS = {
+  header(col, { content, theme, styles }) {
+    const { profile } = content;
+    col.text(profile.name, styles.name);
+    col.space(4);
+    col.text(profile.title, styles.title);
+
+    const items = contactItems(profile);
+    if (theme.contact === 'grid') {
+      col.space(12);
+      for (let i = 0; i < items.length; i += 2) {
+        const [left, right] = [items[i], items[i + 1]];
+        col.row(`${left[0]}: ${left[1]}`, styles.contact, right && `${right[0]}: ${right[1]}`, styles.contact, {
+          metaWidth: col.width / 2,
+          metaAlign: 'left'
+        });
+      }
+    } else if (theme.contact === 'inline') {
+      col.space(6);
+      col.text(items.map(([, value]) => value).join('  ·  '), styles.contact);
+    }
+    col.space(theme.spacing.afterHeader);
+  },
+
+  // Contact details as their own section, for themes that don't put them
+  // under the name
+  contact(col, context) {
+    const { content, theme, styles } = context;
+    heading(col, 'contact', context);
+    contactItems(content.profile).forEach(([label, value]) => {
+      col.text(label, styles.label);
+      col.text(value, styles.contact);
+      col.space(theme.spacing.bullet);
+    });
+    col.space(theme.spacing.section);
+  },
+
+  summary(col, context) {
+    const { content, theme, styles } = context;
+    const paragraphs = content.about.summary.slice(0, theme.limits.summaryParagraphs);
+    heading(col, 'summary', context);
+    col.text(paragraphs.join(' '), styles.summary);
+    col.space(theme.spacing.section);
+  },
+
+  skills(col, context) {
+    const { content, theme, styles } = context;
+    heading(col, 'skills', context);
+    content.skills.forEach(group => {
+      if (theme.skills === 'inline') {
+        col.labelled(`${group.category}:`, styles.label, group.proficient.join(', '), styles.skills);
+      } else if (theme.skills === 'grouped') {
+        col.text(group.category, styles.label);
+        col.text([...group.proficient, ...group.familiar].join(' · '), styles.skills);
+      } else {
+        col.text(`${group.category}:`, styles.label, { keepWith: 15 });
+        col.space(4);
+        col.text(`Proficient: ${group.proficient.join(', ')}. Familiar: ${group.familiar.join(', ')}`, styles.skills, { indent: 20 });
+      }
+      col.space(theme.spacing.bullet * 2);
+    });
+    col.space(theme.spacing.section);
+  },
+
+  experience(col, context) {
+    const { content, theme, styles } = context;
+    heading(col, 'experience', context);
+    content.experience.forEach(job => {
+      col.row(job.title, styles.itemTitle, job.period, styles.meta, { keepWith: 20 });
+      col.space(theme.spacing.bullet * 2);
+      job.points.slice(0, theme.limits.points).forEach(point => bullet(col, point, context));
+      col.space(theme.spacing.item);
+    });
+    col.space(theme.spacing.section - theme.spacing.item);
+  },
+
+  projects(col, context) {
+    const { content, theme, tailored, styles } = context;
+    const live = getLiveProjects(content);
+    const showcased = live.filter(project => project.showcase);
+    // Tailored projects are already the relevant ones, best first
+    const projects = (theme.limits.showcaseOnly && !tailored && showcased.length > 0 ? showcased : live)
+      .slice(0, theme.limits.projects);
+    if (projects.length === 0) return;
+
+    heading(col, 'projects', context);
+    projects.forEach(project => {
+      col.row(project.name, styles.itemTitle, project.tags.join(', '), styles.meta, { keepWith: 20 });
+      col.space(theme.spacing.bullet * 2);
+      const preview = project.links && project.links.preview;
+      bullet(col, `${project.description}${preview ? ` Live at ${preview}.` : ''}`, context);
+      col.space(theme.spacing.item);
+    });
+  }
+};
+
+module.exports = { SECTIONS, contactItems };
@@ -0,0 +1,117 @@
+const { ResumeOptionError } = require('./errors');
+
+// --- Resume Tailoring ---
+// `?focus=frontend` picks a role profile from portfolio.json (resume.focuses)
+// and `?skills=React,Three.js` names skills directly. Both turn into search
+// terms, and every skill, project and experience bullet is scored by the
+// terms it mentions; a named skill counts double. Relevant items move to the
+// front and the rest drop out, unless nothing in the list matched at all.
+// Jobs themselves always stay, so the timeline has no gaps, and each keeps
+// at least MIN_POINTS bullets.
+
+const MAX_SKILLS = 20;
+const MAX_SKILL_LENGTH = 40;
+const MIN_POINTS = 2;
+const KEYWORD_WEIGHT = 1;
+const SKILL_WEIGHT = 2;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole words only, but "Express" finds "Express.js", "CSS" finds "CSS3" and
+// "API" finds "APIs" (and the other way round for ".js")
+function termPattern(term) {
+  const base = term.trim().toLowerCase().replace(/\.js$/, '');
+  return new RegExp(`(^|[^a-z0-9])${escapeRegExp(base)}(\\.js|\\d+|s)?($|[^a-z0-9])`, 'i');
+}
+
+/**
+ * Reads the focus and skills query options into the tailoring for
+ * tailorContent, or null when neither is given. Throws ResumeOptionError.
+ */
+function parseTailoring(content, { focus, skills } = {}) {
+  let profile = null;
+  if (focus !== undefined && focus !== '') {
+    const focuses = content.resume.focuses;
+    profile = typeof focus === 'string' && focuses.find(candidate => candidate.id === focus.trim().toLowerCase());
+    if (!profile) {
+      const available = focuses.map(candidate => candidate.id).join(', ');
+      throw new ResumeOptionError(`Unknown resume focus "${focus}". Available focuses: ${available}.`, 'focus');
+    }
+  }
+
+  // ?skills=a,b and ?skills=a&skills=b both work
+  const named = [].concat(skills === undefined ? [] : skills)
+    .flatMap(value => String(value).split(','))
+    .map(skill => skill.trim())
+    .filter(Boolean);
+  if (named.length > MAX_SKILLS) {
+    throw new ResumeOptionError(`Name at most ${MAX_SKILLS} skills.`, 'skills');
+  }
+  if (named.some(skill => skill.length > MAX_SKILL_LENGTH)) {
+    throw new ResumeOptionError(`Skill names can be at most ${MAX_SKILL_LENGTH} characters long.`, 'skills');
+  }
+
+  if (!profile && named.length === 0) return null;
+  return { focus: profile, skills: named };
+}
+
+/**
+ * Orders `items` by score, best first, keeping the original order between
+ * equals. Unscored items are left out, apart from the first `keep`; if
+ * nothing scored, the list comes back unchanged.
+ */
+function rank(items, scoreOf, { keep = 0 } = {}) {
+  const scored = items.map((item, index) => ({ item, index, score: scoreOf(item) }));
+  if (!scored.some(entry => entry.score > 0)) return items;
+  return scored
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .filter((entry, i) => entry.score > 0 || i < keep)
+    .map(entry => entry.item);
+}
+
+/**
+ * A copy of the content reordered and trimmed for the tailoring from
+ * parseTailoring; the content itself as is for null.
+ */
+function tailorContent(content, tailoring) {
+  if (!tailoring) return content;
+
+  const terms = [
+    ...(tailoring.focus ? tailoring.focus.keywords : []).map(term => ({ pattern: termPattern(term), weight: KEYWORD_WEIGHT })),
+    ...tailoring.skills.map(term => ({ pattern: termPattern(term), weight: SKILL_WEIGHT }))
+  ];
+  const score = (text) => terms.reduce((sum, { pattern, weight }) => sum + (pattern.test(text) ? weight : 0), 0);
+  const sumOf = (texts) => texts.reduce((sum, text) => sum + score(text), 0);
+
+  // Categories with a relevant skill, relevant skills first
+  const skills = rank(
+    content.skills.map(group => ({
+      ...group,
+      proficient: rank(group.proficient, score, { keep: Infinity }),
+      familiar: rank(group.familiar, score, { keep: Infinity })
+    })),
+    group => score(group.category) + sumOf([...group.proficient, ...group.familiar])
+  );
+
+  // A project's tags count a second time on their own: they are the
+  // clearest statement of what it was built with
+  const projects = rank(content.work.projects, project => score(
+    [project.name, project.cat, project.category, project.description, ...project.tags].filter(Boolean).join(' ')
+  ) + sumOf(project.tags));
+
+  const experience = content.experience.map(job => ({
+    ...job,
+    points: rank(job.points, score, { keep: MIN_POINTS })
+  }));
+
+  const title = tailoring.focus && tailoring.focus.title;
+  return {
+    ...content,
+    profile: title ? { ...content.profile, title } : content.profile,
+    skills,
+    experience,
+    work: { ...content.work, projects }
+  };
+}
+
+module.exports = { parseTailoring, tailorContent };
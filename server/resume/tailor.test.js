@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTailoring, tailorContent } = require('./tailor');
+const { ResumeOptionError } = require('./errors');
+
+const project = (name, tags, description = '') => ({ id: name.toLowerCase(), name, cat: 'Web App', description, tags });
+
+const content = {
+  profile: { name: 'Ada', title: 'Developer' },
+  resume: {
+    focuses: [
+      { id: 'backend', label: 'Backend', title: 'Backend Developer', keywords: ['Node.js', 'API', 'MongoDB'] }
+    ]
+  },
+  skills: [
+    { category: 'Frontend', proficient: ['React', 'CSS3'], familiar: ['Vue.js'] },
+    { category: 'Backend', proficient: ['Express.js', 'MongoDB'], familiar: ['GraphQL'] }
+  ],
+  experience: [
+    {
+      title: 'Freelance Developer',
+      points: ['Designed landing pages.', 'Built REST APIs with Node.', 'Wrote docs.', 'Ran workshops.']
+    },
+    { title: 'Intern', points: ['Fixed CSS bugs.', 'Made coffee.'] }
+  ],
+  work: {
+    projects: [
+      project('Gallery', ['React', 'CSS']),
+      project('Shop', ['Express', 'MongoDB'], 'A shop with a payment API.'),
+      project('Notes', ['Vue'])
+    ]
+  }
+};
+
+const names = (items) => items.map(item => item.name || item.category || item);
+
+test('no focus or skills means no tailoring', () => {
+  assert.equal(parseTailoring(content, {}), null);
+  assert.equal(parseTailoring(content, { focus: '', skills: [] }), null);
+  assert.equal(tailorContent(content, null), content);
+});
+
+test('reads the focus and both forms of the skills list', () => {
+  const tailoring = parseTailoring(content, { focus: ' Backend ', skills: ['React, CSS', 'Vue'] });
+  assert.equal(tailoring.focus.id, 'backend');
+  assert.deepEqual(tailoring.skills, ['React', 'CSS', 'Vue']);
+});
+
+test('rejects an unknown focus and oversized skill lists', () => {
+  assert.throws(() => parseTailoring(content, { focus: 'devops' }), (err) => (
+    err instanceof ResumeOptionError && err.option === 'focus' && /Available focuses: backend/.test(err.message)
+  ));
+  assert.throws(() => parseTailoring(content, { skills: Array.from({ length: 21 }, (_, i) => `s${i}`).join(',') }), /at most 20 skills/);
+  assert.throws(() => parseTailoring(content, { skills: 'x'.repeat(41) }), /at most 40 characters/);
+});
+
+test('a focus moves relevant skills and projects first and drops the rest', () => {
+  const tailored = tailorContent(content, parseTailoring(content, { focus: 'backend' }));
+
+  assert.equal(tailored.profile.title, 'Backend Developer');
+  assert.deepEqual(names(tailored.skills), ['Backend']);
+  assert.deepEqual(tailored.skills[0].proficient, ['MongoDB', 'Express.js']);
+  assert.deepEqual(names(tailored.work.projects), ['Shop']);
+  assert.equal(content.profile.title, 'Developer', 'the content itself is left alone');
+});
+
+test('named skills match variants such as CSS3, Express.js and plurals', () => {
+  const tailored = tailorContent(content, parseTailoring(content, { skills: 'CSS,Express' }));
+  assert.deepEqual(names(tailored.skills), ['Frontend', 'Backend']);
+  assert.deepEqual(tailored.skills[0].proficient, ['CSS3', 'React']);
+  assert.deepEqual(names(tailored.work.projects), ['Gallery', 'Shop']);
+});
+
+test('jobs stay in order and keep their best bullets, at least two', () => {
+  const tailored = tailorContent(content, parseTailoring(content, { skills: 'API' }));
+
+  assert.deepEqual(tailored.experience.map(job => job.title), ['Freelance Developer', 'Intern']);
+  assert.deepEqual(tailored.experience[0].points, ['Built REST APIs with Node.', 'Designed landing pages.']);
+  assert.deepEqual(tailored.experience[1].points, ['Fixed CSS bugs.', 'Made coffee.']);
+});
+
+test('a list where nothing matches comes back unchanged', () => {
+  const tailored = tailorContent(content, parseTailoring(content, { skills: 'Rust' }));
+  assert.deepEqual(names(tailored.work.projects), ['Gallery', 'Shop', 'Notes']);
+  assert.deepEqual(names(tailored.skills), ['Frontend', 'Backend']);
+  assert.equal(tailored.profile.title, 'Developer');
+});
@@ -0,0 +1,121 @@
+const { ResumeOptionError } = require('./errors');
+
+// --- Resume Themes ---
+// A theme is typography, spacing and placement; the words all come from
+// portfolio.json. `columns` lists the page's columns left to right, each
+// with the sections it shows in order (see sections.js). A column can
+// override styles, e.g. light text on a dark sidebar. Fonts are the PDF
+// standard fonts, so nothing has to be embedded.
+
+const DEFAULT_THEME = 'classic';
+
+const THEMES = {
+  // The original /api/resume look
+  classic: {
+    label: 'Classic',
+    description: 'One column with every section, over as many pages as it takes.',
+    margin: 50,
+    styles: {
+      name: { font: 'Helvetica-Bold', size: 28, color: '#1f2937' },
+      title: { font: 'Helvetica', size: 14, color: '#6b7280' },
+      contact: { font: 'Helvetica', size: 10, color: '#6b7280', lineGap: 4 },
+      section: { font: 'Helvetica-Bold', size: 16, color: '#3b82f6', underline: true },
+      summary: { font: 'Helvetica-Oblique', size: 11, color: '#6b7280' },
+      label: { font: 'Helvetica-Bold', size: 11, color: '#1f2937' },
+      skills: { font: 'Helvetica', size: 11, color: '#6b7280' },
+      itemTitle: { font: 'Helvetica-Bold', size: 12, color: '#1f2937' },
+      meta: { font: 'Helvetica-Oblique', size: 10, color: '#6b7280' },
+      body: { font: 'Helvetica', size: 10, color: '#1f2937' }
+    },
+    spacing: { afterHeader: 20, section: 20, afterHeading: 12, item: 15, bullet: 5 },
+    contact: 'grid',
+    skills: 'detailed',
+    columns: [
+      { sections: ['header', 'summary', 'skills', 'experience', 'projects'] }
+    ]
+  },
+
+  // Everything on one page: smaller type, fewer bullets, showcase projects
+  compact: {
+    label: 'Compact',
+    description: 'A single dense page; bullets and projects are trimmed to fit.',
+    margin: 36,
+    maxPages: 1,
+    styles: {
+      name: { font: 'Helvetica-Bold', size: 20, color: '#111827' },
+      title: { font: 'Helvetica', size: 11, color: '#4b5563' },
+      contact: { font: 'Helvetica', size: 8.5, color: '#4b5563' },
+      section: { font: 'Helvetica-Bold', size: 10, color: '#111827', uppercase: true },
+      summary: { font: 'Helvetica', size: 9, color: '#374151', lineGap: 1 },
+      label: { font: 'Helvetica-Bold', size: 9, color: '#111827' },
+      skills: { font: 'Helvetica', size: 9, color: '#374151' },
+      itemTitle: { font: 'Helvetica-Bold', size: 9.5, color: '#111827' },
+      meta: { font: 'Helvetica', size: 8.5, color: '#6b7280' },
+      body: { font: 'Helvetica', size: 9, color: '#374151', lineGap: 1 }
+    },
+    rule: '#d1d5db',
+    spacing: { afterHeader: 10, section: 10, afterHeading: 5, item: 6, bullet: 2 },
+    contact: 'inline',
+    skills: 'inline',
+    limits: { summaryParagraphs: 1, points: 3, projects: 3, showcaseOnly: true },
+    titles: { summary: 'Summary', skills: 'Skills', experience: 'Experience', projects: 'Projects' },
+    columns: [
+      { sections: ['header', 'summary', 'experience', 'skills', 'projects'] }
+    ]
+  },
+
+  // Contact and skills in a dark sidebar, the story in the main column
+  'two-column': {
+    label: 'Two column',
+    description: 'A sidebar with contact details and skills next to summary, experience and projects.',
+    margin: 40,
+    styles: {
+      name: { font: 'Times-Bold', size: 26, color: '#111827' },
+      title: { font: 'Times-Italic', size: 13, color: '#b45309' },
+      contact: { font: 'Helvetica', size: 8.5, color: '#e5e7eb', lineGap: 3 },
+      section: { font: 'Times-Bold', size: 13, color: '#b45309', uppercase: true },
+      summary: { font: 'Times-Roman', size: 10.5, color: '#374151', lineGap: 2 },
+      label: { font: 'Helvetica-Bold', size: 9, color: '#ffffff' },
+      skills: { font: 'Helvetica', size: 8.5, color: '#d1d5db', lineGap: 2 },
+      itemTitle: { font: 'Times-Bold', size: 11.5, color: '#111827' },
+      meta: { font: 'Helvetica', size: 8.5, color: '#6b7280' },
+      body: { font: 'Helvetica', size: 9.5, color: '#374151', lineGap: 1.5 }
+    },
+    rule: '#e5e7eb',
+    spacing: { afterHeader: 18, section: 16, afterHeading: 8, item: 10, bullet: 3 },
+    contact: 'stacked',
+    skills: 'grouped',
+    columns: [
+      {
+        width: 170,
+        background: '#1f2937',
+        styles: { section: { font: 'Helvetica-Bold', size: 10, color: '#fbbf24', uppercase: true } },
+        rule: '#374151',
+        sections: ['contact', 'skills']
+      },
+      { sections: ['header', 'summary', 'experience', 'projects'] }
+    ]
+  }
+};
+
+const SECTION_TITLES = {
+  contact: 'Contact',
+  summary: 'Professional Summary',
+  skills: 'Technical Skills',
+  experience: 'Professional Experience',
+  projects: 'Selected Projects'
+};
+
+/**
+ * Looks a theme up by name, the default when none is given; throws
+ * ResumeOptionError for anything else.
+ */
+function getTheme(name = DEFAULT_THEME) {
+  if (!Object.prototype.hasOwnProperty.call(THEMES, name)) {
+    throw new ResumeOptionError(`Unknown resume theme "${name}". Available themes: ${Object.keys(THEMES).join(', ')}.`, 'theme');
+  }
+  const theme = THEMES[name];
+  return { id: name, limits: {}, ...theme, titles: { ...SECTION_TITLES, ...theme.titles } };
+}
+
+module.exports = { THEMES, DEFAULT_THEME, SECTION_TITLES, getTheme };
@@ -0,0 +1,66 @@
+const { escapeXml, XML_DECLARATION } = require('../xml');
+
+// --- Atom and RSS Feeds ---
+// Both take the same feed description: { title, subtitle, siteUrl, feedUrl,
+// author: { name, uri }, updated, entries } with entries from
+// listFeedEntries().
+
+function buildAtomFeed(feed) {
+  const entries = feed.entries.map(entry => [
+    '  <entry>',
+    `    <id>${escapeXml(entry.id)}</id>`,
+    `    <title>${escapeXml(entry.title)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(entry.url)}"/>`,
+    `    <published>${entry.published.toISOString()}</published>`,
+    `    <updated>${entry.updated.toISOString()}</updated>`,
+    entry.summary && `    <summary>${escapeXml(entry.summary)}</summary>`,
+    ...entry.categories.map(category => `    <category term="${escapeXml(category)}"/>`),
+    '  </entry>'
+  ].filter(Boolean).join('\n'));
+
+  return `${XML_DECLARATION}
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(`${feed.siteUrl}/`)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.subtitle)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(`${feed.siteUrl}/`)}"/>
+  <updated>${feed.updated.toISOString()}</updated>
+  <author>
+    <name>${escapeXml(feed.author.name)}</name>
+    <uri>${escapeXml(feed.author.uri)}</uri>
+  </author>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+// RSS 2.0, with the atom:link readers expect for the feed's own address
+function buildRssFeed(feed) {
+  const items = feed.entries.map(entry => [
+    '    <item>',
+    `      <title>${escapeXml(entry.title)}</title>`,
+    `      <link>${escapeXml(entry.url)}</link>`,
+    `      <guid isPermaLink="true">${escapeXml(entry.id)}</guid>`,
+    `      <pubDate>${entry.published.toUTCString()}</pubDate>`,
+    entry.summary && `      <description>${escapeXml(entry.summary)}</description>`,
+    ...entry.categories.map(category => `      <category>${escapeXml(category)}</category>`),
+    '    </item>'
+  ].filter(Boolean).join('\n'));
+
+  return `${XML_DECLARATION}
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(`${feed.siteUrl}/`)}</link>
+    <description>${escapeXml(feed.subtitle)}</description>
+    <language>en</language>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+module.exports = { buildAtomFeed, buildRssFeed };
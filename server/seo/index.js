@@ -0,0 +1,40 @@
+const { STATIC_PAGES, getListedProjects, listPages, listFeedEntries, committedAt, clearCommitDates, latest } = require('./site');
+const { buildSitemap, buildRobots } = require('./sitemap');
+const { buildAtomFeed, buildRssFeed } = require('./feed');
+const { CONTENT_PATH } = require('../content-validator.cjs');
+
+// --- SEO ---
+// /sitemap.xml, /robots.txt and the /feed.xml (Atom) and /rss.xml feeds, all
+// generated from portfolio.json so they follow the content.
+
+/**
+ * Resolves to the feed description for buildAtomFeed and buildRssFeed.
+ * `feedUrl` is the feed's own address; the feed counts as updated whenever
+ * the content file was last committed.
+ */
+async function describeFeed(content, { siteUrl, feedUrl, contentPath = CONTENT_PATH }) {
+  const { profile } = content;
+  const entries = listFeedEntries(content, { siteUrl });
+  return {
+    title: `${profile.name} — Projects and posts`,
+    subtitle: `New projects and articles by ${profile.name}, ${profile.title}.`,
+    siteUrl,
+    feedUrl,
+    author: { name: profile.name, uri: profile.website },
+    updated: latest(await committedAt(contentPath), ...entries.map(entry => entry.updated)) || new Date(),
+    entries
+  };
+}
+
+module.exports = {
+  STATIC_PAGES,
+  getListedProjects,
+  listPages,
+  clearCommitDates,
+  describeFeed,
+  buildSitemap,
+  buildRobots,
+  buildAtomFeed,
+  buildRssFeed,
+  latest
+};
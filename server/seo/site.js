@@ -0,0 +1,128 @@
+const { execFile } = require('child_process');
+const path = require('path');
+const { promisify } = require('util');
+const { CONTENT_PATH } = require('../content-validator.cjs');
+const { getLiveProjects } = require('../content');
+
+// --- Site Map ---
+// What the site is made of, for the sitemap and the feeds: the home page,
+// the legal pages and one deep link per shipped project card
+// (/projects/:id, prerendered by scripts/prerender.mjs). Dates come from the
+// content (a project's "updated") or from the last git commit of the file;
+// modification times would move on every checkout and deploy.
+
+// Pages with their own HTML file, served by server.js
+const STATIC_PAGES = [
+  { path: '/privacy', file: 'privacy.html', changefreq: 'yearly', priority: 0.3 },
+  { path: '/terms', file: 'terms.html', changefreq: 'yearly', priority: 0.3 }
+];
+
+const projectPath = (project) => `/projects/${project.id}`;
+
+// Shipped projects that have a card on the home page
+function getListedProjects(content) {
+  return getLiveProjects(content).filter(project => project.showcase);
+}
+
+const parseDate = (date) => new Date(`${date}T00:00:00Z`);
+
+// A file only changes with a commit, so each file is looked up once until
+// clearCommitDates() (server.js calls it when portfolio.json reloads, which
+// is also what a deploy by `git pull` looks like)
+const commitDates = new Map(); // file path -> Promise<Date | null>
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Resolves to the date of the last commit that touched `filePath`, or null
+ * when it isn't committed or git isn't available (e.g. a deploy without .git).
+ */
+function committedAt(filePath) {
+  if (!commitDates.has(filePath)) {
+    const lookup = execFileAsync('git', ['log', '-1', '--format=%cI', '--', path.basename(filePath)], {
+      cwd: path.dirname(filePath),
+      encoding: 'utf8',
+      timeout: 5000
+    })
+      .then(({ stdout }) => (stdout.trim() ? new Date(stdout.trim()) : null))
+      .catch(() => null); // Not a git checkout
+    commitDates.set(filePath, lookup);
+  }
+  return commitDates.get(filePath);
+}
+
+const clearCommitDates = () => commitDates.clear();
+
+const latest = (...dates) => dates.filter(Boolean).reduce((a, b) => (b > a ? b : a), null);
+
+/**
+ * Resolves to every page worth crawling as { path, lastmod, changefreq,
+ * priority }. The home page changes with portfolio.json, a project with its
+ * "updated" date (or else portfolio.json too), the legal pages with their
+ * HTML file. `lastmod` is null when there is no date to go by.
+ */
+async function listPages(content, { rootDir, contentPath = CONTENT_PATH }) {
+  const [contentCommitted, homeCommitted, ...staticCommitted] = await Promise.all([
+    committedAt(contentPath),
+    committedAt(path.join(rootDir, 'index.html')),
+    ...STATIC_PAGES.map(page => committedAt(path.join(rootDir, page.file)))
+  ]);
+  return [
+    {
+      path: '/',
+      lastmod: latest(contentCommitted, homeCommitted),
+      changefreq: 'monthly',
+      priority: 1.0
+    },
+    ...getListedProjects(content).map(project => ({
+      path: projectPath(project),
+      lastmod: project.updated ? parseDate(project.updated) : contentCommitted,
+      changefreq: 'monthly',
+      priority: 0.8
+    })),
+    ...STATIC_PAGES.map((page, i) => ({
+      path: page.path,
+      lastmod: staticCommitted[i],
+      changefreq: page.changefreq,
+      priority: page.priority
+    }))
+  ];
+}
+
+/**
+ * Feed entries, newest first: shipped projects from the home page and the
+ * posts in portfolio.json, as { id, title, url, summary, published, updated,
+ * categories }. Projects only have a year, so they count as published on
+ * January 1st of it, and as updated then too unless they say otherwise.
+ */
+function listFeedEntries(content, { siteUrl }) {
+  const projects = getListedProjects(content)
+    .map(project => {
+      const published = new Date(Date.UTC(Number(project.year), 0, 1));
+      const url = `${siteUrl}${projectPath(project)}`;
+      return {
+        id: url,
+        title: project.name,
+        url,
+        summary: project.description,
+        published,
+        updated: project.updated ? parseDate(project.updated) : published,
+        categories: project.tags
+      };
+    });
+
+  const posts = content.posts.map(post => ({
+    id: post.url,
+    title: post.title,
+    url: post.url,
+    summary: post.summary,
+    published: parseDate(post.published),
+    updated: parseDate(post.updated || post.published),
+    categories: post.tags || []
+  }));
+
+  // Array.prototype.sort is stable, so equal dates keep the content order
+  return [...posts, ...projects].sort((a, b) => b.published - a.published);
+}
+
+module.exports = { STATIC_PAGES, getListedProjects, listPages, listFeedEntries, committedAt, clearCommitDates, latest };
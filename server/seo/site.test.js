@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { listPages, listFeedEntries, committedAt, clearCommitDates } = require('./site');
+
+const project = (id, overrides = {}) => ({
+  id, name: id, status: 'live', showcase: true, year: '2024', description: `About ${id}`, tags: ['React'], ...overrides
+});
+
+const content = {
+  work: {
+    projects: [
+      project('shop', { updated: '2025-03-02' }),
+      project('planets', { year: '2023' }),
+      project('placeholder', { status: 'in-production', year: '2026' }),
+      project('old-site', { showcase: false })
+    ]
+  },
+  posts: [
+    { id: 'intro', title: 'Intro', url: 'https://dev.to/intro', published: '2024-06-01', tags: ['Node'] }
+  ]
+};
+
+// A directory outside any git checkout: no commit dates to find
+const scratchDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'seo-site-'));
+
+test('lists the home page, shipped showcase projects and the legal pages', async () => {
+  const rootDir = scratchDir();
+  const pages = await listPages(content, { rootDir, contentPath: path.join(rootDir, 'portfolio.json') });
+
+  assert.deepEqual(pages.map(page => page.path), ['/', '/projects/shop', '/projects/planets', '/privacy', '/terms']);
+});
+
+test('dates come from the project or the last commit, never from the file system', async () => {
+  const rootDir = scratchDir();
+  fs.writeFileSync(path.join(rootDir, 'index.html'), '<!doctype html>');
+  const pages = await listPages(content, { rootDir, contentPath: path.join(rootDir, 'portfolio.json') });
+  const lastmod = (pagePath) => pages.find(page => page.path === pagePath).lastmod;
+
+  assert.equal(lastmod('/projects/shop').toISOString(), '2025-03-02T00:00:00.000Z');
+  assert.equal(lastmod('/projects/planets'), null);
+  assert.equal(lastmod('/'), null, 'an uncommitted file has no date');
+});
+
+test('finds the commit date of a committed file, once until the dates are cleared', async () => {
+  const filePath = path.join(__dirname, 'site.js');
+  const date = await committedAt(filePath);
+  assert.ok(date instanceof Date && !Number.isNaN(date.getTime()));
+
+  assert.equal(committedAt(filePath), committedAt(filePath), 'looked up once');
+  const lookup = committedAt(filePath);
+  clearCommitDates();
+  assert.notEqual(committedAt(filePath), lookup, 'looked up again after a reload');
+  assert.equal((await committedAt(filePath)).getTime(), date.getTime());
+});
+
+test('feed entries are shipped projects and posts, newest first', () => {
+  const entries = listFeedEntries(content, { siteUrl: 'https://example.com' });
+
+  assert.deepEqual(entries.map(entry => entry.id), [
+    'https://dev.to/intro',
+    'https://example.com/projects/shop',
+    'https://example.com/projects/planets'
+  ]);
+  assert.equal(entries[1].published.toISOString(), '2024-01-01T00:00:00.000Z');
+  assert.equal(entries[1].updated.toISOString(), '2025-03-02T00:00:00.000Z');
+  assert.equal(entries[2].updated.toISOString(), '2023-01-01T00:00:00.000Z');
+});
@@ -0,0 +1,36 @@
+const { escapeXml, XML_DECLARATION } = require('../xml');
+
+// --- Sitemap and robots.txt ---
+
+/**
+ * sitemaps.org XML for pages from listPages(), with absolute URLs under
+ * `siteUrl`.
+ */
+function buildSitemap(siteUrl, pages) {
+  const urls = pages.map(page => [
+    '  <url>',
+    `    <loc>${escapeXml(`${siteUrl}${page.path}`)}</loc>`,
+    page.lastmod && `    <lastmod>${page.lastmod.toISOString()}</lastmod>`,
+    `    <changefreq>${page.changefreq}</changefreq>`,
+    `    <priority>${page.priority.toFixed(1)}</priority>`,
+    '  </url>'
+  ].filter(Boolean).join('\n'));
+
+  return `${XML_DECLARATION}
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+// The API is for the site itself, not for search results
+function buildRobots(siteUrl) {
+  return `User-agent: *
+Allow: /
+Disallow: /api/
+
+Sitemap: ${siteUrl}/sitemap.xml
+`;
+}
+
+module.exports = { buildSitemap, buildRobots };
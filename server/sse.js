@@ -0,0 +1,69 @@
+// --- Server-Sent Events Helpers ---
+// Used by /api/chat to stream model output to the browser, and to read the
+// upstream model's own SSE stream.
+
+/**
+ * Switches an Express response into an SSE stream.
+ * Returns a small writer; `closed` turns true once the client goes away.
+ */
+function openEventStream(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering (nginx/Render)
+  res.flushHeaders();
+
+  const stream = {
+    closed: false,
+    send(event, data) {
+      if (stream.closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      // compression() buffers output; flush so each event reaches the client now
+      if (typeof res.flush === 'function') res.flush();
+    },
+    close() {
+      if (stream.closed) return;
+      stream.closed = true;
+      res.end();
+    }
+  };
+
+  res.on('close', () => {
+    stream.closed = true;
+  });
+
+  return stream;
+}
+
+/**
+ * Reads an upstream SSE body (a Node readable stream from node-fetch) and
+ * calls onData with each parsed `data:` payload. Resolves when the stream ends.
+ */
+async function readEventStream(body, onData) {
+  const decoder = new TextDecoder(); // Keeps multi-byte characters split across chunks intact
+  let buffer = '';
+
+  const flushEvents = () => {
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+    events.forEach(rawEvent => {
+      const data = rawEvent
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
+      if (data) onData(data);
+    });
+  };
+
+  for await (const chunk of body) {
+    buffer = (buffer + decoder.decode(chunk, { stream: true })).replace(/\r\n/g, '\n');
+    flushEvents();
+  }
+
+  buffer += '\n\n';
+  flushEvents();
+}
+
+module.exports = { openEventStream, readEventStream };
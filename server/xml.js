@@ -0,0 +1,12 @@
+// --- XML Helpers ---
+
+// Text or attribute value, safe to place between tags or in double quotes
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>';
+
+module.exports = { escapeXml, XML_DECLARATION };
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { createZip, crc32 } = require('./zip');
+
+// Reads an archive back the way an unzip tool does: from the end record to
+// the central directory, then to each local header and its data
+function readZip(archive) {
+  const end = archive.length - 22;
+  assert.equal(archive.readUInt32LE(end), 0x06054b50, 'end of central directory');
+  const count = archive.readUInt16LE(end + 10);
+  let pointer = archive.readUInt32LE(end + 16);
+  assert.equal(pointer + archive.readUInt32LE(end + 12), end, 'directory size');
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(archive.readUInt32LE(pointer), 0x02014b50, 'central directory header');
+    const crc = archive.readUInt32LE(pointer + 16);
+    const compressedSize = archive.readUInt32LE(pointer + 20);
+    const size = archive.readUInt32LE(pointer + 24);
+    const nameLength = archive.readUInt16LE(pointer + 28);
+    const offset = archive.readUInt32LE(pointer + 42);
+    const name = archive.toString('utf8', pointer + 46, pointer + 46 + nameLength);
+    pointer += 46 + nameLength;
+
+    assert.equal(archive.readUInt32LE(offset), 0x04034b50, `local header of ${name}`);
+    assert.equal(archive.readUInt16LE(offset + 8), 8, 'deflate');
+    assert.equal(archive.readUInt32LE(offset + 14), crc, 'local and central CRC agree');
+    const start = offset + 30 + archive.readUInt16LE(offset + 26) + archive.readUInt16LE(offset + 28);
+    const data = zlib.inflateRawSync(archive.subarray(start, start + compressedSize));
+
+    assert.equal(data.length, size, `size of ${name}`);
+    assert.equal(crc32(data), crc, `CRC of ${name}`);
+    entries.push({ name, data, date: archive.readUInt16LE(offset + 12), time: archive.readUInt16LE(offset + 10) });
+  }
+  return entries;
+}
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+  assert.equal(crc32(Buffer.alloc(0)), 0);
+});
+
+test('entries round-trip in order with their names and contents', () => {
+  const binary = Buffer.from(Array.from({ length: 1000 }, (_, i) => (i * 7) % 256));
+  const entries = readZip(createZip([
+    { name: '[Content_Types].xml', content: '<Types/>' },
+    { name: 'word/document.xml', content: 'Grüße '.repeat(500) },
+    { name: 'media/blob.bin', content: binary },
+    { name: 'empty.txt', content: '' }
+  ]));
+
+  assert.deepEqual(entries.map(entry => entry.name), ['[Content_Types].xml', 'word/document.xml', 'media/blob.bin', 'empty.txt']);
+  assert.equal(entries[0].data.toString(), '<Types/>');
+  assert.equal(entries[1].data.toString(), 'Grüße '.repeat(500));
+  assert.deepEqual(entries[2].data, binary);
+  assert.equal(entries[3].data.length, 0);
+});
+
+test('stores the modified time as an MS-DOS date', () => {
+  const [entry] = readZip(createZip([{ name: 'a.txt', content: 'a' }], { modified: new Date(2024, 4, 17, 13, 45, 30) }));
+  assert.equal(entry.date, ((2024 - 1980) << 9) | (5 << 5) | 17);
+  assert.equal(entry.time, (13 << 11) | (45 << 5) | 15);
+});
@@ -14,9 +14,13 @@ import Footer from './components/Footer';
 import Cursor from './components/Cursor';
 import Navbar from './components/Navbar';
 import Preloader from './components/Preloader';
+import { projectIdFromPath } from './seo/meta';
 
-function App() {
+// `path` is the page's URL path: location.pathname in the browser, the route
+// being prerendered on the server, so both render the same markup
+function App({ path = '/' }) {
   const [siteReady, setSiteReady] = useState(false);
+  const linkedProject = projectIdFromPath(path);
 
   useEffect(() => {
     const lenis = new Lenis({
@@ -43,6 +47,13 @@ function App() {
     };
   }, []);
 
+  // /projects/:id (linked from the sitemap and the feeds) opens at that card
+  useEffect(() => {
+    if (!siteReady || !linkedProject) return;
+    const card = document.getElementById(`project-${linkedProject}`);
+    if (card) card.scrollIntoView({ block: 'center' });
+  }, [siteReady, linkedProject]);
+
   return (
     <main aria-busy={!siteReady}>
       <Cursor />
@@ -50,7 +61,7 @@ function App() {
       <Navbar />
       <Hero data={portfolioData.hero} ready={siteReady} />
       <Marquee />
-      <Work data={portfolioData.work} />
+      <Work data={portfolioData.work} linkedProject={linkedProject} />
       <Stats data={portfolioData.stats} />
       <About data={portfolioData.about} />
       <Footer />
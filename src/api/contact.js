@@ -0,0 +1,58 @@
+// Client for the contact endpoints in server.js. Every message from the site,
+// inquiry form and chat handoff alike, goes through POST /api/send.
+
+import { queueSubmission } from './contactQueue';
+
+const SEND_URL = '/api/send';
+const TOKEN_URL = '/api/send/token';
+const QUEUED_MESSAGE = "You're offline, so your message will be sent as soon as you're back online.";
+
+// A rejected submission; `errors` is [{ field?, message }], where `field`
+// names the form field the server objected to
+export class ContactFormError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ContactFormError';
+    this.errors = errors.length > 0 ? errors : [{ message }];
+  }
+}
+
+// Signed "form opened at" token for the server's spam check
+export async function getFormToken() {
+  const response = await fetch(TOKEN_URL, { cache: 'no-store' });
+  const result = await response.json();
+  return result.token || '';
+}
+
+export function newIdempotencyKey() {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+/**
+ * Sends a contact form submission. Resolves with the server's result; when
+ * the message was queued for later because the visitor is offline, `queued`
+ * is true. Throws ContactFormError.
+ */
+export async function sendContactForm(fields) {
+  let response;
+  try {
+    response = await fetch(SEND_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(fields)
+    });
+  } catch {
+    // A page the service worker controls never gets here: the worker queues
+    // the message itself and answers 202
+    const queued = await queueSubmission(SEND_URL, fields).catch(() => false);
+    if (queued) return { success: true, queued: true, message: QUEUED_MESSAGE };
+    throw new ContactFormError("Couldn't reach the server. Check your connection and try again.");
+  }
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.success) {
+    throw new ContactFormError(result.message || 'Failed to send message. Please try again.', result.errors);
+  }
+  return result;
+}
@@ -0,0 +1,85 @@
+// Page side of the offline contact queue. sw.js owns the queue: it keeps
+// messages sent while offline in IndexedDB and replays them on the
+// "sync-form-submission" Background Sync event. This covers what the worker
+// can't see: a request from a page it doesn't control yet (the first visit),
+// and browsers without Background Sync, where the page asks for a flush.
+
+// Must match openDB() in sw.js
+const DB_NAME = 'PortfolioSyncDB';
+const DB_VERSION = 1;
+const STORE = 'submissions';
+
+const SYNC_TAG = 'sync-form-submission';
+const SYNC_REQUEST_MESSAGE = 'sync-form-submissions';
+const SYNCED_MESSAGE = 'form-submission-synced';
+
+function openDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(STORE)) {
+        request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      }
+    };
+  });
+}
+
+function addSubmission(db, submission) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction([STORE], 'readwrite').objectStore(STORE).add(submission);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+  });
+}
+
+const getRegistration = () => ('serviceWorker' in navigator
+  ? navigator.serviceWorker.getRegistration()
+  : Promise.resolve(undefined));
+
+/**
+ * Stores a submission for the service worker to send once the visitor is
+ * back online. Resolves to false when there is no worker to send it.
+ */
+export async function queueSubmission(url, data) {
+  const registration = await getRegistration();
+  if (!registration || !window.indexedDB) return false;
+
+  const db = await openDB();
+  try {
+    await addSubmission(db, { url: new URL(url, window.location.href).href, data, queuedAt: Date.now() });
+  } finally {
+    db.close();
+  }
+  if (registration.sync) await registration.sync.register(SYNC_TAG);
+  return true;
+}
+
+/**
+ * Without Background Sync nothing wakes the worker up, so the page asks it
+ * to send the queue whenever the connection comes back, and once on load
+ * for anything left over from an earlier visit.
+ */
+export function flushQueueWhenOnline(registration) {
+  if (registration.sync) return;
+  const flush = () => navigator.serviceWorker.ready.then(ready => {
+    ready.active.postMessage({ type: SYNC_REQUEST_MESSAGE });
+  });
+  window.addEventListener('online', flush);
+  if (navigator.onLine) flush();
+}
+
+/**
+ * Calls back with { status: 'sent' | 'rejected', idempotencyKey, message,
+ * errors } whenever the worker delivers a queued submission. Returns an
+ * unsubscribe function.
+ */
+export function onSubmissionSynced(callback) {
+  if (!('serviceWorker' in navigator)) return () => {};
+  const listener = (event) => {
+    if (event.data && event.data.type === SYNCED_MESSAGE) callback(event.data);
+  };
+  navigator.serviceWorker.addEventListener('message', listener);
+  return () => navigator.serviceWorker.removeEventListener('message', listener);
+}
@@ -113,8 +113,9 @@ const About = ({ data }) => {
         </div>
         <div className="about-text">
           <p className="about-intro">{data.introText}<em>{data.introEmphasis}</em>{data.introTextEnd}</p>
-          <p className="about-body">{data.body1}</p>
-          <p className="about-body" style={{marginTop: '-16px'}}>{data.body2}</p>
+          {data.summary.map((paragraph, i) => (
+            <p key={i} className="about-body" style={i > 0 ? {marginTop: '-16px'} : undefined}>{paragraph}</p>
+          ))}
           <div className="skills-list">
             {data.skills.map((skill, i) => (
               <div key={i} className="skill-item"><div className="skill-dot"></div> {skill}</div>
@@ -0,0 +1,250 @@
+import React, { useEffect, useState } from 'react';
+import portfolioData from '../data/portfolio.json';
+import { useContactForm } from '../hooks/useContactForm';
+import Magnetic from './Magnetic';
+
+// Mirrors the limits in server/inquiries/attachments.js, which has the final say
+const MAX_FILES = 3;
+const MAX_FILE_BYTES = 2 * 1024 * 1024;
+const ACCEPTED_EXTENSIONS = ['.pdf', '.png', '.jpg', '.jpeg', '.webp', '.docx', '.txt'];
+
+const STEPS = ['Project', 'Details', 'You'];
+const EMPTY_VALUES = { projectType: '', budget: '', timeline: '', message: '', name: '', email: '', website: '' };
+// Which step shows a field, for errors that come back from the server
+const FIELD_STEPS = { projectType: 0, budget: 0, timeline: 0, message: 1, attachments: 1, name: 2, email: 2 };
+
+const fileExtension = (name) => name.slice(name.lastIndexOf('.')).toLowerCase();
+
+// Files travel inside the JSON body as base64 (see the server's attachments module)
+const readAsBase64 = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+function validateStep(step, values, files) {
+  const errors = {};
+  if (step === 0) {
+    if (!values.projectType) errors.projectType = 'Pick what you need.';
+    if (!values.budget) errors.budget = 'Pick a budget range.';
+    if (!values.timeline) errors.timeline = 'Pick a timeline.';
+  } else if (step === 1) {
+    const message = values.message.trim();
+    if (!message) errors.message = 'Tell me a little about the project.';
+    else if (message.length > 3000) errors.message = 'Keep it under 3000 characters.';
+    if (files.length > MAX_FILES) errors.attachments = `Attach at most ${MAX_FILES} files.`;
+  } else {
+    const name = values.name.trim();
+    if (name.length < 2 || name.length > 100) errors.name = 'Name must be between 2 and 100 characters.';
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.email.trim())) errors.email = 'Please provide a valid email address.';
+  }
+  return errors;
+}
+
+const FieldError = ({ message }) => (message ? <p className="form-error" role="alert">{message}</p> : null);
+
+function ChoiceGroup({ label, name, options, value, onChange, error }) {
+  return (
+    <fieldset className="form-group choice-fieldset">
+      <legend className="form-label">{label}</legend>
+      <div className="choice-group" role="radiogroup">
+        {options.map(option => (
+          <button
+            key={option.id}
+            type="button"
+            role="radio"
+            aria-checked={value === option.id}
+            className={`choice ${value === option.id ? 'is-selected' : ''}`}
+            onClick={() => onChange(name, option.id)}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      <FieldError message={error} />
+    </fieldset>
+  );
+}
+
+const InquiryForm = () => {
+  const options = portfolioData.contact.inquiry;
+  const [step, setStep] = useState(0);
+  const [values, setValues] = useState(EMPTY_VALUES);
+  const [files, setFiles] = useState([]);
+  const [errors, setErrors] = useState({});
+  const [reading, setReading] = useState(false);
+  const [state, submit] = useContactForm();
+  const submitting = reading || state.submitting;
+
+  // Server errors go next to their fields, on the earliest step that has one
+  useEffect(() => {
+    if (state.errors.length === 0) return;
+    const serverErrors = {};
+    state.errors.forEach(({ field, message }) => {
+      serverErrors[field in FIELD_STEPS ? field : 'form'] = message;
+    });
+    setErrors(serverErrors);
+    const steps = Object.keys(serverErrors).filter(field => field in FIELD_STEPS).map(field => FIELD_STEPS[field]);
+    if (steps.length > 0) setStep(Math.min(...steps));
+  }, [state.errors]);
+
+  const setValue = (name, value) => {
+    setValues(current => ({ ...current, [name]: value }));
+    setErrors(current => ({ ...current, [name]: undefined }));
+  };
+
+  const addFiles = (event) => {
+    const picked = Array.from(event.target.files || []);
+    event.target.value = '';
+
+    const rejected = picked.find(file => !ACCEPTED_EXTENSIONS.includes(fileExtension(file.name)) || file.size > MAX_FILE_BYTES);
+    if (rejected) {
+      setErrors(current => ({ ...current, attachments: `"${rejected.name}" must be a PDF, image, DOCX or TXT file of at most 2 MB.` }));
+      return;
+    }
+    const next = [...files, ...picked];
+    if (next.length > MAX_FILES) {
+      setErrors(current => ({ ...current, attachments: `Attach at most ${MAX_FILES} files.` }));
+      return;
+    }
+    setFiles(next);
+    setErrors(current => ({ ...current, attachments: undefined }));
+  };
+
+  const removeFile = (index) => setFiles(current => current.filter((_, i) => i !== index));
+
+  const next = () => {
+    const stepErrors = validateStep(step, values, files);
+    setErrors(stepErrors);
+    if (Object.keys(stepErrors).length === 0) setStep(step + 1);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (step < STEPS.length - 1) {
+      next();
+      return;
+    }
+
+    const stepErrors = validateStep(step, values, files);
+    setErrors(stepErrors);
+    if (Object.keys(stepErrors).length > 0) return;
+
+    let attachments;
+    setReading(true);
+    try {
+      attachments = await Promise.all(files.map(async file => ({ name: file.name, data: await readAsBase64(file) })));
+    } catch {
+      setErrors({ attachments: 'One of the files could not be read. Please pick it again.' });
+      setStep(FIELD_STEPS.attachments);
+      return;
+    } finally {
+      setReading(false);
+    }
+
+    await submit({
+      ...values,
+      name: values.name.trim(),
+      email: values.email.trim(),
+      message: values.message.trim(),
+      attachments
+    });
+  };
+
+  if (state.succeeded) {
+    return (
+      <div className={`contact-form contact-success ${state.queued ? 'is-queued' : ''}`} role="status" aria-live="polite">
+        {state.queued ? (
+          <>
+            <h3><span className="queued-dot" aria-hidden="true" />Queued</h3>
+            <p>You're offline, so your message will send when you're back online. You can close this page; it goes out the next time you're connected.</p>
+          </>
+        ) : (
+          <>
+            <h3>Message Sent!</h3>
+            <p>Thanks for reaching out. I'll get back to you as soon as possible.</p>
+          </>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <form className="contact-form" onSubmit={handleSubmit} noValidate>
+      <ol className="inquiry-steps">
+        {STEPS.map((label, i) => (
+          <li key={label} className={i === step ? 'is-current' : i < step ? 'is-done' : ''} aria-current={i === step ? 'step' : undefined}>
+            <span>{String(i + 1).padStart(2, '0')}</span> {label}
+          </li>
+        ))}
+      </ol>
+
+      {step === 0 && (
+        <>
+          <ChoiceGroup label="Project Type" name="projectType" options={options.projectTypes} value={values.projectType} onChange={setValue} error={errors.projectType} />
+          <ChoiceGroup label="Budget" name="budget" options={options.budgets} value={values.budget} onChange={setValue} error={errors.budget} />
+          <ChoiceGroup label="Timeline" name="timeline" options={options.timelines} value={values.timeline} onChange={setValue} error={errors.timeline} />
+        </>
+      )}
+
+      {step === 1 && (
+        <>
+          <div className="form-group">
+            <label className="form-label" htmlFor="inquiry-message">Message</label>
+            <textarea id="inquiry-message" className="form-textarea" name="message" maxLength={3000} placeholder="Tell me about your project..." value={values.message} onChange={e => setValue('message', e.target.value)} />
+            <FieldError message={errors.message} />
+          </div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="inquiry-files">Attachments (optional, up to {MAX_FILES} × 2 MB)</label>
+            <input id="inquiry-files" className="form-file" type="file" multiple accept={ACCEPTED_EXTENSIONS.join(',')} onChange={addFiles} disabled={files.length >= MAX_FILES} />
+            {files.length > 0 && (
+              <ul className="file-list">
+                {files.map((file, i) => (
+                  <li key={`${file.name}-${i}`}>
+                    {file.name} <span>({Math.max(1, Math.round(file.size / 1024))} KB)</span>
+                    <button type="button" onClick={() => removeFile(i)} aria-label={`Remove ${file.name}`}>×</button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <FieldError message={errors.attachments} />
+          </div>
+        </>
+      )}
+
+      {step === 2 && (
+        <>
+          <div className="form-group">
+            <label className="form-label" htmlFor="inquiry-name">Your Name</label>
+            <input id="inquiry-name" className="form-input" type="text" name="name" autoComplete="name" placeholder="Jane Smith" value={values.name} onChange={e => setValue('name', e.target.value)} />
+            <FieldError message={errors.name} />
+          </div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="inquiry-email">Email Address</label>
+            <input id="inquiry-email" className="form-input" type="email" name="email" autoComplete="email" placeholder="jane@example.com" value={values.email} onChange={e => setValue('email', e.target.value)} />
+            <FieldError message={errors.email} />
+          </div>
+        </>
+      )}
+
+      {/* Spam trap: hidden from people, filled in by form bots */}
+      <input className="form-honeypot" type="text" name="website" tabIndex={-1} autoComplete="off" aria-hidden="true" value={values.website} onChange={e => setValue('website', e.target.value)} />
+
+      <FieldError message={errors.form} />
+
+      <div className="form-actions">
+        {step > 0 && (
+          <button type="button" className="btn btn-ghost" onClick={() => setStep(step - 1)} disabled={submitting}>← Back</button>
+        )}
+        <Magnetic>
+          <button type="submit" disabled={submitting} className="btn btn-primary">
+            {step < STEPS.length - 1 ? 'Next →' : submitting ? 'Sending...' : 'Send Message →'}
+          </button>
+        </Magnetic>
+      </div>
+    </form>
+  );
+};
+
+export default InquiryForm;
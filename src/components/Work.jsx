@@ -78,7 +78,9 @@ const LazyVideo = ({ src, className, style }) => {
   );
 };
 
-const Work = ({ data }) => {
+// `linkedProject` is the id from a /projects/:id URL; that card shows its
+// details without a hover
+const Work = ({ data, linkedProject = null }) => {
   const workRef = useRef(null);
 
   useRevealAnimation(workRef, '.section-header', { start: 'top 85%', stagger: 0 });
@@ -123,7 +125,7 @@ const Work = ({ data }) => {
       </div>
 
       <div className="projects-grid">
-        {data.projects.map((project, index) => {
+        {data.projects.filter((project) => project.showcase).map((project, index) => {
           let svgContent;
           if(index === 0) {
             svgContent = (
@@ -186,12 +188,15 @@ const Work = ({ data }) => {
             );
           }
 
+          const linked = project.id === linkedProject;
           return (
             <div 
-              key={index} 
-              className="project-card"
+              key={project.id} 
+              id={`project-${project.id}`}
+              className={linked ? 'project-card is-linked' : 'project-card'}
+              aria-current={linked ? 'page' : undefined}
             >
-              {project.cat === "N/A" ? (
+              {project.status === 'in-production' ? (
                 <InProductionPlaceholder />
               ) : project.media ? (
                 project.media.type === 'video' ? (
@@ -205,7 +210,7 @@ const Work = ({ data }) => {
                     src={project.media.src} 
                     className="project-visual" 
                     alt={project.name} 
-                    loading="lazy"
+                    loading={linked ? 'eager' : 'lazy'}
                     style={{ objectFit: 'cover' }}
                   />
                 )
@@ -215,6 +220,7 @@ const Work = ({ data }) => {
               <div className="project-overlay">
                 <div className="project-cat">{project.cat}</div>
                 <div className="project-name">{project.name}</div>
+                {linked && project.description && <p className="project-desc">{project.description}</p>}
                 <div className="project-year">{project.year}</div>
               </div>
             </div>
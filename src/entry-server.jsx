@@ -0,0 +1,23 @@
+import React from 'react'
+import { renderToString } from 'react-dom/server'
+import App from './App.jsx'
+import portfolioData from './data/portfolio.json'
+import { listRoutes, pageMeta, renderHead } from './seo/meta'
+
+// Server entry for scripts/prerender.mjs, built with `vite build --ssr`. The
+// markup must match what main.jsx renders first so the client can hydrate it.
+
+export const routes = listRoutes(portfolioData)
+
+// Where the site lives when BASE_URL isn't set
+export const defaultSiteUrl = portfolioData.profile.website
+
+export function render(url, { siteUrl }) {
+  const html = renderToString(
+    <React.StrictMode>
+      <App path={url} />
+    </React.StrictMode>,
+  )
+  const head = renderHead(pageMeta(portfolioData, url, { siteUrl }), { siteName: portfolioData.profile.name })
+  return { html, head }
+}
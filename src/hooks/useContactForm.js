@@ -0,0 +1,69 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { getFormToken, newIdempotencyKey, sendContactForm } from '../api/contact';
+import { onSubmissionSynced } from '../api/contactQueue';
+
+const INITIAL_STATE = { submitting: false, succeeded: false, queued: false, errors: [] };
+
+/**
+ * Contact form state for POST /api/send, shaped like Formspree's useForm:
+ * returns [{ submitting, succeeded, queued, errors: [{ field?, message }] }, submit, reset].
+ * `submit(fields)` adds the spam-check token and an idempotency key, and
+ * resolves to whether the message was accepted.
+ *
+ * A message sent offline succeeds with `queued: true`; once the service
+ * worker delivers it, `queued` turns false, or if the server rejects it the
+ * state goes back to not succeeded with the server's errors.
+ */
+export function useContactForm() {
+  const [state, setState] = useState(INITIAL_STATE);
+  const formToken = useRef('');
+  // Kept until the message is accepted, so a retry can't be saved twice
+  const idempotencyKey = useRef(null);
+  // Key of the message waiting in the offline queue
+  const queuedKey = useRef(null);
+
+  useEffect(() => {
+    let active = true;
+    getFormToken()
+      .then(token => { if (active) formToken.current = token; })
+      .catch(() => {});
+    return () => { active = false; };
+  }, []);
+
+  useEffect(() => onSubmissionSynced(({ idempotencyKey: key, status, message, errors }) => {
+    if (!key || key !== queuedKey.current) return;
+    queuedKey.current = null;
+    if (status === 'sent') {
+      setState({ ...INITIAL_STATE, succeeded: true });
+    } else {
+      setState({ ...INITIAL_STATE, errors: errors && errors.length > 0 ? errors : [{ message: message || 'Failed to send message. Please try again.' }] });
+    }
+  }), []);
+
+  const submit = useCallback(async (fields) => {
+    idempotencyKey.current = idempotencyKey.current || newIdempotencyKey();
+    setState({ ...INITIAL_STATE, submitting: true });
+
+    try {
+      const result = await sendContactForm({
+        ...fields,
+        formToken: formToken.current,
+        idempotencyKey: idempotencyKey.current
+      });
+      if (result.queued) queuedKey.current = idempotencyKey.current;
+      idempotencyKey.current = null;
+      setState({ ...INITIAL_STATE, succeeded: true, queued: Boolean(result.queued) });
+      return true;
+    } catch (error) {
+      setState({ ...INITIAL_STATE, errors: error.errors || [{ message: error.message }] });
+      return false;
+    }
+  }, []);
+
+  const reset = useCallback(() => {
+    queuedKey.current = null;
+    setState(INITIAL_STATE);
+  }, []);
+
+  return [state, submit, reset];
+}
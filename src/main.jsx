@@ -1,10 +1,32 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import { flushQueueWhenOnline } from './api/contactQueue'
 import './index.css'
 
-ReactDOM.createRoot(document.getElementById('root')).render(
+const root = document.getElementById('root')
+const app = (
   <React.StrictMode>
-    <App />
-  </React.StrictMode>,
+    <App path={window.location.pathname} />
+  </React.StrictMode>
 )
+
+// Production pages come prerendered (scripts/prerender.mjs); take over that
+// markup instead of rendering from scratch. The dev server sends an empty root.
+if (root.hasChildNodes()) {
+  ReactDOM.hydrateRoot(root, app)
+} else {
+  ReactDOM.createRoot(root).render(app)
+}
+
+// The service worker queues contact form messages sent while offline. Only in
+// production builds: in development its caches would serve stale modules.
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js')
+      .then(flushQueueWhenOnline)
+      .catch(error => {
+        console.warn('Service worker registration failed:', error);
+      });
+  });
+}
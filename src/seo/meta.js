@@ -0,0 +1,144 @@
+// Per-page <head> tags for the prerendered HTML (scripts/prerender.mjs): title,
+// description, canonical URL, Open Graph and Twitter cards, and JSON-LD with
+// a schema.org Person plus a CreativeWork for each project on the page.
+// Everything comes from portfolio.json.
+
+// The portrait from the About section, for the Person
+const PORTRAIT = '/images/unmasked-pfp.jpg';
+const HOME_CARD = 'home';
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+const DESCRIPTION_LENGTH = 160;
+
+const PROJECT_ROUTE = /^\/projects\/([a-z0-9-]+)\/?$/;
+
+// Shipped projects with a card on the home page; each has a /projects/:id
+// route. The same set as the sitemap's (server/seo/site.js), so nothing in
+// production gets a page, a canonical URL or a CreativeWork
+const showcasedProjects = (content) => content.work.projects
+  .filter(project => project.status === 'live' && project.showcase);
+
+export const projectPath = (project) => `/projects/${project.id}`;
+
+// "/projects/solar-system" -> "solar-system"; null for any other route
+export function projectIdFromPath(url) {
+  const match = url.match(PROJECT_ROUTE);
+  return match ? match[1] : null;
+}
+
+// Social cards rendered by the server, see server/og
+const cardUrl = (siteUrl, slug) => `${siteUrl}/og/${slug}.png`;
+
+// Every route to prerender, as listed in the sitemap
+export function listRoutes(content) {
+  return ['/', ...showcasedProjects(content).map(projectPath)];
+}
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Search results cut descriptions at about 160 characters; cut at a word instead
+function shorten(text, length = DESCRIPTION_LENGTH) {
+  if (text.length <= length) return text;
+  return `${text.slice(0, length - 1).replace(/\s+\S*$/, '')}…`;
+}
+
+function personSchema(content, siteUrl) {
+  const { profile } = content;
+  return {
+    '@type': 'Person',
+    '@id': `${siteUrl}/#person`,
+    name: profile.name,
+    jobTitle: profile.title,
+    url: profile.website,
+    email: `mailto:${profile.email}`,
+    image: `${siteUrl}${PORTRAIT}`,
+    ...(profile.location && { homeLocation: { '@type': 'Place', name: profile.location } }),
+    sameAs: Object.values(profile.links),
+    knowsAbout: content.skills.flatMap(group => group.proficient)
+  };
+}
+
+function creativeWorkSchema(project, siteUrl) {
+  const image = project.media && project.media.type === 'image' ? project.media.src : null;
+  return {
+    '@type': 'CreativeWork',
+    '@id': `${siteUrl}${projectPath(project)}#work`,
+    name: project.name,
+    ...(project.description && { description: project.description }),
+    url: `${siteUrl}${projectPath(project)}`,
+    ...(project.links && project.links.preview && { sameAs: project.links.preview }),
+    ...(image && { image: `${siteUrl}${image}` }),
+    dateCreated: project.year,
+    ...(project.updated && { dateModified: project.updated }),
+    keywords: project.tags.join(', '),
+    creativeWorkStatus: 'Published',
+    creator: { '@id': `${siteUrl}/#person` }
+  };
+}
+
+/**
+ * What goes in the <head> of `url`: { title, description, canonical, image,
+ * imageAlt, jsonLd }. Unknown routes get the home page's tags.
+ */
+export function pageMeta(content, url, { siteUrl }) {
+  const { profile, hero } = content;
+  const projectId = projectIdFromPath(url);
+  const project = projectId && showcasedProjects(content).find(candidate => candidate.id === projectId);
+
+  if (project) {
+    return {
+      title: `${project.name} | ${profile.name}`,
+      description: shorten(project.description || `${project.name}, a project by ${profile.name}.`),
+      canonical: `${siteUrl}${projectPath(project)}`,
+      image: cardUrl(siteUrl, project.id),
+      imageAlt: `${project.name}, ${project.year}${project.tags.length > 0 ? `: ${project.tags.join(', ')}` : ''}`,
+      jsonLd: [personSchema(content, siteUrl), creativeWorkSchema(project, siteUrl)]
+    };
+  }
+
+  return {
+    title: `${profile.name} | ${hero.tag}`,
+    description: shorten(`Portfolio of ${profile.name}, ${profile.title}. ${hero.description}`),
+    canonical: `${siteUrl}/`,
+    image: cardUrl(siteUrl, HOME_CARD),
+    imageAlt: `${profile.name}, ${hero.tag}`,
+    jsonLd: [
+      personSchema(content, siteUrl),
+      ...showcasedProjects(content).map(project => creativeWorkSchema(project, siteUrl))
+    ]
+  };
+}
+
+/**
+ * The tags from pageMeta() as HTML. JSON-LD goes in one @graph, with "<"
+ * escaped so no text in it can close the script element.
+ */
+export function renderHead(meta, { siteName }) {
+  const jsonLd = JSON.stringify({ '@context': 'https://schema.org', '@graph': meta.jsonLd })
+    .replace(/</g, '\\u003c');
+  return [
+    `<title>${escapeHtml(meta.title)}</title>`,
+    `<meta name="description" content="${escapeHtml(meta.description)}" />`,
+    `<link rel="canonical" href="${escapeHtml(meta.canonical)}" />`,
+    '<meta property="og:type" content="website" />',
+    `<meta property="og:site_name" content="${escapeHtml(siteName)}" />`,
+    `<meta property="og:url" content="${escapeHtml(meta.canonical)}" />`,
+    `<meta property="og:title" content="${escapeHtml(meta.title)}" />`,
+    `<meta property="og:description" content="${escapeHtml(meta.description)}" />`,
+    `<meta property="og:image" content="${escapeHtml(meta.image)}" />`,
+    '<meta property="og:image:type" content="image/png" />',
+    `<meta property="og:image:width" content="${CARD_WIDTH}" />`,
+    `<meta property="og:image:height" content="${CARD_HEIGHT}" />`,
+    `<meta property="og:image:alt" content="${escapeHtml(meta.imageAlt)}" />`,
+    '<meta name="twitter:card" content="summary_large_image" />',
+    `<meta name="twitter:title" content="${escapeHtml(meta.title)}" />`,
+    `<meta name="twitter:description" content="${escapeHtml(meta.description)}" />`,
+    `<meta name="twitter:image" content="${escapeHtml(meta.image)}" />`,
+    `<meta name="twitter:image:alt" content="${escapeHtml(meta.imageAlt)}" />`,
+    `<script type="application/ld+json">${jsonLd}</script>`
+  ].join('\n    ');
+}
@@ -1,26 +1,37 @@
 // ===== Enhanced Service Worker for PWA =====
-// Version: 3.0.0
+// Version: 3.4.0
 // Improved caching strategies and offline support
 
-const CACHE_VERSION = 'portfolio-v3.0.0';
-const RUNTIME_CACHE = 'runtime-v3.0.0';
-const IMAGE_CACHE = 'images-v3.0.0';
-
-// Assets to cache on install
+const CACHE_VERSION = 'portfolio-v3.4.0';
+const RUNTIME_CACHE = 'runtime-v3.4.0';
+const IMAGE_CACHE = 'images-v3.4.0';
+
+// Contact form submissions are queued here while offline
+const CONTACT_ENDPOINT = '/api/send';
+const SYNC_TAG = 'sync-form-submission';
+// Pages without Background Sync ask for a flush when they come back online
+const SYNC_REQUEST_MESSAGE = 'sync-form-submissions';
+// Sent to every open page once a queued submission is delivered or rejected
+const SYNCED_MESSAGE = 'form-submission-synced';
+
+// Assets to cache on install. Every one must exist: a single 404 fails
+// cache.addAll. Pages are not listed; they are navigations, served
+// network-first so a deploy shows up on the next visit.
 const STATIC_ASSETS = [
-    '/',
-    '/index.html',
-    '/style.css',
-    '/script.js',
-    '/manifest.json',
     '/offline.html', // Offline fallback page
-    '/js/modules/animations-gsap.js',
-    '/js/modules/skill-chart.js',
-    '/js/modules/portfolio-api.js',
-    '/js/modules/portfolio-ui.js',
-    '/js/modules/portfolio-forms.js',
-    '/js/modules/error-handler.js'
+    '/manifest.json',
+    '/style.css' // Used by privacy.html and terms.html
 ];
+const STATIC_PATHS = new Set(STATIC_ASSETS);
+
+// API responses are only cached for the routes listed here: public data the
+// pages can still show offline. Everything else under /api/ (admin data,
+// signed form tokens, resume files) goes straight to the network and is
+// never stored in the browser.
+const CACHEABLE_API_PATHS = new Set([
+    '/api/portfolio-data',
+    '/api/chat/suggestions'
+]);
 
 // Install event - cache static assets
 self.addEventListener('install', (event) => {
@@ -70,8 +81,27 @@ self.addEventListener('fetch', (event) => {
         return;
     }
 
-    // Handle API requests differently (network-first strategy)
-    if (request.url.includes('/api/')) {
+    // Contact form: send now, or queue for background sync when offline
+    if (request.method === 'POST' && url.pathname === CONTACT_ENDPOINT) {
+        event.respondWith(sendOrQueueSubmission(request));
+        return;
+    }
+
+    // Only GET responses can be cached; let other requests go straight through
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    // API requests: network-first for the opted-in routes, network-only otherwise
+    if (url.pathname.startsWith('/api/')) {
+        if (CACHEABLE_API_PATHS.has(url.pathname)) {
+            event.respondWith(networkFirstStrategy(request));
+        }
+        return;
+    }
+
+    // Handle pages network-first
+    if (request.mode === 'navigate') {
         event.respondWith(networkFirstStrategy(request));
         return;
     }
@@ -83,7 +113,7 @@ self.addEventListener('fetch', (event) => {
     }
 
     // Handle static assets (cache-first with network update)
-    if (STATIC_ASSETS.some(asset => request.url.includes(asset))) {
+    if (STATIC_PATHS.has(url.pathname)) {
         event.respondWith(cacheFirstStrategy(request, CACHE_VERSION));
         return;
     }
@@ -92,6 +122,10 @@ self.addEventListener('fetch', (event) => {
     event.respondWith(networkFirstStrategy(request));
 });
 
+// Only complete responses the server allows to be stored
+const isCacheable = (response) => response && response.status === 200
+    && !/no-store/i.test(response.headers.get('Cache-Control') || '');
+
 /**
  * Cache-first strategy
  * Try cache first, fallback to network and update cache
@@ -104,7 +138,7 @@ async function cacheFirstStrategy(request, cacheName) {
         // Serve from cache immediately
         // Update cache in background
         fetch(request).then((response) => {
-            if (response && response.status === 200) {
+            if (isCacheable(response)) {
                 cache.put(request, response.clone());
             }
         }).catch(() => {
@@ -118,7 +152,7 @@ async function cacheFirstStrategy(request, cacheName) {
     try {
         const response = await fetch(request);
 
-        if (response && response.status === 200) {
+        if (isCacheable(response)) {
             cache.put(request, response.clone());
         }
 
@@ -143,7 +177,7 @@ async function networkFirstStrategy(request) {
     try {
         const response = await fetch(request);
 
-        if (response && response.status === 200) {
+        if (isCacheable(response)) {
             cache.put(request, response.clone());
         }
 
@@ -157,8 +191,8 @@ async function networkFirstStrategy(request) {
         }
 
         // Nothing in cache either, return offline page for HTML requests
-        if (request.destination === 'document') {
-            const offlinePage = await cache.match('/offline.html');
+        if (request.mode === 'navigate') {
+            const offlinePage = await caches.match('/offline.html', { cacheName: CACHE_VERSION });
             if (offlinePage) {
                 return offlinePage;
             }
@@ -173,23 +207,81 @@ async function networkFirstStrategy(request) {
     }
 }
 
+const jsonResponse = (body, status) => new Response(JSON.stringify(body), {
+    status,
+    headers: new Headers({ 'Content-Type': 'application/json' })
+});
+
+/**
+ * Contact form submissions
+ * Network first; when the network is down the JSON body is stored in
+ * IndexedDB and sent by the sync event (or a page's flush request), and the
+ * page gets a 202 with `queued: true`. The body carries an idempotency key,
+ * so a message that did reach the server before the connection dropped is
+ * not saved twice.
+ */
+async function sendOrQueueSubmission(request) {
+    const body = await request.clone().text();
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        try {
+            const db = await openDB();
+            await addPendingSubmission(db, { url: request.url, data: JSON.parse(body), queuedAt: Date.now() });
+            if (self.registration.sync) {
+                await self.registration.sync.register(SYNC_TAG);
+            }
+        } catch (queueError) {
+            console.error('[ServiceWorker] Failed to queue submission:', queueError);
+            return jsonResponse({ success: false, message: 'Failed to send message. Please try again.' }, 503);
+        }
+
+        console.log('[ServiceWorker] Queued submission for background sync');
+        return jsonResponse({
+            success: true,
+            queued: true,
+            message: "You're offline, so your message will be sent as soon as you're back online."
+        }, 202);
+    }
+}
+
 /**
  * Background Sync for form submissions
  */
 self.addEventListener('sync', (event) => {
     console.log('[ServiceWorker] Sync event:', event.tag);
 
-    if (event.tag === 'sync-form-submission') {
+    if (event.tag === SYNC_TAG) {
         event.waitUntil(syncFormSubmissions());
     }
 });
 
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === SYNC_REQUEST_MESSAGE) {
+        event.waitUntil(syncFormSubmissions().catch((error) => {
+            console.warn('[ServiceWorker] Flush incomplete:', error.message);
+        }));
+    }
+});
+
+// Lets open pages update a "queued" message once it has really been sent
+async function notifyClients(message) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    windows.forEach((client) => client.postMessage(message));
+}
+
+// Worth retrying: the server is down or busy. Anything else (sent, or
+// rejected as invalid) is final and leaves the queue.
+const isRetryable = (response) => response.status >= 500 || response.status === 408 || response.status === 429;
+
 async function syncFormSubmissions() {
     console.log('[ServiceWorker] Syncing form submissions');
 
     // Get pending form submissions from IndexedDB
     const db = await openDB();
     const submissions = await getAllPendingSubmissions(db);
+    let remaining = 0;
 
     for (const submission of submissions) {
         try {
@@ -199,16 +291,36 @@ async function syncFormSubmissions() {
                 body: JSON.stringify(submission.data)
             });
 
-            if (response.ok) {
+            if (!isRetryable(response)) {
                 // Remove from pending
                 await removePendingSubmission(db, submission.id);
-                console.log('[ServiceWorker] Synced submission:', submission.id);
+                const result = await response.json().catch(() => ({}));
+                await notifyClients({
+                    type: SYNCED_MESSAGE,
+                    status: response.ok ? 'sent' : 'rejected',
+                    idempotencyKey: submission.data.idempotencyKey,
+                    message: result.message,
+                    errors: result.errors
+                });
+                if (response.ok) {
+                    console.log('[ServiceWorker] Synced submission:', submission.id);
+                } else {
+                    console.warn('[ServiceWorker] Submission rejected, dropping it:', submission.id, response.status);
+                }
+            } else {
+                remaining++;
             }
         } catch (error) {
             console.error('[ServiceWorker] Failed to sync submission:', error);
             // Keep in queue for next sync
+            remaining++;
         }
     }
+
+    // A failed sync is retried by the browser with backoff
+    if (remaining > 0) {
+        throw new Error(`${remaining} submission(s) still pending`);
+    }
 }
 
 // IndexedDB helpers for background sync
@@ -239,6 +351,17 @@ function getAllPendingSubmissions(db) {
     });
 }
 
+function addPendingSubmission(db, submission) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['submissions'], 'readwrite');
+        const store = transaction.objectStore('submissions');
+        const request = store.add(submission);
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => resolve(request.result);
+    });
+}
+
 function removePendingSubmission(db, id) {
     return new Promise((resolve, reject) => {
         const transaction = db.transaction(['submissions'], 'readwrite');
@@ -0,0 +1,186 @@
+/**
+ * Chat Markdown Renderer
+ * Turns assistant replies into DOM nodes without ever going through innerHTML:
+ * paragraphs, lists, inline code, fenced code blocks, emphasis and links.
+ * Links only keep http(s), mailto and same-page URLs.
+ */
+
+const ChatMarkdown = (() => {
+    const ALLOWED_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+    // Inline syntax, tried in this order when two matches start at the same index
+    const INLINE_PATTERNS = [
+        { type: 'code', regex: /`([^`\n]+)`/ },
+        { type: 'link', regex: /\[([^\]\n]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/ },
+        { type: 'strong', regex: /\*\*([^*\n]+?)\*\*|__([^_\n]+?)__/ },
+        { type: 'em', regex: /\*([^*\s][^*\n]*?)\*|\b_([^_\n]+?)_\b/ },
+        { type: 'autolink', regex: /\bhttps?:\/\/[^\s<>]*[^\s<>.,:;"')\]!?]/ }
+    ];
+
+    const FENCE = /^\s*```/;
+    const UNORDERED_ITEM = /^\s*[-*+]\s+(.*)$/;
+    const ORDERED_ITEM = /^\s*\d+[.)]\s+(.*)$/;
+    const HEADING = /^\s*#{1,6}\s+(.*)$/;
+
+    /**
+     * Returns the URL as a string when it may be used as a link, else null.
+     */
+    function safeUrl(href) {
+        const trimmed = href.trim();
+        if (trimmed.startsWith('#')) return trimmed;
+        try {
+            const url = new URL(trimmed, window.location.origin);
+            return ALLOWED_PROTOCOLS.includes(url.protocol) ? url.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function createLink(href, children) {
+        const url = safeUrl(href);
+        if (!url) {
+            // Keep the words, drop the link
+            const span = document.createElement('span');
+            span.append(...children);
+            return span;
+        }
+
+        const link = document.createElement('a');
+        link.href = url;
+        if (!url.startsWith('#')) {
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+        }
+        link.append(...children);
+        return link;
+    }
+
+    function renderInline(text) {
+        const nodes = [];
+        let rest = text;
+
+        while (rest) {
+            let next = null;
+            INLINE_PATTERNS.forEach(({ type, regex }) => {
+                const match = regex.exec(rest);
+                if (match && (!next || match.index < next.match.index)) {
+                    next = { type, match };
+                }
+            });
+
+            if (!next) {
+                nodes.push(document.createTextNode(rest));
+                break;
+            }
+
+            const { type, match } = next;
+            if (match.index > 0) {
+                nodes.push(document.createTextNode(rest.slice(0, match.index)));
+            }
+
+            if (type === 'code') {
+                const code = document.createElement('code');
+                code.textContent = match[1];
+                nodes.push(code);
+            } else if (type === 'link') {
+                nodes.push(createLink(match[2], renderInline(match[1])));
+            } else if (type === 'autolink') {
+                nodes.push(createLink(match[0], [document.createTextNode(match[0])]));
+            } else {
+                const element = document.createElement(type);
+                element.append(...renderInline(match[1] || match[2]));
+                nodes.push(element);
+            }
+
+            rest = rest.slice(match.index + match[0].length);
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Renders a markdown string into a DocumentFragment. Safe for partial
+     * input, so it can re-render a streamed reply on every token.
+     */
+    function render(text) {
+        const fragment = document.createDocumentFragment();
+        const lines = String(text).replace(/\r\n/g, '\n').split('\n');
+        let paragraph = null;
+        let list = null;
+
+        const closeBlocks = () => {
+            paragraph = null;
+            list = null;
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+
+            if (FENCE.test(line)) {
+                // Code block, also when the closing fence hasn't streamed in yet
+                const codeLines = [];
+                i++;
+                while (i < lines.length && !FENCE.test(lines[i])) {
+                    codeLines.push(lines[i]);
+                    i++;
+                }
+                const pre = document.createElement('pre');
+                const code = document.createElement('code');
+                code.textContent = codeLines.join('\n');
+                pre.appendChild(code);
+                fragment.appendChild(pre);
+                closeBlocks();
+                continue;
+            }
+
+            if (!line.trim()) {
+                closeBlocks();
+                continue;
+            }
+
+            const unordered = UNORDERED_ITEM.exec(line);
+            const ordered = !unordered && ORDERED_ITEM.exec(line);
+            if (unordered || ordered) {
+                const tag = unordered ? 'ul' : 'ol';
+                if (!list || list.tagName.toLowerCase() !== tag) {
+                    list = document.createElement(tag);
+                    fragment.appendChild(list);
+                }
+                const item = document.createElement('li');
+                item.append(...renderInline((unordered || ordered)[1]));
+                list.appendChild(item);
+                paragraph = null;
+                continue;
+            }
+
+            const heading = HEADING.exec(line);
+            if (heading) {
+                const p = document.createElement('p');
+                const strong = document.createElement('strong');
+                strong.append(...renderInline(heading[1]));
+                p.appendChild(strong);
+                fragment.appendChild(p);
+                closeBlocks();
+                continue;
+            }
+
+            if (paragraph) {
+                paragraph.appendChild(document.createElement('br'));
+            } else {
+                paragraph = document.createElement('p');
+                fragment.appendChild(paragraph);
+                list = null;
+            }
+            paragraph.append(...renderInline(line.trim()));
+        }
+
+        return fragment;
+    }
+
+    return { render, safeUrl };
+})();
+
+// Export for use in main script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatMarkdown;
+}
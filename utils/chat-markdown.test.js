@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const { window } = new JSDOM('<!doctype html><body></body>', { url: 'https://sugampokharel.dev/' });
+global.window = window;
+global.document = window.document;
+const ChatMarkdown = require('./chat-markdown');
+
+const html = (text) => {
+  const container = document.createElement('div');
+  container.appendChild(ChatMarkdown.render(text));
+  return container.innerHTML;
+};
+
+test('renders paragraphs, line breaks, emphasis and inline code', () => {
+  assert.equal(html('Hello **there**\nand *you*\n\nUse `npm test`'),
+    '<p>Hello <strong>there</strong><br>and <em>you</em></p><p>Use <code>npm test</code></p>');
+});
+
+test('renders lists and turns headings into bold paragraphs', () => {
+  assert.equal(html('## Stack\n- React\n- Node\n1. First'),
+    '<p><strong>Stack</strong></p><ul><li>React</li><li>Node</li></ul><ol><li>First</li></ol>');
+});
+
+test('renders fenced code, also before the closing fence streams in', () => {
+  assert.equal(html('```\n<b>raw</b>\n```'), '<pre><code>&lt;b&gt;raw&lt;/b&gt;</code></pre>');
+  assert.equal(html('```js\nconst a = 1;'), '<pre><code>const a = 1;</code></pre>');
+});
+
+test('never parses HTML in the reply', () => {
+  assert.equal(html('<img src=x onerror=alert(1)> **<script>**'),
+    '<p>&lt;img src=x onerror=alert(1)&gt; <strong>&lt;script&gt;</strong></p>');
+});
+
+test('keeps http(s), mailto and same-page links, opening external ones in a new tab', () => {
+  assert.equal(html('[Site](https://example.com/a)'),
+    '<p><a href="https://example.com/a" target="_blank" rel="noopener noreferrer">Site</a></p>');
+  assert.equal(html('[Mail](mailto:me@example.com) [Work](#work)'),
+    '<p><a href="mailto:me@example.com" target="_blank" rel="noopener noreferrer">Mail</a> <a href="#work">Work</a></p>');
+});
+
+test('drops dangerous link targets but keeps the words', () => {
+  assert.equal(html('[click](javascript:alert(1))'), '<p><span>click</span></p>');
+  assert.equal(html('[x](data:text/html,hi)'), '<p><span>x</span></p>');
+  assert.equal(ChatMarkdown.safeUrl(' JavaScript:alert(1)'), null);
+});
+
+test('autolinks bare URLs without trailing punctuation', () => {
+  assert.equal(html('See https://example.com/docs.'),
+    '<p>See <a href="https://example.com/docs" target="_blank" rel="noopener noreferrer">https://example.com/docs</a>.</p>');
+});
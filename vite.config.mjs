@@ -0,0 +1,29 @@
+import { createRequire } from 'module'
+import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+
+const require = createRequire(import.meta.url)
+const { CONTENT_PATH, lintContentFile, formatIssue } = require('./server/content-validator.cjs')
+
+// Fails the build on invalid src/data/portfolio.json instead of shipping a
+// site that breaks at runtime. Warnings (placeholders, "#" links,
+// missing media files) are printed.
+function portfolioContent() {
+  return {
+    name: 'portfolio-content',
+    apply: 'build',
+    buildStart() {
+      this.addWatchFile(CONTENT_PATH)
+      const { errors, warnings } = lintContentFile()
+      warnings.forEach((issue) => this.warn(`portfolio.json ${formatIssue(issue)}`))
+      if (errors.length > 0) {
+        this.error(`Invalid portfolio content:\n  - ${errors.map(formatIssue).join('\n  - ')}`)
+      }
+    },
+  }
+}
+
+// https://vitejs.dev/config/
+export default defineConfig({
+  plugins: [portfolioContent(), react()],
+})